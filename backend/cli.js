@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// cli.js - admin command-line tool for bootstrap and maintenance
+// ------------------------------------------------------------------
+// Usage: node cli.js <command> [--option value ...]
+//        npm run cli -- <command> [--option value ...]
+//
+// Works on the same database as the server (.env: STORAGE, MONGO_URI)
+// and makes its changes through lib/accounts.js and lib/structure.js,
+// so the same rules apply as in the HTTP API (password policy, role
+// names from the policy file, structure checks, sign-out on role or
+// password change). Every change is written to the audit log with
+// actor "cli:<os user>".
+//
+// OUs and divisions can be given by id or by name; `node cli.js help`
+// lists the commands.
+// ------------------------------------------------------------------
+
+import os from 'os';
+import dotenv from 'dotenv';
+import { getStorage, storageKind } from './storage/index.js';
+import { isId } from './storage/records.js';
+import { createUser, setUserRole, resetUserPassword } from './lib/accounts.js';
+import {
+  createOu, renameOu, deleteOu, createDivision, renameDivision, deleteDivision, moveDivision, seedSampleStructure
+} from './lib/structure.js';
+import { globalRoles } from './lib/policy.js';
+import { recordAudit } from './lib/audit.js';
+import { passwordPolicy } from './lib/passwordPolicy.js';
+import { DEFAULT_RULES, generatePassword } from './lib/passwordGenerator.js';
+
+dotenv.config();
+
+const COMMANDS = {
+  'create-admin': {
+    usage: '--email <email> [--name <name>] [--password <password> | --password-stdin]',
+    help: 'Create an admin account (e.g. the first one on a fresh install)',
+    run: createAdminCommand
+  },
+  'reset-password': {
+    usage: '--email <email> [--password <password> | --password-stdin]',
+    help: "Set a user's password; signs them out and lifts an account lockout",
+    run: resetPasswordCommand
+  },
+  'set-role': {
+    usage: '--email <email> --role <role>',
+    help: "Change a user's global role; signs them out",
+    run: setRoleCommand
+  },
+  'list-users': {
+    usage: '[--role <role>]',
+    help: 'List users (optionally of one role) with their ids',
+    run: listUsersCommand
+  },
+  structure: {
+    usage: '',
+    help: 'List OUs and divisions with their ids',
+    run: structureCommand
+  },
+  'create-ou': { usage: '--name <name>', help: 'Create an OU', run: createOuCommand },
+  'rename-ou': { usage: '--ou <ou> --name <name>', help: 'Rename an OU', run: renameOuCommand },
+  'delete-ou': { usage: '--ou <ou>', help: 'Delete an empty OU', run: deleteOuCommand },
+  'create-division': { usage: '--ou <ou> --name <name>', help: 'Create a division in an OU', run: createDivisionCommand },
+  'rename-division': { usage: '--ou <ou> --division <division> --name <name>', help: 'Rename a division', run: renameDivisionCommand },
+  'delete-division': {
+    usage: '--ou <ou> --division <division> [--migrate-to <division>]',
+    help: 'Delete a division; one with credentials or users needs --migrate-to',
+    run: deleteDivisionCommand
+  },
+  'move-division': { usage: '--ou <ou> --division <division> --to <ou>', help: 'Move a division to another OU', run: moveDivisionCommand },
+  seed: { usage: '', help: 'Add the sample OU and divisions if there is no structure yet', run: seedCommand },
+  help: { usage: '', help: 'Show this help', run: async () => printHelp() }
+};
+
+// A refused command: printed as "Error: ..." with exit code 1
+class CliError extends Error {}
+
+// ---------- arguments ----------
+
+// ["--email", "a@b", "--password-stdin", "--name=Ann"] -> { email: 'a@b', 'password-stdin': true, name: 'Ann' }
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) throw new CliError(`Unexpected argument "${arg}"`);
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) options[key] = inline;
+    else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) options[key] = args[++i];
+    else options[key] = true;
+  }
+  return options;
+}
+
+function required(options, key) {
+  const value = options[key];
+  if (typeof value !== 'string' || !value.trim()) throw new CliError(`--${key} is required`);
+  return value.trim();
+}
+
+// Turn { error, status } from lib/accounts.js / lib/structure.js into a CliError
+function check(result) {
+  if (result.error) throw new CliError(result.error);
+  return result;
+}
+
+async function readStdinLine() {
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  return data.split(/\r?\n/)[0];
+}
+
+// --password, --password-stdin, or a generated one (printed once)
+async function passwordFrom(options) {
+  if (options['password-stdin']) return { password: await readStdinLine(), generated: false };
+  if (typeof options.password === 'string') return { password: options.password, generated: false };
+  const length = Math.max(DEFAULT_RULES.length, passwordPolicy().minLength);
+  return { password: generatePassword({ ...DEFAULT_RULES, length }), generated: true };
+}
+
+// ---------- lookups ----------
+
+async function findUser(email) {
+  const user = await getStorage().users.findByEmail(email);
+  if (!user) throw new CliError(`No user with email ${email}`);
+  return user;
+}
+
+// OU by id or (case-insensitive) name
+async function findOu(ref) {
+  const ous = await getStorage().structure.list({ detail: 'names' });
+  const ou = ous.find(o => String(o._id) === ref) || ous.find(o => o.name.toLowerCase() === ref.toLowerCase());
+  if (!ou) throw new CliError(`No OU "${ref}"`);
+  return ou;
+}
+
+// Division by id, or by name within `ou`
+function findDivision(ou, ref) {
+  const division = ou.divisions.find(d => String(d._id) === ref) ||
+    ou.divisions.find(d => d.name.toLowerCase() === ref.toLowerCase());
+  if (!division) throw new CliError(`No division "${ref}" in OU "${ou.name}"`);
+  return division;
+}
+
+// Division anywhere: id, "OU / Division", or a division name used only once
+async function findAnyDivision(ref) {
+  const ous = await getStorage().structure.list({ detail: 'names' });
+  const all = ous.flatMap(ou => ou.divisions.map(d => ({ ou, d })));
+  if (isId(ref)) {
+    const hit = all.find(x => String(x.d._id) === ref);
+    if (hit) return hit.d;
+  }
+  const [ouName, divisionName] = ref.includes('/') ? ref.split('/').map(s => s.trim().toLowerCase()) : [null, ref.toLowerCase()];
+  const hits = all.filter(x => x.d.name.toLowerCase() === divisionName && (!ouName || x.ou.name.toLowerCase() === ouName));
+  if (hits.length === 0) throw new CliError(`No division "${ref}"`);
+  if (hits.length > 1) throw new CliError(`"${ref}" matches several divisions; use "OU / Division" or the id`);
+  return hits[0].d;
+}
+
+// ---------- audit ----------
+
+const actorEmail = () => `cli:${os.userInfo().username}`;
+
+function audit(action, status, { targetUser = null, targetDivision = null, ...details } = {}) {
+  return recordAudit({
+    actor: null,
+    actorEmail: actorEmail(),
+    action,
+    targetDivision: targetDivision ? String(targetDivision) : null,
+    targetUser: targetUser ? String(targetUser) : null,
+    outcome: 'success',
+    status,
+    ip: null,
+    details: { via: 'cli', ...details }
+  });
+}
+
+// ---------- commands ----------
+
+async function createAdminCommand(options) {
+  const email = required(options, 'email');
+  const name = typeof options.name === 'string' ? options.name.trim() : 'Administrator';
+  const { password, generated } = await passwordFrom(options);
+
+  const existing = await getStorage().users.findByEmail(email);
+  if (existing) throw new CliError(`${email} is already registered; use: set-role --email ${email} --role admin`);
+
+  // Created by whoever runs the server, so the address counts as verified
+  const { user } = check(await createUser({ name, email, password, role: 'admin', emailVerified: true }));
+  await audit('user.create', 201, { targetUser: user._id, email, role: 'admin' });
+
+  console.log(`Admin created: ${user.email} (${user._id})`);
+  if (generated) console.log(`Password (shown once, change it after logging in): ${password}`);
+}
+
+async function resetPasswordCommand(options) {
+  const user = await findUser(required(options, 'email'));
+  const { password, generated } = await passwordFrom(options);
+
+  check(await resetUserPassword(user, password));
+  await audit('user.resetPassword', 200, { targetUser: user._id, user: user.email });
+
+  console.log(`Password reset for ${user.email}; their sessions were ended`);
+  if (generated) console.log(`New password (shown once): ${password}`);
+}
+
+async function setRoleCommand(options) {
+  const user = await findUser(required(options, 'email'));
+  const { previousRole, roleChanged } = check(await setUserRole(user, required(options, 'role')));
+  await audit('user.setRole', 200, { targetUser: user._id, role: user.role, previousRole });
+
+  console.log(roleChanged ? `${user.email}: ${previousRole} -> ${user.role} (signed out)` : `${user.email} already has role ${user.role}`);
+}
+
+async function listUsersCommand(options) {
+  const role = typeof options.role === 'string' ? options.role : undefined;
+  if (role && !globalRoles().includes(role)) throw new CliError(`Invalid role (${globalRoles().join(' | ')})`);
+
+  const { items, total } = await getStorage().users.list({ role, sort: 'email', limit: 10000 });
+  for (const u of items) {
+    console.log(`${u._id}  ${u.role.padEnd(10)}  ${u.email}${u.name ? `  (${u.name})` : ''}`);
+  }
+  console.log(`${total} user(s)`);
+}
+
+async function structureCommand() {
+  const ous = await getStorage().structure.list({ detail: 'names' });
+  if (ous.length === 0) console.log('No OUs yet (try: seed, or create-ou --name <name>)');
+  for (const ou of ous) {
+    console.log(`${ou.name}  [${ou._id}]`);
+    for (const d of ou.divisions) console.log(`  - ${d.name}  [${d._id}]`);
+  }
+}
+
+async function createOuCommand(options) {
+  const { ou } = check(await createOu(required(options, 'name')));
+  await audit('structure.createOu', 201, { ouId: String(ou._id), name: ou.name });
+  console.log(`OU created: ${ou.name} [${ou._id}]`);
+}
+
+async function renameOuCommand(options) {
+  const ou = await findOu(required(options, 'ou'));
+  const result = check(await renameOu(ou._id, required(options, 'name')));
+  await audit('structure.renameOu', 200, { ouId: String(ou._id), from: result.from, to: result.ou.name });
+  console.log(`OU renamed: ${result.from} -> ${result.ou.name}`);
+}
+
+async function deleteOuCommand(options) {
+  const ou = await findOu(required(options, 'ou'));
+  check(await deleteOu(ou._id));
+  await audit('structure.deleteOu', 200, { ouId: String(ou._id), name: ou.name });
+  console.log(`OU deleted: ${ou.name}`);
+}
+
+async function createDivisionCommand(options) {
+  const ou = await findOu(required(options, 'ou'));
+  const { division } = check(await createDivision(ou._id, required(options, 'name')));
+  await audit('structure.createDivision', 201, { ouId: String(ou._id), divisionId: String(division._id), name: division.name });
+  console.log(`Division created: ${ou.name} / ${division.name} [${division._id}]`);
+}
+
+async function renameDivisionCommand(options) {
+  const ou = await findOu(required(options, 'ou'));
+  const division = findDivision(ou, required(options, 'division'));
+  const result = check(await renameDivision(ou._id, division._id, required(options, 'name')));
+  await audit('structure.renameDivision', 200, { targetDivision: division._id, from: result.from, to: result.division.name });
+  console.log(`Division renamed: ${result.from} -> ${result.division.name}`);
+}
+
+async function deleteDivisionCommand(options) {
+  const ou = await findOu(required(options, 'ou'));
+  const division = findDivision(ou, required(options, 'division'));
+  const migrateTo = options['migrate-to'] ? (await findAnyDivision(required(options, 'migrate-to')))._id : undefined;
+
+  const result = check(await deleteDivision(ou._id, division._id, migrateTo));
+  await audit('structure.deleteDivision', 200, {
+    targetDivision: division._id, name: division.name, credentials: result.credentials, users: result.users,
+    migrateTo: migrateTo ? String(migrateTo) : null
+  });
+  console.log(result.migrated && result.credentials + result.users > 0
+    ? `Division deleted: ${division.name}; ${result.credentials} credential(s) and ${result.users} user(s) migrated`
+    : `Division deleted: ${division.name}`);
+}
+
+async function moveDivisionCommand(options) {
+  const ou = await findOu(required(options, 'ou'));
+  const division = findDivision(ou, required(options, 'division'));
+  const target = await findOu(required(options, 'to'));
+
+  check(await moveDivision(ou._id, division._id, target._id));
+  await audit('structure.moveDivision', 200, { targetDivision: division._id, fromOu: String(ou._id), toOu: String(target._id) });
+  console.log(`Division moved: ${division.name} (${ou.name} -> ${target.name})`);
+}
+
+async function seedCommand() {
+  const ou = await seedSampleStructure();
+  if (!ou) {
+    console.log('Structure is not empty; nothing seeded');
+    return;
+  }
+  await audit('structure.seed', 201, { ouId: String(ou._id), name: ou.name });
+  console.log('Seeded sample structure:');
+  await structureCommand();
+}
+
+function printHelp() {
+  console.log('Usage: node cli.js <command> [--option value ...]\n');
+  for (const [name, c] of Object.entries(COMMANDS)) {
+    console.log(`  ${name} ${c.usage}`.trimEnd());
+    console.log(`      ${c.help}`);
+  }
+  console.log('\n<ou> / <division>: id or name. --migrate-to also takes "OU / Division".');
+  console.log('Without --password a strong password is generated and printed once.');
+}
+
+// ---------- main ----------
+
+async function main() {
+  const [name = 'help', ...args] = process.argv.slice(2);
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command "${name}"\n`);
+    printHelp();
+    return 1;
+  }
+  if (name === 'help') {
+    printHelp();
+    return 0;
+  }
+  if (storageKind() === 'memory') {
+    console.error('STORAGE=memory keeps data inside the server process; the CLI needs STORAGE=mongo');
+    return 1;
+  }
+
+  const storage = getStorage();
+  try {
+    const options = parseOptions(args);
+    await storage.connect();
+    await command.run(options);
+    return 0;
+  } catch (err) {
+    if (!(err instanceof CliError)) throw err;
+    console.error(`Error: ${err.message}`);
+    return 1;
+  } finally {
+    await storage.disconnect();
+  }
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
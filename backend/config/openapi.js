@@ -0,0 +1,742 @@
+// backend/config/openapi.js
+// -------------------------------------------------------------
+// OpenAPI 3 description of every route in server.js.
+// middleware/validate.js checks path params, query strings and
+// JSON bodies against it (and responses, see VALIDATE_RESPONSES);
+// GET /api/openapi.json serves it.
+//
+// Built on first use: role names come from the policy file, which
+// is only read after dotenv has run.
+// -------------------------------------------------------------
+
+import { globalRoles, membershipRoles } from '../lib/policy.js';
+import { API_KEY_ACTIONS } from '../lib/apiKeys.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+// OpenAPI 3.0 ignores siblings of $ref, so a nullable ref is wrapped in allOf
+const nullable = schema => (schema.$ref ? { nullable: true, allOf: [schema] } : { ...schema, nullable: true });
+
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const text = (max = 200) => ({ type: 'string', minLength: 1, maxLength: max });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const bool = { type: 'boolean' };
+const id = { type: 'string', format: 'objectId' };
+const dateTime = { type: 'string', format: 'date-time' };
+const obj = (properties, required = []) => ({ type: 'object', properties, ...(required.length ? { required } : {}) });
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: id });
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const pageParams = (max, dflt) => [
+  query('page', int({ minimum: 1 }), 'Page number, from 1'),
+  query('limit', int({ minimum: 1, maximum: max }), `Page size (default ${dflt})`)
+];
+
+// Operation shorthand. Every operation shares the error response shape.
+function op({ summary, tag, auth = true, params = [], body, bodyRequired = true, ok, status = 200, okDescription = 'OK', extra = {} }) {
+  return {
+    summary,
+    tags: [tag],
+    ...(auth ? {} : { security: [] }),
+    ...(params.length ? { parameters: params } : {}),
+    ...(body ? { requestBody: { required: bodyRequired, content: json(body) } } : {}),
+    responses: {
+      [status]: { description: okDescription, ...(ok ? { content: json(ok) } : {}) },
+      ...extra,
+      default: { description: 'Error', content: json(ref('Error')) }
+    }
+  };
+}
+
+const message = obj({ message: str() }, ['message']);
+const withMessage = (properties, required = []) => obj({ message: str(), ...properties }, ['message', ...required]);
+const divisionId = pathParam('id', 'Division id');
+const credId = pathParam('credId', 'Credential id');
+
+// Credential fields accepted on create / update
+const credentialInput = {
+  system: text(),
+  username: text(),
+  password: text(1000),
+  rotationIntervalDays: nullable(int({ minimum: 1, maximum: 3650 })),
+  tags: { oneOf: [str({ description: 'Comma-separated' }), arr(str({ maxLength: 40 }), { maxItems: 20 })] },
+  notes: nullable(str({ maxLength: 2000 }))
+};
+
+const generatorRulesInput = obj({
+  length: int({ minimum: 8, maximum: 128 }),
+  lower: bool,
+  upper: bool,
+  digits: bool,
+  symbols: bool,
+  excludeAmbiguous: bool
+});
+
+const ACCESS_REQUEST_STATUSES = ['pending', 'approved', 'denied', 'cancelled'];
+
+const importInput = {
+  csv: str({ description: 'CSV text' }),
+  hasHeader: bool,
+  mapping: { type: 'object', description: 'field -> 0-based column index', additionalProperties: int({ minimum: 0 }) },
+  bundle: { type: 'object', description: 'Encrypted bundle from POST /export' },
+  passphrase: str()
+};
+
+function components() {
+  return {
+    securitySchemes: {
+      bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKey: {
+        type: 'apiKey', in: 'header', name: 'Authorization',
+        description: '"ApiKey svc_..." - service account key, limited to its divisions and credential actions'
+      }
+    },
+    schemas: {
+      Error: obj({
+        error: str(),
+        code: str({ description: 'Machine-readable reason, e.g. VALIDATION_FAILED, TOKEN_EXPIRED' }),
+        fields: arr(ref('FieldError'), { description: 'Present when code is VALIDATION_FAILED' }),
+        problems: arr(str(), { description: 'Password policy failures' })
+      }, ['error']),
+      FieldError: obj({
+        field: str({ description: 'Where the value was, e.g. body.tags[2], params.id, query.page' }),
+        message: str()
+      }, ['field', 'message']),
+      Membership: obj({
+        ouId: id, divisionId: id, role: str({ enum: membershipRoles() }),
+        startsAt: nullable({ ...dateTime, description: 'Access begins then; null = right away' }),
+        expiresAt: nullable({ ...dateTime, description: 'Access ends then; null = until removed' }),
+        status: str({ enum: ['scheduled', 'active', 'expired'], description: 'Expired ones are removed by the grant sweeper' })
+      }, ['ouId', 'divisionId', 'role']),
+      User: obj({
+        id,
+        name: str(),
+        email: str(),
+        role: str({ enum: globalRoles() }),
+        memberships: arr(ref('Membership')),
+        emailVerified: bool,
+        twoFactorEnabled: bool
+      }, ['id', 'email', 'role', 'memberships']),
+      UserSummary: obj({
+        id, name: str(), email: str(), role: str(), memberships: arr(ref('Membership'))
+      }, ['id', 'email', 'role', 'memberships']),
+      Session: obj({ message: str(), token: str(), refreshToken: str(), user: ref('User') }, ['token', 'refreshToken', 'user']),
+      TwoFactorSetup: obj({ secret: str(), otpauthUrl: str(), qrDataUrl: str() }, ['secret', 'otpauthUrl', 'qrDataUrl']),
+      Rotation: obj({
+        intervalDays: nullable(int()),
+        dueAt: nullable(dateTime),
+        status: str({ enum: ['overdue', 'soon', 'ok', 'unscheduled'] })
+      }, ['status']),
+      Credential: obj({
+        _id: id,
+        system: str(),
+        username: str(),
+        version: int(),
+        updatedBy: { nullable: true, description: 'User id (in history responses: { id, name, email })' },
+        updatedAt: nullable(dateTime),
+        lastRotatedAt: nullable(dateTime),
+        rotationIntervalDays: nullable(int()),
+        rotation: ref('Rotation'),
+        tags: arr(str()),
+        notes: str()
+      }, ['_id', 'system', 'username', 'version', 'rotation', 'tags', 'notes']),
+      TrashEntry: obj({
+        _id: id, system: str(), username: str(), version: int(),
+        deletedBy: nullable(id), deletedAt: dateTime, purgeableAt: dateTime
+      }, ['_id', 'system', 'username', 'deletedAt', 'purgeableAt']),
+      GeneratorRules: obj({
+        length: int(), lower: bool, upper: bool, digits: bool, symbols: bool, excludeAmbiguous: bool
+      }, ['length', 'lower', 'upper', 'digits', 'symbols', 'excludeAmbiguous']),
+      StructureOu: obj({
+        ouId: id,
+        ouName: str(),
+        divisions: arr(obj({ divisionId: id, divisionName: str() }, ['divisionId', 'divisionName']))
+      }, ['ouId', 'ouName', 'divisions']),
+      ImportRow: obj({
+        line: int(), system: str(), username: str(), rotationIntervalDays: nullable(int()),
+        error: nullable(str()), status: str({ enum: ['new', 'duplicate', 'repeated', 'invalid'] })
+      }, ['line', 'status']),
+      StaleItem: obj({
+        ouId: id, ouName: str(), divisionId: id, divisionName: str(), credentialId: id,
+        system: str(), username: str(), lastRotatedAt: nullable(dateTime),
+        intervalDays: nullable(int()), dueAt: nullable(dateTime), daysOverdue: int(), daysLeft: int()
+      }, ['divisionId', 'credentialId', 'system', 'username']),
+      ApiKey: obj({
+        id, label: str(), hint: str({ description: 'Last characters of the key' }),
+        divisions: arr(id), actions: arr(str()), expiresAt: dateTime,
+        lastUsedAt: nullable(dateTime), lastUsedIp: nullable(str()), createdAt: dateTime,
+        revokedAt: nullable(dateTime), status: str({ enum: ['active', 'expired', 'revoked'] })
+      }, ['id', 'divisions', 'actions', 'expiresAt', 'status']),
+      ServiceAccount: obj({
+        id, name: str(), description: str(), createdAt: dateTime, keys: arr(ref('ApiKey'))
+      }, ['id', 'name', 'keys']),
+      AccessRequest: obj({
+        id, ouId: id, divisionId: id, ouName: nullable(str()), divisionName: nullable(str()),
+        role: str({ enum: membershipRoles() }), justification: str(),
+        status: str({ enum: ACCESS_REQUEST_STATUSES }),
+        createdAt: dateTime, decidedAt: nullable(dateTime), decisionNote: str(), expiresAt: nullable(dateTime),
+        requester: nullable(ref('Person')), decidedBy: nullable(ref('Person'))
+      }, ['id', 'divisionId', 'role', 'status', 'createdAt']),
+      Person: obj({ id, name: str(), email: str() }, ['id']),
+      AuditEntry: obj({
+        id, at: dateTime, actor: nullable(id), actorEmail: nullable(str()), action: str(),
+        targetDivision: nullable(id), targetUser: nullable(id),
+        outcome: str(), status: int(), ip: nullable(str()), details: nullable({ type: 'object' })
+      }, ['id', 'at', 'action', 'outcome'])
+    }
+  };
+}
+
+function paths() {
+  const roles = globalRoles();
+  return {
+    '/health': {
+      get: op({ summary: 'Health check', tag: 'Meta', auth: false, ok: obj({ status: str() }, ['status']) })
+    },
+    '/api/openapi.json': {
+      get: op({ summary: 'This document', tag: 'Meta', auth: false, ok: { type: 'object' } })
+    },
+
+    // --- Auth ---
+    '/api/register': {
+      post: op({
+        summary: 'Register (role: normal)', tag: 'Auth', auth: false, status: 201,
+        body: obj({ name: text(100), email: text(254), password: text(1000) }, ['name', 'email', 'password']),
+        ok: ref('Session')
+      })
+    },
+    '/api/login': {
+      post: op({
+        summary: 'Log in; may ask for a second factor or 2FA enrollment instead', tag: 'Auth', auth: false,
+        body: obj({ email: text(254), password: text(1000) }, ['email', 'password']),
+        ok: obj({
+          message: str(), token: str(), refreshToken: str(), user: ref('User'),
+          twoFactorRequired: bool, twoFactorSetupRequired: bool, challengeToken: str()
+        }, ['message'])
+      })
+    },
+    '/api/login/2fa': {
+      post: op({
+        summary: 'Second login step: authentication or recovery code', tag: 'Auth', auth: false,
+        body: obj({ challengeToken: text(4000), code: str({ maxLength: 20 }), recoveryCode: str({ maxLength: 40 }) }, ['challengeToken']),
+        ok: { allOf: [ref('Session'), obj({ recoveryCodesLeft: int() })] }
+      })
+    },
+    '/api/login/2fa/setup': {
+      post: op({
+        summary: 'Start forced 2FA enrollment during login', tag: 'Auth', auth: false,
+        body: obj({ challengeToken: text(4000) }, ['challengeToken']),
+        ok: ref('TwoFactorSetup')
+      })
+    },
+    '/api/login/2fa/enroll': {
+      post: op({
+        summary: 'Finish forced 2FA enrollment and log in', tag: 'Auth', auth: false,
+        body: obj({ challengeToken: text(4000), code: text(20) }, ['challengeToken', 'code']),
+        ok: { allOf: [ref('Session'), obj({ recoveryCodes: arr(str()) }, ['recoveryCodes'])] }
+      })
+    },
+    '/api/token/refresh': {
+      post: op({
+        summary: 'Trade a refresh token for new tokens', tag: 'Auth', auth: false,
+        body: obj({ refreshToken: text(4000) }, ['refreshToken']),
+        ok: ref('Session')
+      })
+    },
+    '/api/logout': {
+      post: op({
+        summary: 'End the session behind a refresh token', tag: 'Auth', auth: false,
+        body: obj({ refreshToken: text(4000) }, ['refreshToken']),
+        ok: message
+      })
+    },
+    '/api/me/permissions': {
+      get: op({
+        summary: "Signed-in user's effective permissions", tag: 'Auth',
+        ok: obj({ role: str(), memberships: arr(ref('Membership')), permissions: { type: 'object' } }, ['role', 'memberships', 'permissions'])
+      })
+    },
+
+    // --- Password reset / email verification ---
+    '/api/password/policy': {
+      get: op({
+        summary: 'Password rules', tag: 'Account', auth: false,
+        ok: obj({ minLength: int(), minClasses: int(), classes: arr(str()), historySize: int(), rejectsCommonPasswords: bool },
+          ['minLength', 'minClasses'])
+      })
+    },
+    '/api/password/forgot': {
+      post: op({ summary: 'Email a reset link', tag: 'Account', auth: false, body: obj({ email: text(254) }, ['email']), ok: message })
+    },
+    '/api/password/reset': {
+      post: op({
+        summary: 'Set a new password with a reset token', tag: 'Account', auth: false,
+        body: obj({ token: text(200), password: text(1000) }, ['token', 'password']),
+        ok: message
+      })
+    },
+    '/api/email/verify': {
+      post: op({
+        summary: 'Confirm the email address', tag: 'Account', auth: false,
+        body: obj({ token: text(200) }, ['token']),
+        ok: withMessage({ user: ref('User') }, ['user'])
+      })
+    },
+    '/api/email/verify/resend': {
+      post: op({ summary: 'Send a new verification link', tag: 'Account', ok: message })
+    },
+
+    // --- Two-factor authentication ---
+    '/api/2fa': {
+      get: op({
+        summary: '2FA status of the signed-in user', tag: 'Two-factor',
+        ok: obj({ enabled: bool, required: bool, recoveryCodesLeft: int() }, ['enabled', 'required', 'recoveryCodesLeft'])
+      })
+    },
+    '/api/2fa/setup': {
+      post: op({ summary: 'Start 2FA setup', tag: 'Two-factor', ok: ref('TwoFactorSetup') })
+    },
+    '/api/2fa/enable': {
+      post: op({
+        summary: 'Confirm 2FA setup with a first code', tag: 'Two-factor',
+        body: obj({ code: text(20) }, ['code']),
+        ok: withMessage({ recoveryCodes: arr(str()) }, ['recoveryCodes'])
+      })
+    },
+    '/api/2fa/disable': {
+      post: op({
+        summary: 'Turn 2FA off', tag: 'Two-factor',
+        body: obj({ password: text(1000), code: str({ maxLength: 20 }), recoveryCode: str({ maxLength: 40 }) }, ['password']),
+        ok: message
+      })
+    },
+    '/api/2fa/recovery-codes': {
+      post: op({
+        summary: 'Replace the recovery codes', tag: 'Two-factor',
+        body: obj({ code: text(20) }, ['code']),
+        ok: withMessage({ recoveryCodes: arr(str()) }, ['recoveryCodes'])
+      })
+    },
+    '/api/admin/settings/2fa': {
+      get: op({ summary: 'Roles that must use 2FA', tag: 'Admin', ok: obj({ requiredRoles: arr(str()) }, ['requiredRoles']) }),
+      put: op({
+        summary: 'Change the roles that must use 2FA', tag: 'Admin',
+        body: obj({ requiredRoles: arr(str({ enum: roles })) }, ['requiredRoles']),
+        ok: withMessage({ requiredRoles: arr(str()), signedOutSessions: int() }, ['requiredRoles'])
+      })
+    },
+
+    // --- Lockouts / reports ---
+    '/api/admin/lockouts': {
+      get: op({
+        summary: 'Locked accounts and addresses', tag: 'Admin',
+        ok: obj({
+          items: arr(obj({ key: str(), scope: str(), value: str(), lockedUntil: dateTime, lockCount: int() }, ['key', 'scope', 'value']))
+        }, ['items'])
+      }),
+      delete: op({
+        summary: 'Clear a lockout', tag: 'Admin',
+        params: [query('key', str({ pattern: '^(account|ip):.', 'x-pattern-message': 'must be "account:<email>" or "ip:<address>"' }), 'account:<email> or ip:<address>', true)],
+        ok: message
+      })
+    },
+    '/api/reports/stale-credentials': {
+      get: op({
+        summary: 'Overdue, soon due and never rotated credentials', tag: 'Reports',
+        params: [query('soonDays', { type: 'number', minimum: 0 }, '"Due soon" window in days')],
+        ok: obj({
+          overdue: arr(ref('StaleItem')), soon: arr(ref('StaleItem')), neverRotated: arr(ref('StaleItem')),
+          soonDays: { type: 'number' }, generatedAt: dateTime
+        }, ['overdue', 'soon', 'neverRotated'])
+      })
+    },
+
+    // --- Org structure ---
+    '/api/dev/divisions': {
+      get: op({ summary: 'OUs and divisions (dev)', tag: 'Structure', ok: obj({ items: arr(ref('StructureOu')) }, ['items']) })
+    },
+    '/api/structure/ous': {
+      get: op({ summary: 'OUs and divisions', tag: 'Structure', ok: obj({ items: arr(ref('StructureOu')) }, ['items']) }),
+      post: op({
+        summary: 'Create an OU', tag: 'Structure', status: 201,
+        body: obj({ name: text(100) }, ['name']),
+        ok: withMessage({ ou: ref('StructureOu') }, ['ou'])
+      })
+    },
+    '/api/structure/ous/{ouId}': {
+      put: op({
+        summary: 'Rename an OU', tag: 'Structure', params: [pathParam('ouId', 'OU id')],
+        body: obj({ name: text(100) }, ['name']), ok: message
+      }),
+      delete: op({ summary: 'Delete an empty OU', tag: 'Structure', params: [pathParam('ouId', 'OU id')], ok: message })
+    },
+    '/api/structure/ous/{ouId}/divisions': {
+      post: op({
+        summary: 'Create a division', tag: 'Structure', status: 201, params: [pathParam('ouId', 'OU id')],
+        body: obj({ name: text(100) }, ['name']),
+        ok: withMessage({ division: obj({ divisionId: id, divisionName: str() }, ['divisionId', 'divisionName']) }, ['division'])
+      })
+    },
+    '/api/structure/ous/{ouId}/divisions/{divisionId}': {
+      put: op({
+        summary: 'Rename a division', tag: 'Structure',
+        params: [pathParam('ouId', 'OU id'), pathParam('divisionId', 'Division id')],
+        body: obj({ name: text(100) }, ['name']), ok: message
+      }),
+      delete: op({
+        summary: 'Delete a division, optionally moving its contents', tag: 'Structure',
+        params: [pathParam('ouId', 'OU id'), pathParam('divisionId', 'Division id'),
+          query('migrateTo', id, 'Division that receives the credentials and users')],
+        ok: message
+      })
+    },
+    '/api/structure/ous/{ouId}/divisions/{divisionId}/move': {
+      post: op({
+        summary: 'Move a division to another OU', tag: 'Structure',
+        params: [pathParam('ouId', 'OU id'), pathParam('divisionId', 'Division id')],
+        body: obj({ targetOuId: id }, ['targetOuId']), ok: message
+      })
+    },
+
+    // --- Credentials ---
+    '/api/credentials/search': {
+      get: op({
+        summary: 'Search credentials in every readable division', tag: 'Credentials',
+        params: [
+          query('q', str({ minLength: 2, maxLength: 200 }), 'Text to find in system, username, tags or notes', true),
+          query('sort', str({ enum: ['system', 'username', 'division', 'updatedAt'] }), 'Sort key (default system)'),
+          query('order', str({ enum: ['asc', 'desc'] }), 'Sort order (default asc)'),
+          ...pageParams(100, 20)
+        ],
+        ok: obj({
+          items: arr(obj({ ouId: id, ouName: str(), divisionId: id, divisionName: str(), credential: ref('Credential') },
+            ['ouId', 'divisionId', 'credential'])),
+          page: int(), limit: int(), total: int()
+        }, ['items', 'page', 'limit', 'total'])
+      })
+    },
+    '/api/divisions/{id}/credentials': {
+      get: op({
+        summary: "A division's credentials (no passwords)", tag: 'Credentials', params: [divisionId],
+        ok: obj({
+          division: obj({ id, name: str() }, ['id', 'name']),
+          credentials: arr(ref('Credential')),
+          rotationIntervalDays: nullable(int())
+        }, ['division', 'credentials'])
+      }),
+      post: op({
+        summary: 'Add a credential', tag: 'Credentials', status: 201, params: [divisionId],
+        body: obj(credentialInput, ['system', 'username', 'password']),
+        ok: withMessage({ credentials: arr(ref('Credential')) }, ['credentials'])
+      })
+    },
+    '/api/divisions/{id}/credentials/{credId}': {
+      put: op({
+        summary: 'Change a credential', tag: 'Credentials', params: [divisionId, credId],
+        body: obj(credentialInput),
+        ok: withMessage({ credential: ref('Credential') }, ['credential'])
+      }),
+      delete: op({
+        summary: 'Move a credential to the trash', tag: 'Credentials', params: [divisionId, credId],
+        ok: withMessage({ trashed: ref('TrashEntry') }, ['trashed'])
+      })
+    },
+    '/api/divisions/{id}/credentials/generate': {
+      post: op({
+        summary: "Random password with the division's rules (body overrides them)", tag: 'Credentials', params: [divisionId],
+        body: generatorRulesInput, bodyRequired: false,
+        ok: obj({ password: str(), rules: ref('GeneratorRules') }, ['password', 'rules'])
+      })
+    },
+    '/api/divisions/{id}/credentials/{credId}/reveal': {
+      post: op({
+        summary: 'Decrypt a password (audited)', tag: 'Credentials', params: [divisionId, credId],
+        body: obj({ versionId: id }), bodyRequired: false,
+        ok: obj({ password: str(), version: int() }, ['password'])
+      })
+    },
+    '/api/divisions/{id}/credentials/{credId}/history': {
+      get: op({
+        summary: 'Earlier versions of a credential', tag: 'Credentials', params: [divisionId, credId],
+        ok: obj({
+          credential: ref('Credential'),
+          history: arr(obj({
+            id, version: int(), system: str(), username: str(),
+            updatedBy: { nullable: true, type: 'object' }, updatedAt: nullable(dateTime),
+            replacedBy: { nullable: true, type: 'object' }, replacedAt: nullable(dateTime)
+          }, ['id', 'version']))
+        }, ['credential', 'history'])
+      })
+    },
+    '/api/divisions/{id}/credentials/{credId}/history/{versionId}/restore': {
+      post: op({
+        summary: 'Roll a credential back to an earlier version', tag: 'Credentials',
+        params: [divisionId, credId, pathParam('versionId', 'Version id')],
+        ok: withMessage({ credential: ref('Credential') }, ['credential'])
+      })
+    },
+    '/api/divisions/{id}/trash': {
+      get: op({
+        summary: "A division's trash", tag: 'Credentials', params: [divisionId],
+        ok: obj({ retentionDays: int(), items: arr(ref('TrashEntry')) }, ['retentionDays', 'items'])
+      }),
+      delete: op({
+        summary: 'Purge every trashed credential past retention', tag: 'Credentials', params: [divisionId],
+        ok: withMessage({ purged: int() }, ['purged'])
+      })
+    },
+    '/api/divisions/{id}/trash/{credId}': {
+      delete: op({ summary: 'Purge one trashed credential', tag: 'Credentials', params: [divisionId, credId], ok: message })
+    },
+    '/api/divisions/{id}/trash/{credId}/restore': {
+      post: op({
+        summary: 'Restore a trashed credential', tag: 'Credentials', params: [divisionId, credId],
+        ok: withMessage({ credential: ref('Credential') }, ['credential'])
+      })
+    },
+    '/api/divisions/{id}/generator-rules': {
+      get: op({
+        summary: "Division's password generator rules", tag: 'Divisions', params: [divisionId],
+        ok: obj({ rules: ref('GeneratorRules'), custom: bool, limits: obj({ minLength: int(), maxLength: int() }) }, ['rules', 'custom'])
+      }),
+      put: op({
+        summary: 'Change the generator rules ({ reset: true } for the defaults)', tag: 'Divisions', params: [divisionId],
+        body: { allOf: [generatorRulesInput, obj({ reset: bool })] },
+        ok: withMessage({ rules: ref('GeneratorRules'), custom: bool }, ['rules', 'custom'])
+      })
+    },
+    '/api/divisions/{id}/rotation': {
+      put: op({
+        summary: "Division's default rotation interval", tag: 'Divisions', params: [divisionId],
+        body: obj({ rotationIntervalDays: nullable(int({ minimum: 1, maximum: 3650 })) }, ['rotationIntervalDays']),
+        ok: withMessage({ rotationIntervalDays: nullable(int()) }, ['rotationIntervalDays'])
+      })
+    },
+    '/api/divisions/{id}/import/preview': {
+      post: op({
+        summary: 'Check a CSV or bundle import without writing', tag: 'Import / export', params: [divisionId],
+        body: obj(importInput),
+        ok: obj({
+          columns: arr(str()), mapping: { type: 'object' }, source: nullable({ type: 'object' }),
+          rows: arr(ref('ImportRow')),
+          summary: obj({ total: int(), new: int(), duplicate: int(), repeated: int(), invalid: int() })
+        }, ['rows', 'summary'])
+      })
+    },
+    '/api/divisions/{id}/import': {
+      post: op({
+        summary: 'Import credentials from CSV or a bundle', tag: 'Import / export', params: [divisionId],
+        body: obj({ ...importInput, onDuplicate: str({ enum: ['skip', 'overwrite'] }) }),
+        ok: withMessage({
+          created: int(), updated: int(),
+          skipped: arr(obj({ line: int(), status: str(), error: str() }, ['line', 'status'])),
+          credentials: arr(ref('Credential'))
+        }, ['created', 'updated', 'skipped', 'credentials'])
+      })
+    },
+    '/api/divisions/{id}/export': {
+      post: op({
+        summary: 'Download credentials as CSV or an encrypted bundle', tag: 'Import / export', params: [divisionId],
+        body: obj({ format: str({ enum: ['csv', 'bundle'] }), passphrase: str() }),
+        bodyRequired: false,
+        ok: obj({ format: str(), version: int(), kdf: str(), salt: str(), iv: str(), tag: str(), data: str() }),
+        okDescription: 'Bundle (format "bundle") or text/csv (format "csv")'
+      })
+    },
+    '/api/admin/credentials/reencrypt': {
+      post: op({
+        summary: 'Re-encrypt every secret under the active key', tag: 'Admin',
+        ok: { allOf: [message, { type: 'object' }] }
+      })
+    },
+
+    // --- Users ---
+    '/api/users': {
+      get: op({
+        summary: 'One page of users', tag: 'Users',
+        params: [
+          query('q', str({ maxLength: 200 }), 'Part of the name or email'),
+          query('role', str({ enum: roles }), 'Global role'),
+          query('ou', id, 'Members of this OU'),
+          query('division', id, 'Members of this division'),
+          query('unassigned', bool, 'Only users without memberships'),
+          query('sort', str({ enum: ['name', 'email', 'role'] }), 'Sort key (default name)'),
+          query('order', str({ enum: ['asc', 'desc'] }), 'Sort order (default asc)'),
+          ...pageParams(100, 25)
+        ],
+        ok: obj({ items: arr(ref('UserSummary')), page: int(), limit: int(), total: int() }, ['items', 'page', 'limit', 'total'])
+      })
+    },
+    '/api/users/bulk': {
+      post: op({
+        summary: 'Assign, unassign or change the role of many users (all-or-nothing)', tag: 'Users',
+        body: obj({
+          action: str({ enum: ['assign', 'unassign', 'setRole'] }),
+          userIds: arr(id, { minItems: 1, maxItems: 500 }),
+          ouId: id,
+          divisionId: id,
+          role: str({ enum: [...roles, ...membershipRoles()] }),
+          startsAt: nullable({ ...dateTime, description: 'assign: access begins then; omit to keep, null = right away' }),
+          expiresAt: nullable({ ...dateTime, description: 'assign: access ends then; omit to keep, null = until removed' })
+        }, ['action', 'userIds']),
+        ok: withMessage({
+          applied: bool,
+          results: arr(obj({ userId: id, outcome: str(), error: str(), previousRole: str() }, ['userId', 'outcome'])),
+          users: arr(ref('User')),
+          requireReLogin: bool
+        }, ['applied', 'results'])
+      })
+    },
+    '/api/users/{id}/assign': {
+      post: op({
+        summary: 'Add a user to a division (or change their role / time window there)', tag: 'Users',
+        params: [pathParam('id', 'User id')],
+        body: obj({
+          ouId: id, divisionId: id, role: str({ enum: membershipRoles() }),
+          startsAt: nullable({ ...dateTime, description: 'Access begins then; omit to keep, null = right away' }),
+          expiresAt: nullable({ ...dateTime, description: 'Access ends then; omit to keep, null = until removed' })
+        }, ['ouId', 'divisionId']),
+        ok: withMessage({ user: ref('User') }, ['user'])
+      }),
+      delete: op({
+        summary: 'Remove one membership, or all of them', tag: 'Users',
+        params: [pathParam('id', 'User id'), query('divisionId', id, 'Membership to remove (omit for all)')],
+        ok: withMessage({ user: ref('User') }, ['user'])
+      })
+    },
+    '/api/users/{id}/role': {
+      put: op({
+        summary: "Change a user's global role", tag: 'Users', params: [pathParam('id', 'User id')],
+        body: obj({ role: str({ enum: roles }) }, ['role']),
+        ok: withMessage({ user: ref('User'), requireReLogin: bool }, ['user'])
+      })
+    },
+
+    // --- Access requests ---
+    '/api/access-requests': {
+      get: op({
+        summary: 'Access request queue (default: pending)', tag: 'Access requests',
+        params: [query('status', str({ enum: ['all', ...ACCESS_REQUEST_STATUSES] }), 'Status to list'), ...pageParams(100, 25)],
+        ok: obj({ items: arr(ref('AccessRequest')), page: int(), limit: int(), total: int() }, ['items', 'page', 'limit', 'total'])
+      }),
+      post: op({
+        summary: 'Ask for access to a division', tag: 'Access requests', status: 201,
+        body: obj({ divisionId: id, role: str({ enum: membershipRoles() }), justification: text(1000) }, ['divisionId', 'justification']),
+        ok: withMessage({ request: ref('AccessRequest') }, ['request'])
+      })
+    },
+    '/api/access-requests/mine': {
+      get: op({
+        summary: "The signed-in user's access requests", tag: 'Access requests',
+        ok: obj({ items: arr(ref('AccessRequest')) }, ['items'])
+      })
+    },
+    '/api/access-requests/{id}/cancel': {
+      post: op({
+        summary: 'Withdraw an own pending request', tag: 'Access requests', params: [pathParam('id', 'Access request id')],
+        ok: withMessage({ request: ref('AccessRequest') }, ['request'])
+      })
+    },
+    '/api/access-requests/{id}/approve': {
+      post: op({
+        summary: 'Approve: grant the membership, optionally until expiresAt', tag: 'Access requests',
+        params: [pathParam('id', 'Access request id')], bodyRequired: false,
+        body: obj({
+          role: str({ enum: membershipRoles() }),
+          startsAt: nullable({ ...dateTime, description: 'Access begins then; omit to keep, null = right away' }),
+          expiresAt: nullable({ ...dateTime, description: 'Access ends then; omit to keep, null = until removed' }),
+          note: str({ maxLength: 500 })
+        }),
+        ok: withMessage({ request: ref('AccessRequest') }, ['request'])
+      })
+    },
+    '/api/access-requests/{id}/deny': {
+      post: op({
+        summary: 'Deny a pending request', tag: 'Access requests',
+        params: [pathParam('id', 'Access request id')], bodyRequired: false,
+        body: obj({ note: str({ maxLength: 500 }) }),
+        ok: withMessage({ request: ref('AccessRequest') }, ['request'])
+      })
+    },
+
+    // --- Service accounts ---
+    '/api/service-accounts': {
+      get: op({
+        summary: 'Service accounts and their API keys', tag: 'Service accounts',
+        ok: obj({
+          items: arr(ref('ServiceAccount')), actions: arr(str()), maxDays: int(), defaultDays: int()
+        }, ['items', 'actions'])
+      }),
+      post: op({
+        summary: 'Create a service account', tag: 'Service accounts', status: 201,
+        body: obj({ name: text(100), description: str({ maxLength: 500 }) }, ['name']),
+        ok: withMessage({ account: ref('ServiceAccount') }, ['account'])
+      })
+    },
+    '/api/service-accounts/{id}': {
+      delete: op({
+        summary: 'Delete a service account and its keys', tag: 'Service accounts',
+        params: [pathParam('id', 'Service account id')], ok: message
+      })
+    },
+    '/api/service-accounts/{id}/keys': {
+      post: op({
+        summary: 'Issue an API key (returned once)', tag: 'Service accounts', status: 201,
+        params: [pathParam('id', 'Service account id')],
+        body: obj({
+          divisions: arr(id, { minItems: 1, maxItems: 200 }),
+          actions: arr(str({ enum: API_KEY_ACTIONS }), { minItems: 1 }),
+          expiresInDays: int({ minimum: 1 }),
+          label: str({ maxLength: 60 })
+        }, ['divisions', 'actions']),
+        ok: withMessage({ key: str(), account: ref('ServiceAccount') }, ['key', 'account'])
+      })
+    },
+    '/api/service-accounts/{id}/keys/{keyId}': {
+      delete: op({
+        summary: 'Revoke an API key', tag: 'Service accounts',
+        params: [pathParam('id', 'Service account id'), pathParam('keyId', 'API key id')],
+        ok: withMessage({ account: ref('ServiceAccount') }, ['account'])
+      })
+    },
+
+    // --- Audit ---
+    '/api/audit': {
+      get: op({
+        summary: 'Audit log, newest first', tag: 'Audit',
+        params: [
+          query('action', str(), 'Exact action name'),
+          query('outcome', str({ enum: ['success', 'denied', 'failed', 'error'] }), 'Outcome'),
+          query('actor', str({ maxLength: 200 }), "Part of the actor's email"),
+          query('division', id, 'Target division'),
+          query('user', id, 'Target user'),
+          query('from', str({ format: 'date-time' }), 'From (date or date-time)'),
+          query('to', str({ format: 'date-time' }), 'To (a plain date covers the whole day)'),
+          ...pageParams(200, 50)
+        ],
+        ok: obj({ items: arr(ref('AuditEntry')), page: int(), limit: int(), total: int() }, ['items', 'page', 'limit', 'total'])
+      })
+    }
+  };
+}
+
+let document = null;
+
+export function openapiDocument() {
+  if (!document) {
+    document = {
+      openapi: '3.0.3',
+      info: {
+        title: 'Capstone credential manager API',
+        version: '1.0.0',
+        description: 'Invalid requests get 400 { error, code: "VALIDATION_FAILED", fields: [{ field, message }] }.'
+      },
+      servers: [{ url: '/' }],
+      security: [{ bearer: [] }, { apiKey: [] }],
+      paths: paths(),
+      components: components()
+    };
+  }
+  return document;
+}
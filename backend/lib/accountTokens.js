@@ -0,0 +1,122 @@
+// backend/lib/accountTokens.js
+// -------------------------------------------------------------
+// Single-use, expiring tokens sent by email (password reset,
+// email verification). Only a SHA-256 hash is stored; a token is
+// consumed atomically, so it can't be used twice. Kept in Mongo, or
+// in process memory with STORAGE=memory.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { storageKind } from '../storage/index.js';
+
+export const TOKEN_PURPOSES = ['password-reset', 'email-verify'];
+
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: TOKEN_PURPOSES, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Let Mongo drop expired tokens
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// ---------- stores ----------
+// create / findUsable / consume (atomic: returns the token it used up) / invalidate
+
+function usableToken(tokenHash, purpose) {
+  return { tokenHash, purpose, usedAt: null, expiresAt: { $gt: new Date() } };
+}
+
+function mongoStore() {
+  return {
+    async create(fields) {
+      await AccountToken.create(fields);
+    },
+    async findUsable(tokenHash, purpose) {
+      return AccountToken.findOne(usableToken(tokenHash, purpose)).lean();
+    },
+    async consume(tokenHash, purpose) {
+      return AccountToken.findOneAndUpdate(usableToken(tokenHash, purpose), { usedAt: new Date() }).lean();
+    },
+    async invalidate(userId, purpose) {
+      await AccountToken.updateMany({ user: userId, purpose, usedAt: null }, { usedAt: new Date() });
+    }
+  };
+}
+
+function memoryStore() {
+  const tokens = new Map(); // tokenHash -> record
+  const usable = (tokenHash, purpose) => {
+    const t = tokens.get(tokenHash);
+    return t && t.purpose === purpose && !t.usedAt && t.expiresAt > new Date() ? t : null;
+  };
+  return {
+    async create(fields) {
+      const now = new Date();
+      for (const [hash, t] of tokens) if (t.expiresAt < now) tokens.delete(hash);
+      tokens.set(fields.tokenHash, { ...fields, user: String(fields.user), usedAt: null });
+    },
+    async findUsable(tokenHash, purpose) {
+      const t = usable(tokenHash, purpose);
+      return t ? { ...t } : null;
+    },
+    async consume(tokenHash, purpose) {
+      const t = usable(tokenHash, purpose);
+      if (!t) return null;
+      t.usedAt = new Date();
+      return { ...t };
+    },
+    async invalidate(userId, purpose) {
+      for (const t of tokens.values()) {
+        if (t.user === String(userId) && t.purpose === purpose && !t.usedAt) t.usedAt = new Date();
+      }
+    }
+  };
+}
+
+let store = null;
+function getStore() {
+  if (!store) store = storageKind() === 'memory' ? memoryStore() : mongoStore();
+  return store;
+}
+
+// Issue a new token; earlier unused tokens for the same purpose stop working
+export async function issueAccountToken(userId, purpose, ttlMs) {
+  await invalidateAccountTokens(userId, purpose);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await getStore().create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+// Look a token up without using it (e.g. to validate input first).
+// Returns the user id, or null if unknown/expired/used.
+export async function findAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  const doc = await getStore().findUsable(hashToken(token), purpose);
+  return doc ? String(doc.user) : null;
+}
+
+// Use up a token. Returns the user id, or null if unknown/expired/used.
+export async function consumeAccountToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  const doc = await getStore().consume(hashToken(token), purpose);
+  return doc ? String(doc.user) : null;
+}
+
+export async function invalidateAccountTokens(userId, purpose) {
+  await getStore().invalidate(userId, purpose);
+}
@@ -0,0 +1,82 @@
+// backend/lib/accounts.js
+// -------------------------------------------------------------
+// User account changes shared by the HTTP API (server.js) and the
+// admin CLI (cli.js): new passwords go through the password policy
+// and history, roles must exist in the policy file, and a user whose
+// role or password changes is signed out everywhere.
+//
+// Like lib/structure.js, refusals come back as { error, status }.
+// -------------------------------------------------------------
+
+import { checkPassword, hashPassword, nextPasswordHistory } from './passwordPolicy.js';
+import { globalRoles } from './policy.js';
+import { revokeUserSessions } from './sessions.js';
+import { clearLockout, accountKey } from './loginThrottle.js';
+import { getStorage } from '../storage/index.js';
+import { newUser } from '../storage/records.js';
+
+// Apply the password policy and set a new password on a user (not saved).
+// Returns the policy problems; empty means the password was set.
+export async function setUserPassword(user, password) {
+  const problems = await checkPassword(password, {
+    previousHashes: [user.passwordHash, ...(user.passwordHistory || [])]
+  });
+  if (problems.length > 0) return problems;
+
+  user.passwordHistory = nextPasswordHistory(user.passwordHash, user.passwordHistory);
+  user.passwordHash = await hashPassword(password);
+  user.passwordChangedAt = new Date();
+  return [];
+}
+
+export function passwordPolicyMessage(problems) {
+  return `Password does not meet the policy: ${problems.join('; ')}`;
+}
+
+// -> { user }, or { error, status, problems? }
+export async function createUser({ name, email, password, role = 'normal', emailVerified = false }) {
+  const storage = getStorage();
+  const roles = globalRoles();
+  if (!roles.includes(role)) return { error: `Invalid role (${roles.join(' | ')})`, status: 400 };
+  if (await storage.users.findByEmail(email)) return { error: 'Email already registered', status: 409 };
+
+  const user = newUser({ name, email, role, emailVerified, emailVerifiedAt: emailVerified ? new Date() : null });
+  const problems = await setUserPassword(user, password);
+  if (problems.length > 0) return { error: passwordPolicyMessage(problems), status: 400, problems };
+  await storage.users.create(user);
+  return { user };
+}
+
+// Change a user's global role; their sessions end if it changed.
+// -> { user, previousRole, roleChanged }
+export async function setUserRole(user, role) {
+  const result = await setUserRoles([user], role);
+  return result.error ? result : result.changes[0];
+}
+
+// The same for several users, saved all or nothing (bulk changes).
+// -> { changes: [{ user, previousRole, roleChanged }] }
+export async function setUserRoles(users, role) {
+  const roles = globalRoles();
+  if (!roles.includes(role)) return { error: `Invalid role (${roles.join(' | ')})`, status: 400 };
+
+  const changes = users.map(user => ({ user, previousRole: user.role, roleChanged: user.role !== role }));
+  for (const { user } of changes) user.role = role;
+  await getStorage().users.saveAll(changes.filter(c => c.roleChanged).map(c => c.user));
+  for (const { user, roleChanged } of changes) {
+    if (roleChanged) await revokeUserSessions(user._id, 'role changed');
+  }
+  return { changes };
+}
+
+// Set a new password (policy applies), sign the user out everywhere and
+// lift an account lockout. -> { user }, or { error, status, problems }
+export async function resetUserPassword(user, password) {
+  const problems = await setUserPassword(user, password);
+  if (problems.length > 0) return { error: passwordPolicyMessage(problems), status: 400, problems };
+
+  await getStorage().users.save(user);
+  await revokeUserSessions(user._id, 'password reset');
+  await clearLockout(accountKey(user.email));
+  return { user };
+}
@@ -0,0 +1,109 @@
+// backend/lib/apiKeys.js
+// -------------------------------------------------------------
+// Long-lived API keys for service accounts (machine access).
+//
+// A key looks like "svc_<keyId>_<secret>": the key id finds the
+// record, the secret is checked against its SHA-256 hash (the key
+// itself is never stored and is shown once, when it is issued).
+// Each key is scoped to a list of divisions and a subset of
+// API_KEY_ACTIONS, and always expires (API_KEY_MAX_DAYS at most).
+// authMiddleware accepts "Authorization: ApiKey <key>"; authorize()
+// in server.js then asks decideApiKey() instead of the role policy.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+import { newId, byId } from '../storage/records.js';
+
+// What a key can be allowed to do - division-scoped credential actions only
+export const API_KEY_ACTIONS = [
+  'credential:read',
+  'credential:reveal',
+  'credential:create',
+  'credential:generate',
+  'credential:update'
+];
+
+const KEY_PATTERN = /^svc_([0-9a-f]{24})_([A-Za-z0-9_-]{43})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 1000; // lastUsedAt is written at most once a minute per key
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+export function maxKeyDays() {
+  return Number(process.env.API_KEY_MAX_DAYS) || 365;
+}
+
+export function defaultKeyDays() {
+  return Math.min(Number(process.env.API_KEY_DEFAULT_DAYS) || 90, maxKeyDays());
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// A fresh key: { key (plain text, show once), record fields to store }
+export function generateApiKey() {
+  const keyId = newId();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    key: `svc_${keyId}_${secret}`,
+    keyId,
+    keyHash: hashSecret(secret),
+    hint: secret.slice(-4)
+  };
+}
+
+// "svc_<keyId>_<secret>" -> { keyId, secret } or null
+export function parseApiKey(raw) {
+  const match = KEY_PATTERN.exec(String(raw ?? ''));
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+// 'active' | 'expired' | 'revoked'
+export function keyStatus(key, now = new Date()) {
+  if (key.revokedAt) return 'revoked';
+  if (new Date(key.expiresAt) <= now) return 'expired';
+  return 'active';
+}
+
+// Look up and check a presented key. Returns { account, key } for a
+// usable key, otherwise null (unknown, wrong secret, revoked, expired).
+export async function verifyApiKey(raw, ip) {
+  const parsed = parseApiKey(raw);
+  if (!parsed) return null;
+
+  const storage = getStorage();
+  const account = await storage.serviceAccounts.findByKeyId(parsed.keyId);
+  const key = account && byId(account.keys, parsed.keyId);
+  if (!key) return null;
+
+  const expected = Buffer.from(key.keyHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const now = new Date();
+  if (keyStatus(key, now) !== 'active') return null;
+
+  if (!key.lastUsedAt || now - new Date(key.lastUsedAt) >= TOUCH_INTERVAL_MS) {
+    await storage.serviceAccounts.touchKey(key._id, { lastUsedAt: now, lastUsedIp: ip || null })
+      .catch(err => console.error('API key usage stamp error:', err));
+  }
+  return { account, key };
+}
+
+// Expiry for a new key from "expiresInDays" (default API_KEY_DEFAULT_DAYS)
+export function keyExpiry(days = defaultKeyDays(), now = new Date()) {
+  return new Date(now.getTime() + days * DAY_MS);
+}
+
+// Is the key (req.apiKey) allowed to do `action` on `target`?
+// Same { allowed, reason } shape as decide() in lib/policy.js.
+export function decideApiKey(apiKey, action, { divisionId } = {}) {
+  if (!apiKey.actions.includes(action)) {
+    return { allowed: false, reason: `API key is not allowed to ${action}` };
+  }
+  if (!divisionId || !apiKey.divisions.some(d => String(d) === String(divisionId))) {
+    return { allowed: false, reason: 'API key is not scoped to this division' };
+  }
+  return { allowed: true };
+}
@@ -0,0 +1,158 @@
+// backend/lib/audit.js
+// -------------------------------------------------------------
+// Append-only audit trail for credential access and user admin.
+//
+// Usage on a route (after authMiddleware):
+//   app.put('/api/users/:id/role', authMiddleware,
+//     auditTrail('user.setRole', req => ({ targetUser: req.params.id })),
+//     handler);
+//
+// The entry is written when the response finishes, so every exit
+// path is covered. Outcome comes from the status code:
+//   2xx -> success, 401/403 -> denied, other 4xx -> failed, 5xx -> error
+// Handlers can add context with res.locals.auditDetails = { ... }.
+//
+// Entries go to Mongo, or to process memory with STORAGE=memory.
+// -------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { storageKind } from '../storage/index.js';
+import { isId, newId } from '../storage/records.js';
+
+export const AUDIT_OUTCOMES = ['success', 'denied', 'failed', 'error'];
+
+const auditSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  actorEmail: { type: String, default: null },
+  action: { type: String, required: true, index: true },          // e.g. "credential.update"
+  targetDivision: { type: mongoose.Schema.Types.ObjectId, default: null, index: true },
+  targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  outcome: { type: String, enum: AUDIT_OUTCOMES, required: true },
+  status: Number,                                                 // HTTP status sent
+  ip: String,
+  details: { type: mongoose.Schema.Types.Mixed, default: undefined },
+  at: { type: Date, default: Date.now, index: true }
+}, { versionKey: false });
+
+// Append-only: refuse any update/delete through the model
+const blocked = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'];
+for (const op of blocked) {
+  auditSchema.pre(op, function () {
+    throw new Error('Audit log is append-only');
+  });
+}
+auditSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Audit log is append-only');
+});
+
+const AuditLog = mongoose.model('AuditLog', auditSchema);
+
+// ---------- stores ----------
+// append(entry) and find(query, { skip, limit }) -> { items, total }, newest first.
+// query: { action, outcome, actor (part of the email), targetDivision, targetUser, from, to }
+
+// Escape regex characters so the text is matched literally
+const literal = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function mongoStore() {
+  return {
+    async append(entry) {
+      await AuditLog.create(entry);
+    },
+    async find({ action, outcome, actor, targetDivision, targetUser, from, to }, { skip, limit }) {
+      const filter = {};
+      if (action) filter.action = action;
+      if (outcome) filter.outcome = outcome;
+      if (actor) filter.actorEmail = { $regex: literal(actor), $options: 'i' };
+      if (targetDivision) filter.targetDivision = targetDivision;
+      if (targetUser) filter.targetUser = targetUser;
+      if (from || to) filter.at = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+      const [items, total] = await Promise.all([
+        AuditLog.find(filter).sort({ at: -1 }).skip(skip).limit(limit).lean(),
+        AuditLog.countDocuments(filter)
+      ]);
+      return { items, total };
+    }
+  };
+}
+
+function memoryStore() {
+  const entries = []; // oldest first; frozen, so nothing can change them
+  return {
+    async append(entry) {
+      entries.push(Object.freeze({ _id: newId(), at: new Date(), ...entry }));
+    },
+    async find({ action, outcome, actor, targetDivision, targetUser, from, to }, { skip, limit }) {
+      const matches = entries.filter(a =>
+        (!action || a.action === action) &&
+        (!outcome || a.outcome === outcome) &&
+        (!actor || (a.actorEmail || '').toLowerCase().includes(String(actor).toLowerCase())) &&
+        (!targetDivision || String(a.targetDivision) === String(targetDivision)) &&
+        (!targetUser || String(a.targetUser) === String(targetUser)) &&
+        (!from || a.at >= from) &&
+        (!to || a.at <= to)).reverse();
+      return { items: matches.slice(skip, skip + limit), total: matches.length };
+    }
+  };
+}
+
+let store = null;
+function getStore() {
+  if (!store) store = storageKind() === 'memory' ? memoryStore() : mongoStore();
+  return store;
+}
+
+function outcomeFor(status) {
+  if (status < 400) return 'success';
+  if (status === 401 || status === 403) return 'denied';
+  if (status < 500) return 'failed';
+  return 'error';
+}
+
+// Only keep ids that are real ids (bad ids in the URL still get logged, under details)
+function asObjectId(value) {
+  return value && isId(value) ? String(value) : null;
+}
+
+// Write one entry. Never throws: auditing must not break the request.
+export async function recordAudit(entry) {
+  try {
+    await getStore().append(entry);
+  } catch (err) {
+    console.error('Audit write error:', err);
+  }
+}
+
+// Route middleware factory; `targets(req, res)` returns { targetDivision?, targetUser? }
+// (called once the response is sent, so routes can leave ids in res.locals)
+export function auditTrail(action, targets = () => ({})) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      const { targetDivision, targetUser } = targets(req, res);
+      const details = { ...res.locals.auditDetails };
+      if (req.apiKey) details.apiKey = req.apiKey.keyId; // actor is then the service account
+
+      if (targetDivision && !asObjectId(targetDivision)) details.rawDivision = String(targetDivision);
+      if (targetUser && !asObjectId(targetUser)) details.rawUser = String(targetUser);
+
+      recordAudit({
+        actor: asObjectId(req.user?.id),
+        actorEmail: req.user?.email || null,
+        action,
+        targetDivision: asObjectId(targetDivision),
+        targetUser: asObjectId(targetUser),
+        outcome: outcomeFor(res.statusCode),
+        status: res.statusCode,
+        ip: req.ip,
+        details: Object.keys(details).length ? details : undefined
+      });
+    });
+    next();
+  };
+}
+
+// One page of entries for GET /api/audit (see the stores above for the query)
+export async function findAuditEntries(query, { page, limit }) {
+  return getStore().find(query, { skip: (page - 1) * limit, limit });
+}
@@ -0,0 +1,173 @@
+// backend/lib/credentialTransfer.js
+// -------------------------------------------------------------
+// Import / export of a division's credentials.
+//
+// CSV import: the caller maps columns to fields
+//   { system: <col>, username: <col>, password: <col>, rotationIntervalDays?: <col> }
+// (<col> = 0-based column index); guessMapping() proposes one from
+// the header row. Rows are checked and flagged as duplicates of
+// existing system/username pairs before anything is written.
+//
+// Encrypted bundle: JSON that can be carried to another division or
+// instance. The credential list is encrypted with AES-256-GCM under a
+// key derived from a passphrase (scrypt), independent of CREDENTIAL_KEYS.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { parseCsv } from './csv.js';
+
+export const IMPORT_FIELDS = ['system', 'username', 'password', 'rotationIntervalDays'];
+const REQUIRED_FIELDS = ['system', 'username', 'password'];
+export const BUNDLE_FORMAT = 'capstone-credentials';
+const MIN_PASSPHRASE = 8;
+
+// Header names we recognise for each field
+const HEADER_HINTS = {
+  system: /^(system|site|service|url|website|host|name|title)$/i,
+  username: /^(user ?name|user|login|email|account)$/i,
+  password: /^(password|pass|secret|pwd)$/i,
+  rotationIntervalDays: /^(rotation(interval)?(days)?|rotate ?every)$/i
+};
+
+// Propose a mapping from a header row: { field: columnIndex }
+export function guessMapping(headers) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const idx = headers.findIndex(h => HEADER_HINTS[field].test(String(h).trim()));
+    if (idx !== -1) mapping[field] = idx;
+  }
+  return mapping;
+}
+
+// Lower-cased "system / username" key used for duplicate detection
+export function duplicateKey(system, username) {
+  return `${String(system).trim().toLowerCase()}\u0000${String(username).trim().toLowerCase()}`;
+}
+
+// Check one candidate row; returns an error message or null
+function rowError(row) {
+  for (const f of REQUIRED_FIELDS) {
+    if (!row[f]) return `${f} is empty`;
+  }
+  if (row.rotationIntervalDays !== null) {
+    if (!Number.isInteger(row.rotationIntervalDays) || row.rotationIntervalDays < 1) {
+      return 'rotationIntervalDays must be a whole number of days';
+    }
+  }
+  return null;
+}
+
+// CSV text -> { columns, mapping, rows } or { error }
+// rows: [{ line, system, username, password, rotationIntervalDays, error }]
+export function rowsFromCsv(text, { mapping, hasHeader = true } = {}) {
+  let table;
+  try {
+    table = parseCsv(text);
+  } catch (err) {
+    return { error: `CSV could not be read: ${err.message}` };
+  }
+  if (table.length === 0) return { error: 'CSV is empty' };
+
+  const width = Math.max(...table.map(r => r.length));
+  const columns = hasHeader ? table[0] : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  const body = hasHeader ? table.slice(1) : table;
+  const used = mapping || guessMapping(hasHeader ? columns : []);
+
+  for (const [field, idx] of Object.entries(used)) {
+    if (!IMPORT_FIELDS.includes(field)) return { error: `Unknown field "${field}" in mapping` };
+    if (!Number.isInteger(idx) || idx < 0 || idx >= width) return { error: `Column for "${field}" is out of range` };
+  }
+
+  const cell = (r, field) => (used[field] === undefined ? '' : String(r[used[field]] ?? '').trim());
+  const rows = body.map((r, i) => {
+    const interval = cell(r, 'rotationIntervalDays');
+    const row = {
+      line: i + (hasHeader ? 2 : 1),
+      system: cell(r, 'system'),
+      username: cell(r, 'username'),
+      // Passwords may legitimately start or end with spaces
+      password: used.password === undefined ? '' : String(r[used.password] ?? ''),
+      rotationIntervalDays: interval === '' ? null : Number(interval)
+    };
+    return { ...row, error: rowError(row) };
+  });
+  return { columns, mapping: used, rows };
+}
+
+// Flag duplicates against `existingKeys` (Set of duplicateKey) and within the rows.
+// status: "invalid" | "duplicate" (already in the division) | "repeated" (earlier row) | "new"
+export function classifyRows(rows, existingKeys) {
+  const seen = new Set();
+  return rows.map(row => {
+    if (row.error) return { ...row, status: 'invalid' };
+    const key = duplicateKey(row.system, row.username);
+    const status = existingKeys.has(key) ? 'duplicate' : seen.has(key) ? 'repeated' : 'new';
+    seen.add(key);
+    return { ...row, status };
+  });
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+function bundleKey(passphrase, salt) {
+  return scrypt(String(passphrase), salt, 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+}
+
+// Encrypt { division, exportedAt, credentials: [...] } into a bundle object
+export async function encryptBundle(payload, passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  }
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await bundleKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Bundle object -> payload; throws on a wrong passphrase or a damaged bundle
+export async function decryptBundle(bundle, passphrase) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || bundle.version !== 1) {
+    throw new Error('Not a credential bundle (or an unsupported version)');
+  }
+  try {
+    const key = await bundleKey(passphrase, Buffer.from(bundle.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (err) {
+    throw new Error('Wrong passphrase or damaged bundle');
+  }
+}
+
+// Bundle -> { rows } like rowsFromCsv, or { error }
+export async function rowsFromBundle(bundle, passphrase) {
+  let payload;
+  try {
+    payload = await decryptBundle(bundle, passphrase);
+  } catch (err) {
+    return { error: err.message };
+  }
+  const rows = (payload.credentials || []).map((c, i) => {
+    const row = {
+      line: i + 1,
+      system: String(c.system ?? '').trim(),
+      username: String(c.username ?? '').trim(),
+      password: String(c.password ?? ''),
+      rotationIntervalDays: c.rotationIntervalDays ?? null,
+      lastRotatedAt: c.lastRotatedAt && !Number.isNaN(Date.parse(c.lastRotatedAt)) ? c.lastRotatedAt : null
+    };
+    return { ...row, error: rowError(row) };
+  });
+  return { source: { division: payload.division || null, exportedAt: payload.exportedAt || null }, rows };
+}
@@ -0,0 +1,52 @@
+// backend/lib/csv.js
+// -------------------------------------------------------------
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, commas and
+// line breaks inside quotes, CRLF or LF line endings.
+// -------------------------------------------------------------
+
+// Text -> array of rows (arrays of strings). Blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const src = String(text).replace(/^\uFEFF/, ''); // Excel's BOM
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  let s = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Array of rows -> CSV text (CRLF line endings)
+export function toCsv(rows) {
+  return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,105 @@
+// backend/lib/encryption.js
+// -------------------------------------------------------------
+// Encrypts credential secrets at rest with AES-256-GCM.
+//
+// Keys come from CREDENTIAL_KEYS as a comma-separated key ring:
+//   CREDENTIAL_KEYS=k2:new-master-secret,k1:old-master-secret
+// The FIRST entry is the active key used for new writes. Older
+// entries stay readable, so a rotation can run while the app is up:
+//   1) put the new key in front and restart (rolling is fine)
+//   2) call POST /api/admin/credentials/reencrypt
+//   3) drop the old key from the ring
+//
+// Stored format (one string in the `password` field):
+//   enc:v1:<keyId>:<iv b64>:<authTag b64>:<ciphertext b64>
+// Anything without the "enc:v1:" prefix is treated as legacy
+// plain text and returned as-is until it is re-encrypted.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+// Dev fallback, like JWT_SECRET in server.js. Change it in .env!
+const DEFAULT_KEYS = 'dev:super_secret_credential_key_change_me';
+
+// Turn any secret string into a 32-byte AES key
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+// Parse "id:secret,id:secret" into [{ id, key }]
+function parseKeyRing(raw) {
+  const ring = String(raw || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const idx = part.indexOf(':');
+      if (idx <= 0) throw new Error(`CREDENTIAL_KEYS entry must look like "id:secret" (got "${part}")`);
+      return { id: part.slice(0, idx), key: deriveKey(part.slice(idx + 1)) };
+    });
+  if (ring.length === 0) throw new Error('CREDENTIAL_KEYS must contain at least one key');
+  return ring;
+}
+
+// Read lazily: ES module imports run before dotenv.config() in server.js
+let keyRing = null;
+function getKeyRing() {
+  if (!keyRing) {
+    if (!process.env.CREDENTIAL_KEYS) {
+      console.warn('CREDENTIAL_KEYS not set - using the insecure development key');
+    }
+    keyRing = parseKeyRing(process.env.CREDENTIAL_KEYS || DEFAULT_KEYS);
+  }
+  return keyRing;
+}
+
+// Id of the key used for new writes
+export function activeKeyId() {
+  return getKeyRing()[0].id;
+}
+
+// True if the value is one of our encrypted envelopes
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Id of the key a stored value was encrypted with (null for legacy plain text)
+export function keyIdOf(value) {
+  if (!isEncrypted(value)) return null;
+  return value.slice(PREFIX.length).split(':')[0];
+}
+
+// Encrypt plain text with the active key
+export function encryptSecret(plain) {
+  if (plain === undefined || plain === null) return plain;
+  const { id, key } = getKeyRing()[0];
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return PREFIX + [id, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+// Decrypt a stored value. Throws if the key is missing or the data was tampered with.
+export function decryptSecret(stored) {
+  if (!isEncrypted(stored)) return stored; // legacy plain text
+  const [id, ivB64, tagB64, dataB64] = stored.slice(PREFIX.length).split(':');
+  const entry = getKeyRing().find(k => k.id === id);
+  if (!entry) throw new Error(`No credential key with id "${id}" in CREDENTIAL_KEYS`);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(ivB64, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(dataB64, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// True if the value should be re-encrypted under the active key
+export function needsReencrypt(stored) {
+  if (stored === undefined || stored === null || stored === '') return false;
+  return keyIdOf(stored) !== activeKeyId();
+}
@@ -0,0 +1,98 @@
+// backend/lib/grants.js
+// -------------------------------------------------------------
+// Time-limited division access. A membership may carry a window:
+// startsAt (null = right away) and expiresAt (null = until removed).
+// lib/policy.js only counts a membership inside its window, so access
+// starts and ends on time whatever the sweeper does; the sweeper then
+// deletes expired memberships for good (every GRANT_SWEEP_MINUTES,
+// default 5, 0 = off) and audits each one as user.grantExpired.
+// -------------------------------------------------------------
+
+import { recordAudit } from './audit.js';
+import { getStorage } from '../storage/index.js';
+
+const SWEEPER_ACTOR = 'system:grant-sweeper';
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+function sweepIntervalMs() {
+  const minutes = Number(process.env.GRANT_SWEEP_MINUTES ?? 5);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+// The window for an assignment from a request body. A field that is left
+// out keeps the existing membership's value (a new one: right away, no
+// end); null clears it. Only a given expiresAt must lie in the future, so
+// a role change to a grant that ran out (but isn't swept yet) goes through.
+// -> { startsAt, expiresAt }, or { error, status }
+export function grantWindow(body, existing = null, now = new Date()) {
+  const pick = field => {
+    if (body[field] === undefined) return existing?.[field] ? new Date(existing[field]) : null;
+    return body[field] === null ? null : new Date(body[field]);
+  };
+  const startsAt = pick('startsAt');
+  const expiresAt = pick('expiresAt');
+
+  if ([startsAt, expiresAt].some(d => d && Number.isNaN(d.getTime()))) {
+    return { error: 'startsAt / expiresAt must be dates', status: 400 };
+  }
+  if (body.expiresAt && expiresAt <= now) return { error: 'expiresAt must be in the future', status: 400 };
+  if (startsAt && expiresAt && expiresAt <= startsAt) return { error: 'expiresAt must be after startsAt', status: 400 };
+  return { startsAt, expiresAt };
+}
+
+// Remove every membership whose expiresAt has passed. -> number removed
+export async function sweepExpiredGrants(now = new Date()) {
+  const storage = getStorage();
+  const users = await storage.users.findWithExpiredMemberships(now);
+  let removed = 0;
+
+  for (const user of users) {
+    // Only what is still expired at `now` goes (a grant extended meanwhile stays),
+    // and only what actually went is counted and audited
+    const expired = await storage.users.removeExpiredMemberships(user._id, now);
+    removed += expired.length;
+
+    for (const m of expired) {
+      await recordAudit({
+        actor: null,
+        actorEmail: SWEEPER_ACTOR,
+        action: 'user.grantExpired',
+        targetDivision: String(m.division),
+        targetUser: String(user._id),
+        outcome: 'success',
+        status: 200,
+        ip: null,
+        details: { role: m.role, startsAt: m.startsAt ?? null, expiresAt: m.expiresAt }
+      });
+    }
+  }
+  return removed;
+}
+
+let sweeper = null;
+
+// Sweep now and then every GRANT_SWEEP_MINUTES; the timer doesn't keep
+// the process alive. Returns the timer, or null when sweeping is off.
+export function startGrantSweeper() {
+  const interval = sweepIntervalMs();
+  if (!interval || sweeper) return sweeper;
+
+  let running = false;
+  const run = async () => {
+    if (running) return; // a slow sweep is never overlapped by the next one
+    running = true;
+    try {
+      const removed = await sweepExpiredGrants();
+      if (removed > 0) console.log(`Removed ${removed} expired division grant(s)`);
+    } catch (err) {
+      console.error('Grant sweep error:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  sweeper = setInterval(run, interval);
+  sweeper.unref();
+  run();
+  return sweeper;
+}
@@ -0,0 +1,208 @@
+// backend/lib/loginThrottle.js
+// -------------------------------------------------------------
+// Brute-force protection for login. Failed attempts are counted per
+// account ("account:<email>") and per client IP ("ip:<address>"):
+//   - after LOGIN_DELAY_AFTER failures, each further attempt has to
+//     wait 1s, 2s, 4s … (max 30s) since the last failure  -> 429
+//   - at LOGIN_LOCK_THRESHOLD (account) / LOGIN_IP_LOCK_THRESHOLD (IP)
+//     failures the key is locked for LOGIN_LOCK_MINUTES, doubling
+//     for every further lockout (max 24h)                  -> 423
+// Failures older than the lock period are forgotten; a successful
+// login clears the account's counter.
+//
+// State lives in Mongo or in process memory, so no Redis is needed.
+// LOGIN_THROTTLE_STORE (mongo | memory) picks one; it defaults to the
+// STORAGE backend.
+// -------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { storageKind } from '../storage/index.js';
+
+const MAX_DELAY_MS = 30 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+function settings() {
+  return {
+    delayAfter: Number(process.env.LOGIN_DELAY_AFTER) || 3,
+    accountThreshold: Number(process.env.LOGIN_LOCK_THRESHOLD) || 5,
+    ipThreshold: Number(process.env.LOGIN_IP_LOCK_THRESHOLD) || 20,
+    lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000
+  };
+}
+
+// ---------- stores ----------
+// A store keeps one record per key:
+//   { key, failures, lastFailureAt, lockedUntil, lockCount }
+// and offers get / addFailure / lock / clear / listLocked.
+
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  lockCount: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+// Let Mongo drop records nobody has touched for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+function mongoStore() {
+  const strip = (doc) => doc && {
+    key: doc.key,
+    failures: doc.failures,
+    lastFailureAt: doc.lastFailureAt,
+    lockedUntil: doc.lockedUntil,
+    lockCount: doc.lockCount
+  };
+  return {
+    async get(key) {
+      return strip(await LoginAttempt.findOne({ key }).lean());
+    },
+    // Atomic, so parallel guesses can't slip past the counter
+    async addFailure(key, now, windowMs) {
+      const cutoff = new Date(now.getTime() - windowMs);
+      const doc = await LoginAttempt.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            failures: { $cond: [{ $gt: ['$lastFailureAt', cutoff] }, { $add: ['$failures', 1] }, 1] },
+            lastFailureAt: now,
+            lockCount: { $ifNull: ['$lockCount', 0] },
+            expiresAt: new Date(now.getTime() + MAX_LOCK_MS)
+          }
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+      return strip(doc);
+    },
+    async lock(key, until) {
+      return strip(await LoginAttempt.findOneAndUpdate(
+        { key },
+        { lockedUntil: until, failures: 0, $inc: { lockCount: 1 }, expiresAt: new Date(until.getTime() + MAX_LOCK_MS) },
+        { new: true, lean: true }
+      ));
+    },
+    async clear(key) {
+      const result = await LoginAttempt.deleteOne({ key });
+      return result.deletedCount > 0;
+    },
+    async listLocked(now) {
+      const docs = await LoginAttempt.find({ lockedUntil: { $gt: now } }).sort({ lockedUntil: -1 }).lean();
+      return docs.map(strip);
+    }
+  };
+}
+
+function memoryStore() {
+  const records = new Map();
+  return {
+    async get(key) {
+      return records.has(key) ? { ...records.get(key) } : null;
+    },
+    async addFailure(key, now, windowMs) {
+      const rec = records.get(key) || { key, failures: 0, lastFailureAt: null, lockedUntil: null, lockCount: 0 };
+      rec.failures = rec.lastFailureAt && now - rec.lastFailureAt < windowMs ? rec.failures + 1 : 1;
+      rec.lastFailureAt = now;
+      records.set(key, rec);
+      return { ...rec };
+    },
+    async lock(key, until) {
+      const rec = records.get(key);
+      if (!rec) return null;
+      Object.assign(rec, { lockedUntil: until, failures: 0, lockCount: rec.lockCount + 1 });
+      return { ...rec };
+    },
+    async clear(key) {
+      return records.delete(key);
+    },
+    async listLocked(now) {
+      return [...records.values()]
+        .filter(r => r.lockedUntil && r.lockedUntil > now)
+        .sort((a, b) => b.lockedUntil - a.lockedUntil)
+        .map(r => ({ ...r }));
+    }
+  };
+}
+
+let store = null;
+function getStore() {
+  if (store) return store;
+  const kind = process.env.LOGIN_THROTTLE_STORE || storageKind();
+  if (kind === 'mongo') store = mongoStore();
+  else if (kind === 'memory') store = memoryStore();
+  else throw new Error(`Unknown LOGIN_THROTTLE_STORE "${kind}" (mongo | memory)`);
+  return store;
+}
+
+// ---------- public API ----------
+
+export function accountKey(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+}
+export function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+function delayFor(failures, delayAfter) {
+  if (failures < delayAfter) return 0;
+  return Math.min(1000 * 2 ** (failures - delayAfter), MAX_DELAY_MS);
+}
+
+// May this login attempt go ahead?
+// Returns { allowed: true } or { allowed: false, reason: 'locked' | 'throttled', scope: 'account' | 'ip', retryAfter (seconds) }
+export async function checkLoginAllowed(email, ip) {
+  const { delayAfter, lockMs } = settings();
+  const now = new Date();
+  for (const [scope, key] of [['account', accountKey(email)], ['ip', ipKey(ip)]]) {
+    const rec = await getStore().get(key);
+    if (!rec) continue;
+    if (rec.lockedUntil && rec.lockedUntil > now) {
+      return { allowed: false, reason: 'locked', scope, retryAfter: Math.ceil((rec.lockedUntil - now) / 1000) };
+    }
+    if (!rec.lastFailureAt || now - rec.lastFailureAt > lockMs) continue;
+    const waitUntil = rec.lastFailureAt.getTime() + delayFor(rec.failures, delayAfter);
+    if (waitUntil > now.getTime()) {
+      return { allowed: false, reason: 'throttled', scope, retryAfter: Math.ceil((waitUntil - now.getTime()) / 1000) };
+    }
+  }
+  return { allowed: true };
+}
+
+// Count a failed attempt; locks the account / IP once a threshold is hit.
+// Returns the keys that just got locked: [{ scope, key, lockedUntil }]
+export async function recordLoginFailure(email, ip) {
+  const { accountThreshold, ipThreshold, lockMs } = settings();
+  const now = new Date();
+  const locked = [];
+  const targets = [['account', accountKey(email), accountThreshold], ['ip', ipKey(ip), ipThreshold]];
+  for (const [scope, key, threshold] of targets) {
+    const rec = await getStore().addFailure(key, now, lockMs);
+    if (rec.failures < threshold) continue;
+    const duration = Math.min(lockMs * 2 ** rec.lockCount, MAX_LOCK_MS);
+    const lockedUntil = new Date(now.getTime() + duration);
+    await getStore().lock(key, lockedUntil);
+    locked.push({ scope, key, lockedUntil });
+  }
+  return locked;
+}
+
+export async function recordLoginSuccess(email) {
+  await getStore().clear(accountKey(email));
+}
+
+// Current lockouts for the admin screen
+export async function listLockouts() {
+  const locked = await getStore().listLocked(new Date());
+  return locked.map(r => {
+    const [scope, ...rest] = r.key.split(':');
+    return { key: r.key, scope, value: rest.join(':'), lockedUntil: r.lockedUntil, lockCount: r.lockCount };
+  });
+}
+
+// Clear one key ("account:<email>" / "ip:<address>"); returns false if there was nothing to clear
+export async function clearLockout(key) {
+  return getStore().clear(key);
+}
@@ -0,0 +1,77 @@
+// backend/lib/mail.js
+// -------------------------------------------------------------
+// Outgoing mail behind a small transport interface:
+//   transport.send({ to, subject, text }) -> Promise
+//
+// MAIL_TRANSPORT picks the implementation:
+//   "console" (default) -> prints the message, handy in dev
+//   "file"              -> writes one .json file per message to MAIL_DIR
+//   "smtp"              -> real delivery via SMTP_HOST / SMTP_PORT /
+//                          SMTP_USER / SMTP_PASS (SMTP_SECURE=true for TLS)
+// MAIL_FROM sets the sender address.
+// -------------------------------------------------------------
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+export function consoleTransport() {
+  return {
+    async send(message) {
+      console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    }
+  };
+}
+
+// Keeps messages on disk so tests / offline setups can read them back
+export function fileTransport(dir) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+  };
+}
+
+export function smtpTransport(options) {
+  const transporter = nodemailer.createTransport(options);
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+let transport = null;
+function getTransport() {
+  if (transport) return transport;
+  const kind = process.env.MAIL_TRANSPORT || 'console';
+  if (kind === 'smtp') {
+    transport = smtpTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  } else if (kind === 'file') {
+    transport = fileTransport(process.env.MAIL_DIR || './mail-outbox');
+  } else if (kind === 'console') {
+    transport = consoleTransport();
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (console | file | smtp)`);
+  }
+  return transport;
+}
+
+// Swap the transport (e.g. an in-memory one in tests)
+export function setTransport(t) {
+  transport = t;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'Capstone Auth <no-reply@localhost>';
+  await getTransport().send({ from, to, subject, text });
+}
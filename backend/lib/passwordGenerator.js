@@ -0,0 +1,71 @@
+// backend/lib/passwordGenerator.js
+// -------------------------------------------------------------
+// Random passwords for division credentials.
+// Rules: { length, lower, upper, digits, symbols, excludeAmbiguous }
+//   - every enabled character set appears at least once
+//   - excludeAmbiguous drops look-alikes such as 0/O, 1/l/I
+// Uses crypto.randomInt, so there's no modulo bias.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+
+export const CHARSETS = {
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!@#$%^&*()-_=+[]{};:,.<>?/~'
+};
+const AMBIGUOUS = '0O1lI|;:,.`\'"';
+
+export const MIN_LENGTH = 8;
+export const MAX_LENGTH = 128;
+
+export const DEFAULT_RULES = {
+  length: 20,
+  lower: true,
+  upper: true,
+  digits: true,
+  symbols: true,
+  excludeAmbiguous: true
+};
+
+// Merge `input` over `base` and check the result.
+// Returns { rules } or { error }.
+export function resolveRules(input = {}, base = DEFAULT_RULES) {
+  const rules = { ...DEFAULT_RULES, ...base };
+  if (input.length !== undefined) rules.length = Number(input.length);
+  for (const key of [...Object.keys(CHARSETS), 'excludeAmbiguous']) {
+    if (input[key] !== undefined) {
+      if (typeof input[key] !== 'boolean') return { error: `${key} must be true or false` };
+      rules[key] = input[key];
+    }
+  }
+
+  if (!Number.isInteger(rules.length) || rules.length < MIN_LENGTH || rules.length > MAX_LENGTH) {
+    return { error: `length must be a whole number from ${MIN_LENGTH} to ${MAX_LENGTH}` };
+  }
+  if (!Object.keys(CHARSETS).some(k => rules[k])) {
+    return { error: 'Enable at least one character set (lower, upper, digits, symbols)' };
+  }
+  return { rules };
+}
+
+function pick(chars) {
+  return chars[crypto.randomInt(chars.length)];
+}
+
+export function generatePassword(rules) {
+  const sets = Object.keys(CHARSETS)
+    .filter(k => rules[k])
+    .map(k => rules.excludeAmbiguous ? [...CHARSETS[k]].filter(c => !AMBIGUOUS.includes(c)).join('') : CHARSETS[k]);
+  const all = sets.join('');
+
+  // One from each set, the rest from everything, then shuffle (Fisher-Yates)
+  const chars = sets.map(pick);
+  while (chars.length < rules.length) chars.push(pick(all));
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
@@ -0,0 +1,99 @@
+// backend/lib/passwordPolicy.js
+// -------------------------------------------------------------
+// Password policy for user accounts, applied on register and on
+// every password change:
+//   - at least PASSWORD_MIN_LENGTH characters (default 10)
+//   - at least PASSWORD_MIN_CLASSES of lower / upper / digit / symbol
+//     (default 3)
+//   - not on the bundled common-password list
+//     (config/common-passwords.txt, or COMMON_PASSWORDS_FILE)
+//   - not one of the last PASSWORD_HISTORY passwords (default 5)
+// Hashes use bcrypt with cost BCRYPT_COST (default 12). Older hashes
+// with a lower cost are upgraded on the next successful login.
+// -------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+
+const DEFAULT_LIST = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'common-passwords.txt');
+
+const CLASSES = [
+  { name: 'lowercase letter', test: /[a-z]/ },
+  { name: 'uppercase letter', test: /[A-Z]/ },
+  { name: 'digit', test: /[0-9]/ },
+  { name: 'symbol', test: /[^A-Za-z0-9]/ }
+];
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+export function passwordPolicy() {
+  return {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+    minClasses: Math.min(Number(process.env.PASSWORD_MIN_CLASSES) || 3, CLASSES.length),
+    classes: CLASSES.map(c => c.name),
+    historySize: process.env.PASSWORD_HISTORY !== undefined ? Number(process.env.PASSWORD_HISTORY) : 5,
+    bcryptCost: Number(process.env.BCRYPT_COST) || 12
+  };
+}
+
+let commonPasswords = null;
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    const text = fs.readFileSync(process.env.COMMON_PASSWORDS_FILE || DEFAULT_LIST, 'utf8');
+    commonPasswords = new Set(
+      text.split(/\r?\n/).map(l => l.trim().toLowerCase()).filter(l => l && !l.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+export function isCommonPassword(password) {
+  return getCommonPasswords().has(String(password).toLowerCase());
+}
+
+// Check a new password.
+// `previousHashes`: current + earlier hashes of the user (empty for new accounts).
+// Returns a list of problems; empty when the password is acceptable.
+export async function checkPassword(password, { previousHashes = [] } = {}) {
+  const policy = passwordPolicy();
+  if (typeof password !== 'string' || !password) return ['Password is required'];
+
+  const problems = [];
+  if (password.length < policy.minLength) problems.push(`Use at least ${policy.minLength} characters`);
+  const classes = CLASSES.filter(c => c.test.test(password)).length;
+  if (classes < policy.minClasses) {
+    problems.push(`Use at least ${policy.minClasses} of: ${policy.classes.join(', ')}`);
+  }
+  if (isCommonPassword(password)) problems.push('This password is too common');
+
+  // Only worth the bcrypt work once the cheap checks pass
+  if (problems.length === 0) {
+    for (const hash of previousHashes.slice(0, policy.historySize)) {
+      if (hash && await bcrypt.compare(password, hash)) {
+        problems.push(`Don't reuse one of your last ${policy.historySize} passwords`);
+        break;
+      }
+    }
+  }
+  return problems;
+}
+
+export async function hashPassword(password) {
+  return bcrypt.hash(password, passwordPolicy().bcryptCost);
+}
+
+// True when a hash was made with a lower cost than the policy asks for
+export function needsRehash(hash) {
+  try {
+    return bcrypt.getRounds(hash) < passwordPolicy().bcryptCost;
+  } catch (err) {
+    return false;
+  }
+}
+
+// New history list after replacing `currentHash` (newest first, trimmed to the policy size)
+export function nextPasswordHistory(currentHash, history = []) {
+  const size = passwordPolicy().historySize;
+  return [currentHash, ...history].filter(Boolean).slice(0, size);
+}
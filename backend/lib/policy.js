@@ -0,0 +1,129 @@
+// backend/lib/policy.js
+// -------------------------------------------------------------
+// Declarative permission policy (rules live in config/policy.json,
+// or the file named by POLICY_FILE).
+//
+// Each rule maps an action ("credential:update") to the roles that
+// may perform it and the scope they get:
+//   "any"          -> every target
+//   "own-ou"       -> targets in an OU where the user has a membership
+//   "own-division" -> targets in a division where the user has a membership
+// Roles are either GLOBAL (user.role: normal/management/admin) or
+// MEMBERSHIP roles (viewer/contributor/maintainer). A membership role
+// only counts in the divisions (or their OUs) where the user holds it.
+// A membership only counts between its startsAt and expiresAt (see
+// lib/grants.js for time-limited grants).
+//
+// Routes don't check roles themselves; they ask decide() / can().
+// -------------------------------------------------------------
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SCOPES = ['own-division', 'own-ou', 'any'];
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'policy.json');
+
+// Load and sanity-check a policy file
+function loadPolicy(file) {
+  const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const roles = new Set([...(policy.globalRoles || []), ...(policy.membershipRoles || [])]);
+  for (const [action, grants] of Object.entries(policy.rules || {})) {
+    for (const [role, scope] of Object.entries(grants)) {
+      if (!roles.has(role)) throw new Error(`policy: unknown role "${role}" in rule "${action}"`);
+      if (!SCOPES.includes(scope)) throw new Error(`policy: unknown scope "${scope}" in rule "${action}"`);
+    }
+  }
+  return policy;
+}
+
+// Read lazily: ES module imports run before dotenv.config() in server.js
+let policy = null;
+function getPolicy() {
+  if (!policy) policy = loadPolicy(process.env.POLICY_FILE || DEFAULT_FILE);
+  return policy;
+}
+
+export function globalRoles() {
+  return getPolicy().globalRoles;
+}
+export function membershipRoles() {
+  return getPolicy().membershipRoles;
+}
+export function actions() {
+  return Object.keys(getPolicy().rules);
+}
+
+// 'scheduled' (startsAt still ahead) | 'active' | 'expired' (expiresAt passed)
+export function grantStatus(membership, now = new Date()) {
+  if (membership.startsAt && new Date(membership.startsAt) > now) return 'scheduled';
+  if (membership.expiresAt && new Date(membership.expiresAt) <= now) return 'expired';
+  return 'active';
+}
+
+// Memberships that grant something right now
+export function activeMemberships(user, now = new Date()) {
+  return (user.memberships || []).filter(m => grantStatus(m, now) === 'active');
+}
+
+// What a user holds for one action:
+// { any: bool, divisions: Set<divisionId>, ous: Set<ouId> }
+function grantsFor(user, action) {
+  const rule = getPolicy().rules[action];
+  if (!rule) throw new Error(`policy: unknown action "${action}"`);
+
+  const result = { any: false, divisions: new Set(), ous: new Set() };
+  const memberships = activeMemberships(user);
+
+  // Apply one scope to a set of memberships
+  const apply = (scope, ms) => {
+    if (scope === 'any') result.any = true;
+    for (const m of ms) {
+      if (scope === 'own-division') result.divisions.add(String(m.division));
+      if (scope === 'own-ou') result.ous.add(String(m.ou));
+    }
+  };
+
+  // Global role: scoped to all of the user's memberships
+  if (rule[user.role]) apply(rule[user.role], memberships);
+  // Membership roles: scoped to the memberships where that role is held
+  for (const m of memberships) {
+    if (rule[m.role]) apply(rule[m.role], [m]);
+  }
+  return result;
+}
+
+// Decide one request.
+// target: {} for global actions, or { divisionId, ouId } for division-scoped ones.
+// Returns { allowed: true } or { allowed: false, reason }.
+export function decide(user, action, target = {}) {
+  if (!user) return { allowed: false, reason: 'Unknown user' };
+  const grants = grantsFor(user, action);
+  if (grants.any) return { allowed: true };
+  if (target.divisionId && grants.divisions.has(String(target.divisionId))) return { allowed: true };
+  if (target.ouId && grants.ous.has(String(target.ouId))) return { allowed: true };
+
+  const scoped = grants.divisions.size > 0 || grants.ous.size > 0;
+  return {
+    allowed: false,
+    reason: scoped && !target.divisionId && !target.ouId
+      ? `Permission denied (${action} is limited to your divisions)`
+      : `Permission denied (${action})`
+  };
+}
+
+export function can(user, action, target) {
+  return decide(user, action, target).allowed;
+}
+
+// Every action with where the user may perform it, for the UI:
+// { "credential:read": { any: false, divisions: [...], ous: [...] }, ... }
+export function effectivePermissions(user) {
+  const out = {};
+  for (const action of actions()) {
+    const g = grantsFor(user, action);
+    out[action] = { any: g.any, divisions: [...g.divisions], ous: [...g.ous] };
+  }
+  return out;
+}
@@ -0,0 +1,127 @@
+// backend/lib/schema.js
+// -------------------------------------------------------------
+// Validator for the subset of OpenAPI 3.0 schema objects that
+// config/openapi.js uses: type (+ nullable), enum, properties,
+// required, additionalProperties, items, min/maxItems,
+// min/maxLength, pattern, minimum/maximum, format, oneOf, allOf
+// and $ref to "#/components/schemas/...".
+//
+// validate() returns a list of { field, message }; empty = valid.
+// -------------------------------------------------------------
+
+const FORMATS = {
+  objectId: v => /^[0-9a-fA-F]{24}$/.test(v),
+  'date-time': v => !Number.isNaN(Date.parse(v)),
+  date: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  email: v => /^[^\s@]+@[^\s@]+$/.test(v)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value; // string | number | boolean | object | undefined
+}
+
+function typeMatches(type, value) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(schema, components) {
+  let s = schema;
+  while (s && s.$ref) {
+    const name = s.$ref.replace('#/components/schemas/', '');
+    s = components?.schemas?.[name];
+    if (!s) throw new Error(`schema: unknown $ref ${schema.$ref}`);
+  }
+  return s;
+}
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+export function validate(schema, value, { path = '', components } = {}) {
+  const errors = [];
+  check(resolveRef(schema, components), value, path);
+  return errors;
+
+  function fail(field, message) {
+    errors.push({ field: field || '(root)', message });
+  }
+
+  function check(s, v, at) {
+    if (!s) return;
+    s = resolveRef(s, components);
+
+    if (v === null) {
+      if (!s.nullable && s.type !== undefined && s.type !== 'null') fail(at, 'must not be null');
+      return;
+    }
+    if (s.allOf) s.allOf.forEach(sub => check(sub, v, at));
+    if (s.oneOf) {
+      const tries = s.oneOf.map(sub => validate(sub, v, { path: at, components }));
+      const matching = tries.filter(t => t.length === 0).length;
+      if (matching === 0) {
+        // Report the closest alternative: one of the value's type, then fewest errors
+        const distance = i => {
+          const type = resolveRef(s.oneOf[i], components).type;
+          return (type && !typeMatches(type, v) ? 1000 : 0) + tries[i].length;
+        };
+        const best = tries.map((_, i) => i).sort((a, b) => distance(a) - distance(b))[0];
+        errors.push(...tries[best]);
+      } else if (matching > 1) {
+        fail(at, 'matches more than one allowed shape');
+      }
+    }
+    if (s.type && !typeMatches(s.type, v)) {
+      fail(at, `must be ${s.type === 'integer' ? 'a whole number' : /^[aeiou]/.test(s.type) ? `an ${s.type}` : `a ${s.type}`}`);
+      return;
+    }
+    if (s.enum && !s.enum.includes(v)) fail(at, `must be one of ${s.enum.join(', ')}`);
+
+    if (typeof v === 'string') {
+      if (s.minLength !== undefined && v.length < s.minLength) {
+        fail(at, s.minLength === 1 ? 'must not be empty' : `must be at least ${s.minLength} characters`);
+      }
+      if (s.maxLength !== undefined && v.length > s.maxLength) fail(at, `must be at most ${s.maxLength} characters`);
+      if (s.pattern && !new RegExp(s.pattern).test(v)) fail(at, s['x-pattern-message'] || `must match ${s.pattern}`);
+      if (s.format && FORMATS[s.format] && !FORMATS[s.format](v)) {
+        fail(at, s.format === 'objectId' ? 'must be a valid id' : `must be a valid ${s.format}`);
+      }
+    }
+    if (typeof v === 'number') {
+      if (s.minimum !== undefined && v < s.minimum) fail(at, `must be at least ${s.minimum}`);
+      if (s.maximum !== undefined && v > s.maximum) fail(at, `must be at most ${s.maximum}`);
+    }
+    if (Array.isArray(v)) {
+      if (s.minItems !== undefined && v.length < s.minItems) fail(at, `must have at least ${s.minItems} item(s)`);
+      if (s.maxItems !== undefined && v.length > s.maxItems) fail(at, `must have at most ${s.maxItems} items`);
+      if (s.items) v.forEach((item, i) => check(s.items, item, join(at, i)));
+    }
+    if (typeOf(v) === 'object') {
+      for (const key of s.required || []) {
+        if (v[key] === undefined) fail(join(at, key), 'is required');
+      }
+      for (const [key, item] of Object.entries(v)) {
+        if (item === undefined) continue;
+        if (s.properties?.[key]) check(s.properties[key], item, join(at, key));
+        else if (s.additionalProperties === false) fail(join(at, key), 'is not allowed');
+        else if (typeof s.additionalProperties === 'object') check(s.additionalProperties, item, join(at, key));
+      }
+    }
+  }
+}
+
+// Query strings and path params are text; turn them into the schema's type
+// first ("2" -> 2, "true" -> true). Values that don't convert stay as they are
+// and fail validation.
+export function coerce(schema, value, components) {
+  const s = resolveRef(schema, components) || {};
+  if (typeof value !== 'string') return value;
+  if (s.type === 'integer' || s.type === 'number') {
+    return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+  if (s.type === 'boolean') return value === 'true' ? true : value === 'false' ? false : value;
+  return value;
+}
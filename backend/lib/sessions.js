@@ -0,0 +1,261 @@
+// backend/lib/sessions.js
+// -------------------------------------------------------------
+// Access tokens + rotating refresh tokens backed by a Session
+// collection (or process memory with STORAGE=memory), so sessions
+// can be revoked server-side.
+//
+// - Access token: short-lived JWT { id, email, role, sid }
+// - Refresh token: "<sessionId>.<random secret>"; only a SHA-256
+//   hash of the secret is stored. Each refresh swaps in a new
+//   secret. Presenting the PREVIOUS secret again means the token
+//   was copied, so the whole session is revoked.
+// - authMiddleware checks the session behind every access token,
+//   so logout / revocation takes effect immediately.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { storageKind } from '../storage/index.js';
+import { isId, newId } from '../storage/records.js';
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  ip: String,
+  userAgent: String
+}, { timestamps: true });
+
+// Let Mongo drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
+
+// ---------- stores ----------
+// A store keeps session records { _id, user, refreshTokenHash, previousTokenHash,
+// expiresAt, revokedAt, revokedReason, lastUsedAt, ip, userAgent } and offers
+// create / findById / rotate / revoke / revokeUser.
+
+function mongoStore() {
+  return {
+    async create(fields) {
+      return Session.create(fields);
+    },
+    async findById(id) {
+      return Session.findById(id).lean();
+    },
+    // Swap in a new refresh token hash, only if `currentHash` is still the live one
+    // (one conditional update, so of two refreshes with the same token only one wins)
+    async rotate(id, currentHash, fields) {
+      const result = await Session.updateOne({ _id: id, refreshTokenHash: currentHash, revokedAt: null }, fields);
+      return result.modifiedCount > 0;
+    },
+    // Only sessions still active are touched; returns how many were revoked
+    async revoke(id, reason) {
+      const result = await Session.updateOne({ _id: id, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+      return result.modifiedCount;
+    },
+    async revokeUser(userId, reason) {
+      const result = await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+      return result.modifiedCount;
+    }
+  };
+}
+
+function memoryStore() {
+  const sessions = new Map();
+  const markRevoked = (s, reason) => Object.assign(s, { revokedAt: new Date(), revokedReason: reason });
+  return {
+    async create(fields) {
+      // Expired sessions are dropped here, as Mongo's TTL index would
+      const now = new Date();
+      for (const [id, s] of sessions) if (s.expiresAt < now) sessions.delete(id);
+      const session = { _id: newId(), previousTokenHash: null, revokedAt: null, revokedReason: null, lastUsedAt: now, ...fields, user: String(fields.user) };
+      sessions.set(session._id, session);
+      return { ...session };
+    },
+    async findById(id) {
+      const s = sessions.get(String(id));
+      return s ? { ...s } : null;
+    },
+    async rotate(id, currentHash, fields) {
+      const s = sessions.get(String(id));
+      if (!s || s.revokedAt || s.refreshTokenHash !== currentHash) return false;
+      Object.assign(s, fields);
+      return true;
+    },
+    async revoke(id, reason) {
+      const s = sessions.get(String(id));
+      if (!s || s.revokedAt) return 0;
+      markRevoked(s, reason);
+      return 1;
+    },
+    async revokeUser(userId, reason) {
+      let count = 0;
+      for (const s of sessions.values()) {
+        if (s.user === String(userId) && !s.revokedAt) {
+          markRevoked(s, reason);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+}
+
+let store = null;
+function getStore() {
+  if (!store) store = storageKind() === 'memory' ? memoryStore() : mongoStore();
+  return store;
+}
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+// Match the fallback used everywhere else:
+function jwtSecret() {
+  return process.env.JWT_SECRET || 'super_secret_change_me';
+}
+function accessTokenTtl() {
+  return process.env.ACCESS_TOKEN_TTL || '15m';
+}
+function refreshTokenTtlMs() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Split "<sessionId>.<secret>" (returns null if malformed)
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sid, secret] = refreshToken.split('.');
+  if (!sid || !secret || !isId(sid)) return null;
+  return { sid, secret };
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: user.role, sid: String(sessionId) },
+    jwtSecret(),
+    { expiresIn: accessTokenTtl() }
+  );
+}
+
+// Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+export function verifyAccessToken(token) {
+  return jwt.verify(token, jwtSecret());
+}
+
+// Short-lived token proving the password step of a login passed.
+// purpose: "2fa" (enter a code) or "2fa-enroll" (2FA is required but not set up yet)
+export function signChallengeToken(user, purpose) {
+  return jwt.sign({ id: user._id, purpose }, jwtSecret(), { expiresIn: '5m' });
+}
+
+// Returns the decoded payload, or null if invalid/expired/wrong purpose
+export function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, jwtSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Start a new session for a user who just logged in / registered
+export async function createSession(user, req) {
+  const secret = newSecret();
+  const session = await getStore().create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+    ip: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  });
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+}
+
+// Exchange a refresh token for a new access + refresh token pair.
+// `loadUser(userId)` returns the fresh user (or null if gone).
+// Returns { ok: true, user, token, refreshToken } or { ok: false, error }.
+export async function rotateSession(refreshToken, loadUser) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { ok: false, error: 'Invalid refresh token' };
+
+  const session = await getStore().findById(parsed.sid);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return { ok: false, error: 'Session expired or revoked' };
+  }
+
+  const presented = hashSecret(parsed.secret);
+  if (presented !== session.refreshTokenHash) {
+    // An already-rotated token came back: treat the session as stolen
+    if (presented === session.previousTokenHash) {
+      await revokeSession(session._id, 'refresh token reuse');
+    }
+    return { ok: false, error: 'Invalid refresh token' };
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'user not found');
+    return { ok: false, error: 'Unknown user' };
+  }
+
+  const secret = newSecret();
+  const rotated = await getStore().rotate(session._id, presented, {
+    previousTokenHash: presented,
+    refreshTokenHash: hashSecret(secret),
+    lastUsedAt: new Date()
+  });
+  if (!rotated) {
+    // Another refresh with this token got there first: the token was used twice
+    await revokeSession(session._id, 'refresh token reuse');
+    return { ok: false, error: 'Invalid refresh token' };
+  }
+
+  return {
+    ok: true,
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+}
+
+// Revoke the session a refresh token belongs to (used by logout)
+export async function revokeRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const session = await getStore().findById(parsed.sid);
+  if (!session || session.refreshTokenHash !== hashSecret(parsed.secret)) return false;
+  await revokeSession(session._id, 'logout');
+  return true;
+}
+
+export async function revokeSession(sessionId, reason) {
+  await getStore().revoke(sessionId, reason);
+}
+
+// Revoke every active session of a user (role change, unassign, ...)
+export async function revokeUserSessions(userId, reason) {
+  return getStore().revokeUser(userId, reason);
+}
+
+export async function isSessionActive(sessionId) {
+  if (!isId(sessionId)) return false;
+  const session = await getStore().findById(sessionId);
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
@@ -0,0 +1,214 @@
+// backend/lib/structure.js
+// -------------------------------------------------------------
+// Org structure changes (OUs and their divisions), shared by the
+// /api/structure routes in server.js and the admin CLI (cli.js),
+// so both apply the same rules.
+//
+// Each change returns its result, or { error, status } when it is
+// refused (status = what the HTTP API answers with). Divisions keep
+// their _id when they move, since users and credential routes refer
+// to it. Writes are targeted (a name, one division), never a whole OU
+// from the copy loaded for the checks, so credential changes made in
+// the meantime are kept.
+// -------------------------------------------------------------
+
+import { membershipRoles } from './policy.js';
+import { getStorage } from '../storage/index.js';
+import { byId, isId, newOu, newDivision } from '../storage/records.js';
+
+const refused = (status, error, extra = {}) => ({ error, status, ...extra });
+
+// Pull a division out and hand it to `place`; if that fails, put it back
+async function takeDivision(ouId, divisionId, place) {
+  const storage = getStorage();
+  const taken = await storage.structure.removeDivision(divisionId);
+  if (!taken) return null;
+  try {
+    await place(taken);
+  } catch (err) {
+    await storage.structure.addDivision(ouId, taken)
+      .catch(restoreErr => console.error('Division restore error:', restoreErr));
+    throw err;
+  }
+  return taken;
+}
+
+// Trimmed non-empty name from a request body, or null
+export function cleanName(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Case-insensitive "is this name already used" check
+export function nameTaken(items, name, exceptId) {
+  return items.some(i => String(i._id) !== String(exceptId) && i.name?.toLowerCase() === name.toLowerCase());
+}
+
+// Point every membership of one division at another division.
+// A user who already belongs to the target keeps the stronger of the two roles.
+async function migrateMemberships(fromDivisionId, toOuId, toDivisionId) {
+  const storage = getStorage();
+  const ranks = membershipRoles(); // weakest first
+  const users = await storage.users.findMembers({ division: fromDivisionId });
+  for (const user of users) {
+    const from = user.memberships.find(m => String(m.division) === String(fromDivisionId));
+    const to = user.memberships.find(m => String(m.division) === String(toDivisionId));
+    if (to) {
+      if (ranks.indexOf(from.role) > ranks.indexOf(to.role)) to.role = from.role;
+      user.memberships = user.memberships.filter(m => m !== from);
+    } else {
+      from.ou = toOuId;
+      from.division = toDivisionId;
+    }
+    await storage.users.save(user);
+  }
+}
+
+// -> { ou }
+export async function createOu(rawName) {
+  const storage = getStorage();
+  const name = cleanName(rawName);
+  if (!name) return refused(400, 'name required');
+  const existing = await storage.structure.list({ detail: 'names' });
+  if (nameTaken(existing, name)) return refused(409, 'An OU with that name already exists');
+
+  return { ou: await storage.structure.createOu(newOu(name)) };
+}
+
+// -> { ou, from }
+export async function renameOu(ouId, rawName) {
+  const storage = getStorage();
+  const name = cleanName(rawName);
+  if (!name) return refused(400, 'name required');
+
+  const ou = await storage.structure.findOu(ouId);
+  if (!ou) return refused(404, 'OU not found');
+  const existing = await storage.structure.list({ detail: 'names' });
+  if (nameTaken(existing, name, ou._id)) return refused(409, 'An OU with that name already exists');
+
+  const from = ou.name;
+  ou.name = name;
+  await storage.structure.renameOu(ou._id, name);
+  return { ou, from };
+}
+
+// Only empty OUs: delete or move its divisions first, and no user may still point at it.
+// -> { ou }
+export async function deleteOu(ouId) {
+  const storage = getStorage();
+  const ou = await storage.structure.findOu(ouId);
+  if (!ou) return refused(404, 'OU not found');
+  if (ou.divisions.length > 0) {
+    return refused(409, `OU still has ${ou.divisions.length} division(s); delete or move them first`);
+  }
+  const users = await storage.users.countMembers({ ou: ou._id });
+  if (users > 0) return refused(409, `${users} user(s) are still assigned to this OU`);
+
+  await storage.structure.deleteOu(ou._id);
+  return { ou };
+}
+
+// -> { ou, division }
+export async function createDivision(ouId, rawName) {
+  const storage = getStorage();
+  const name = cleanName(rawName);
+  if (!name) return refused(400, 'name required');
+
+  const ou = await storage.structure.findOu(ouId);
+  if (!ou) return refused(404, 'OU not found');
+  if (nameTaken(ou.divisions, name)) return refused(409, 'This OU already has a division with that name');
+
+  const division = newDivision(name);
+  await storage.structure.addDivision(ou._id, division);
+  ou.divisions.push(division);
+  return { ou, division };
+}
+
+// -> { division, from }
+export async function renameDivision(ouId, divisionId, rawName) {
+  const storage = getStorage();
+  const name = cleanName(rawName);
+  if (!name) return refused(400, 'name required');
+
+  const ou = await storage.structure.findOu(ouId);
+  if (!ou) return refused(404, 'OU not found');
+  const division = byId(ou.divisions, divisionId);
+  if (!division) return refused(404, 'Division not found in this OU');
+  if (nameTaken(ou.divisions, name, division._id)) return refused(409, 'This OU already has a division with that name');
+
+  const from = division.name;
+  division.name = name;
+  await storage.structure.renameDivision(division._id, name);
+  return { division, from };
+}
+
+// A division that still holds credentials (live or in trash) or assigned users
+// is refused, unless `migrateTo` names another division: then the credentials
+// and trash are moved there and its users are reassigned to it.
+// -> { division, credentials, users, migrated } (counts are also on a refusal)
+export async function deleteDivision(ouId, divisionId, migrateTo) {
+  const storage = getStorage();
+  const ou = await storage.structure.findOu(ouId);
+  if (!ou) return refused(404, 'OU not found');
+  const division = byId(ou.divisions, divisionId);
+  if (!division) return refused(404, 'Division not found in this OU');
+
+  const credentials = division.credentials.length + division.trash.length;
+  const users = await storage.users.countMembers({ division: division._id });
+  const counts = { division, credentials, users };
+  const hasContents = credentials > 0 || users > 0;
+
+  if (hasContents && !migrateTo) {
+    return refused(409, `Division still has ${credentials} credential(s) and ${users} user(s); pass migrateTo to move them`, counts);
+  }
+
+  if (!hasContents) {
+    // Only while still empty: a credential added since the count makes this refuse
+    const removed = await storage.structure.removeDivision(division._id, { onlyIfEmpty: true });
+    if (!removed) return refused(409, 'Division changed meanwhile; try again', counts);
+    return { ...counts, migrated: false }; // nothing to move, even with migrateTo
+  }
+
+  if (String(migrateTo) === String(division._id)) return refused(400, 'migrateTo must be a different division', counts);
+  if (!isId(migrateTo)) return refused(404, 'Target division not found', counts);
+
+  // Target may live in this OU or another one
+  const targetOu = byId(ou.divisions, migrateTo) ? ou : await storage.structure.findOuByDivision(migrateTo);
+  if (!targetOu) return refused(404, 'Target division not found', counts);
+  const target = byId(targetOu.divisions, migrateTo);
+
+  // The credentials that move are the ones the division holds when it is taken out
+  const taken = await takeDivision(ou._id, division._id, d =>
+    storage.structure.appendCredentials(target._id, { credentials: d.credentials, trash: d.trash }));
+  if (!taken) return refused(404, 'Division not found in this OU', counts);
+
+  await migrateMemberships(division._id, targetOu._id, target._id);
+  return { ...counts, credentials: taken.credentials.length + taken.trash.length, migrated: true };
+}
+
+// Move a division (credentials, trash and all) into another OU; users' `ou` follows.
+// -> { division, ou, targetOu }
+export async function moveDivision(ouId, divisionId, targetOuId) {
+  const storage = getStorage();
+  if (!targetOuId) return refused(400, 'targetOuId required');
+  if (String(targetOuId) === String(ouId)) return refused(400, 'Division is already in that OU');
+
+  const [ou, targetOu] = await Promise.all([storage.structure.findOu(ouId), storage.structure.findOu(targetOuId)]);
+  if (!ou) return refused(404, 'OU not found');
+  if (!targetOu) return refused(404, 'Target OU not found');
+  const division = byId(ou.divisions, divisionId);
+  if (!division) return refused(404, 'Division not found in this OU');
+  if (nameTaken(targetOu.divisions, division.name)) return refused(409, 'Target OU already has a division with that name');
+
+  const taken = await takeDivision(ou._id, division._id, d => storage.structure.addDivision(targetOu._id, d));
+  if (!taken) return refused(404, 'Division not found in this OU');
+  await storage.users.moveMemberships(division._id, targetOu._id);
+  return { division: taken, ou, targetOu };
+}
+
+// Sample OU with two divisions, only into an empty structure.
+// -> the new OU, or null when there already was one
+export async function seedSampleStructure() {
+  const storage = getStorage();
+  if (await storage.structure.count() > 0) return null;
+  return storage.structure.createOu(newOu('News Management', ['IT Division', 'Finance Division']));
+}
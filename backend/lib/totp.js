@@ -0,0 +1,108 @@
+// backend/lib/totp.js
+// -------------------------------------------------------------
+// Time-based one-time passwords (RFC 6238, the kind authenticator
+// apps use): 6 digits, 30-second steps, HMAC-SHA1, base32 secrets.
+// Plus one-time recovery codes (only their hashes are stored).
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// New random secret (160 bits, base32 as authenticator apps expect)
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Current 30-second step number
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// The code for one step
+export function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Check a code, allowing one step of clock drift either way.
+// Returns the matching step (store it to stop replays) or null.
+export function verifyCode(secret, code, { afterStep = -1, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const step = currentStep(now);
+  for (const s of [step - 1, step, step + 1]) {
+    if (s <= afterStep) continue; // already used
+    const expected = codeForStep(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return s;
+  }
+  return null;
+}
+
+// otpauth:// URI for QR codes / manual entry in authenticator apps
+export function otpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // encodeURIComponent, not URLSearchParams: some apps show "+" literally
+  const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS };
+  const query = Object.entries(params).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&');
+  return `otpauth://totp/${label}?${query}`;
+}
+
+// Recovery codes look like "a1b2c-3d4e5"; compared case-insensitively without the dash
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Returns { codes (show once), hashes (store) }
+export function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
@@ -1,39 +1,87 @@
 // backend/middleware/auth.js
 // -------------------------------------------------------------
-// JWT auth guard for protected routes.
-// Accepts "Authorization: Bearer <JWT>" and verifies it.
-// IMPORTANT: Use the SAME secret (with the SAME fallback) as server.js
-// so tokens signed by the server can be verified here.
+// Auth guard for protected routes. Accepts either
+//   "Authorization: Bearer <JWT>"  a signed-in user, or
+//   "Authorization: ApiKey <key>"  a service account (lib/apiKeys.js)
+// Tokens are signed/verified in lib/sessions.js so the secret
+// (and its fallback) lives in one place.
+// The session behind the token must still be active, so logout
+// and server-side revocation take effect immediately. An API key
+// must not be revoked or expired; what it may do is limited to its
+// divisions and actions (req.apiKey, checked by authorize()).
 // -------------------------------------------------------------
 
-import jwt from 'jsonwebtoken';
+import { verifyAccessToken, isSessionActive } from '../lib/sessions.js';
+import { verifyApiKey } from '../lib/apiKeys.js';
 
-// Match server.js fallback:
-const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_change_me';
+export async function authMiddleware(req, res, next) {
+  // 0) Already done for this request (validateRequests runs it before its checks)
+  if (req.user) return next();
 
-export function authMiddleware(req, res, next) {
   // 1) Read header
   const authHeader = req.headers['authorization']; // e.g. "Bearer eyJhbGciOi..."
   if (!authHeader) {
     return res.status(401).json({ error: 'No Authorization header provided' });
   }
 
-  // 2) Expect "Bearer <token>"
+  // 2) Expect "Bearer <token>" or "ApiKey <key>"
   const parts = authHeader.split(' ');
   const scheme = parts[0];
   const token = parts[1];
+  if (scheme === 'ApiKey' && token) return apiKeyAuth(req, res, next, token);
   if (scheme !== 'Bearer' || !token) {
     return res
       .status(401)
-      .json({ error: 'Malformed Authorization header. Use: Bearer <token>' });
+      .json({ error: 'Malformed Authorization header. Use: Bearer <token> or ApiKey <key>' });
   }
 
   // 3) Verify
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET); // ✅ same secret as server.js
-    req.user = decoded; // { id, email, role, iat, exp }
-    return next();
+    decoded = verifyAccessToken(token);
   } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      // Client should call /api/token/refresh and retry
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  // 4) Session must not be logged out / revoked
+  try {
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has ended, please log in again', code: 'SESSION_REVOKED' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = decoded; // { id, email, role, sid, iat, exp }
+  return next();
+}
+
+// Service account request: no session, no role - only the key's scope
+async function apiKeyAuth(req, res, next, rawKey) {
+  let verified;
+  try {
+    verified = await verifyApiKey(rawKey, req.ip);
+  } catch (err) {
+    console.error('API key check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  if (!verified) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked API key', code: 'API_KEY_INVALID' });
+  }
+
+  const { account, key } = verified;
+  req.user = { id: account._id, email: `service:${account.name}`, role: null };
+  req.apiKey = {
+    keyId: key._id,
+    accountId: account._id,
+    name: account.name,
+    divisions: key.divisions.map(String),
+    actions: key.actions
+  };
+  return next();
 }
@@ -0,0 +1,157 @@
+// backend/middleware/validate.js
+// -------------------------------------------------------------
+// Request / response checks against the OpenAPI document
+// (config/openapi.js).
+//
+// validateRequests(): finds the operation for METHOD + path and checks
+// path params, query string and JSON body. Anything wrong ->
+//   400 { error, code: 'VALIDATION_FAILED', fields: [{ field, message }] }
+// before the route runs (so a malformed :id never reaches Mongo).
+// Operations that need a login run `authenticate` first, so a caller
+// without one gets the 401 rather than the schema details.
+// Routes missing from the document pass through unchecked.
+//
+// Responses sent with res.json() are checked too. VALIDATE_RESPONSES:
+//   "warn" (default) log mismatches, "strict" answer 500 instead,
+//   "off" skip the check.
+// -------------------------------------------------------------
+
+import { validate, coerce } from '../lib/schema.js';
+
+function validationFailed(res, fields) {
+  const summary = fields.slice(0, 5).map(f => `${f.field} ${f.message}`).join('; ');
+  return res.status(400).json({
+    error: `Invalid request: ${summary}${fields.length > 5 ? ` (+${fields.length - 5} more)` : ''}`,
+    code: 'VALIDATION_FAILED',
+    fields
+  });
+}
+
+// "/api/divisions/{id}/credentials" -> { regex, names }
+function compilePath(template) {
+  const names = [];
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+// Every (method, path) pair, literal segments before parameters
+// (".../credentials/generate" wins over ".../credentials/{credId}")
+function compileOperations(doc) {
+  const ops = [];
+  for (const [template, item] of Object.entries(doc.paths)) {
+    const { regex, names } = compilePath(template);
+    const rank = template.split('/').map(seg => (seg.startsWith('{') ? '1' : '0')).join('');
+    for (const [method, operation] of Object.entries(item)) {
+      ops.push({ method: method.toUpperCase(), template, regex, names, rank, operation });
+    }
+  }
+  return ops.sort((a, b) => a.rank.localeCompare(b.rank));
+}
+
+function findOperation(ops, method, path) {
+  for (const op of ops) {
+    if (op.method !== method) continue;
+    const m = op.regex.exec(path);
+    if (m) {
+      const params = {};
+      op.names.forEach((name, i) => {
+        try { params[name] = decodeURIComponent(m[i + 1]); } catch { params[name] = m[i + 1]; }
+      });
+      return { op, params };
+    }
+  }
+  return null;
+}
+
+function checkRequest(op, params, req, components) {
+  const fields = [];
+  for (const p of op.operation.parameters || []) {
+    const source = p.in === 'path' ? params : p.in === 'query' ? req.query : null;
+    if (!source) continue;
+    const raw = source[p.name];
+    const where = `${p.in === 'path' ? 'params' : 'query'}.${p.name}`;
+    if (raw === undefined || raw === '') {
+      if (p.required) fields.push({ field: where, message: 'is required' });
+      continue;
+    }
+    if (Array.isArray(raw)) {
+      fields.push({ field: where, message: 'must be given once' });
+      continue;
+    }
+    fields.push(...validate(p.schema, coerce(p.schema, raw, components), { path: where, components }));
+  }
+
+  const bodySpec = op.operation.requestBody;
+  const schema = bodySpec?.content?.['application/json']?.schema;
+  if (schema) {
+    const body = req.body;
+    const empty = body === undefined || (body && typeof body === 'object' && !Array.isArray(body) && Object.keys(body).length === 0);
+    // An empty optional body is fine; a present one must match
+    if (!(empty && !bodySpec.required)) fields.push(...validate(schema, body ?? {}, { path: 'body', components }));
+  }
+  return fields;
+}
+
+function responseSchema(operation, status) {
+  const response = operation.responses?.[status] || operation.responses?.default;
+  return response?.content?.['application/json']?.schema;
+}
+
+// Public operations say `security: []`; the rest use the document's default
+function isSecured(op, doc) {
+  return (op.operation.security ?? doc.security ?? []).length > 0;
+}
+
+export function validateRequests(doc, { authenticate } = {}) {
+  const ops = compileOperations(doc);
+  const { components } = doc;
+
+  return (req, res, next) => {
+    const found = findOperation(ops, req.method, req.path);
+    if (!found) return next();
+    const { op, params } = found;
+
+    if (authenticate && isSecured(op, doc)) {
+      return authenticate(req, res, () => checkAndWatch(op, params, req, res, next, components));
+    }
+    return checkAndWatch(op, params, req, res, next, components);
+  };
+}
+
+// Check the request, then watch the response sent with res.json()
+function checkAndWatch(op, params, req, res, next, components) {
+  const fields = checkRequest(op, params, req, components);
+  if (fields.length > 0) return validationFailed(res, fields);
+
+  const mode = process.env.VALIDATE_RESPONSES || 'warn';
+  if (mode !== 'off') {
+    const json = res.json.bind(res);
+    res.json = body => {
+      const schema = responseSchema(op.operation, res.statusCode);
+      if (!schema) return json(body);
+      // Check what the client will see (ObjectIds and Dates as strings)
+      const problems = validate(schema, JSON.parse(JSON.stringify(body ?? null)), { path: 'response', components });
+      if (problems.length === 0) return json(body);
+
+      console.error(`Response for ${op.method} ${op.template} (${res.statusCode}) does not match the spec:`, problems);
+      if (mode !== 'strict') return json(body);
+      res.status(500);
+      return json({ error: 'Server error', code: 'RESPONSE_INVALID' });
+    };
+  }
+  return next();
+}
+
+// Error handler for body parsing: broken JSON gets the same 400 shape
+export function jsonErrorHandler(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return validationFailed(res, [{ field: 'body', message: 'is not valid JSON' }]);
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', code: 'BODY_TOO_LARGE' });
+  }
+  return next(err);
+}
@@ -6,128 +6,540 @@
 // - Task 3: Assign/Unassign users to OUs & divisions, change user role
 //
 // Notes:
-// - Division is a Mongoose SUBDOCUMENT inside OU. We store that subdoc's
-//   ObjectId on the User document in `division`. There's no "Division" model.
-// - Permissions:
-//    * normal     -> can READ + ADD credentials only for their OWN division
-//    * management -> can READ + ADD + UPDATE credentials for ANY division;
+// - Data goes through the storage layer (storage/index.js): MongoDB by
+//   default, or STORAGE=memory to run without a database (dev, demos,
+//   tests). Routes work on plain records: load, change, save.
+// - A division lives inside its OU record (a subdocument in Mongo). A user
+//   can belong to several divisions: `memberships` on the user holds
+//   { ou, division, role } where division is the division's _id.
+// - Permissions come from config/policy.json via lib/policy.js; routes ask
+//   authorize() / ensureDivisionAccess() instead of checking roles. Default:
+//    * normal     -> per-division membership role decides:
+//                      viewer      READ credentials
+//                      contributor READ + ADD
+//                      maintainer  READ + ADD + UPDATE/DELETE/RESTORE
+//    * management -> maintainer rights in ANY division;
 //                    can assign/unassign users
 //    * admin      -> management rights + can change user roles
-// - Tokens expire after 1 hour. After changing a user's role, the client
-//   should log in again to receive a token with updated role.
+//   GET /api/me/permissions reports the caller's effective permissions.
+// - Optional TOTP two-factor login (lib/totp.js). Admins can require it for
+//   chosen roles; login then becomes password -> code (or enrollment).
+// - Forgot-password / reset and email verification use single-use emailed
+//   tokens (lib/accountTokens.js) sent through lib/mail.js.
+// - Failed logins are throttled and lock the account / IP for a while
+//   (lib/loginThrottle.js); admins list and clear lockouts.
+// - New passwords must pass the password policy (lib/passwordPolicy.js);
+//   GET /api/password/policy describes it for the UI.
+// - Credential passwords are encrypted at rest (AES-256-GCM, see
+//   lib/encryption.js). Listings return metadata only; a password is
+//   decrypted solely by the audited reveal endpoint. New passwords can be
+//   generated server-side (lib/passwordGenerator.js) with per-division rules.
+// - Rotation: each credential records lastRotatedAt; a rotation interval can
+//   be set per credential or per division. GET /api/reports/stale-credentials
+//   lists overdue / soon due / never-rotated credentials for management.
+// - Management can import a division's credentials from CSV (with a preview)
+//   or an encrypted bundle, and export them (lib/credentialTransfer.js).
+// - Credentials carry optional tags and notes; GET /api/credentials/search
+//   finds credentials across every division the caller may read.
+// - Every route is described in config/openapi.js (served at /api/openapi.json);
+//   middleware/validate.js rejects params, queries and bodies that don't
+//   match with 400 { error, code: 'VALIDATION_FAILED', fields }.
+// - Sessions: short-lived access tokens (15 min) + rotating refresh tokens
+//   stored server-side (see lib/sessions.js). Use /api/token/refresh to
+//   renew and /api/logout to end a session. Changing a user's role or
+//   unassigning them revokes all of that user's sessions.
+// - OU/division and account changes live in lib/structure.js and
+//   lib/accounts.js, shared with the admin CLI (cli.js: first admin,
+//   password resets, roles, structure, seeding).
+// - Credential access and user administration are written to an
+//   append-only audit log (lib/audit.js); admins read it via GET /api/audit.
+// - Service accounts get long-lived API keys ("Authorization: ApiKey ...",
+//   lib/apiKeys.js) scoped to divisions and credential actions; admins
+//   issue and revoke them under /api/service-accounts.
+// - Normal users ask for division access with a justification
+//   (/api/access-requests); management approves (optionally until a date)
+//   or denies. An approval adds the membership.
+// - Memberships can be time-limited (startsAt / expiresAt, lib/grants.js):
+//   they only count inside that window, and a background sweeper removes
+//   expired ones.
 // ------------------------------------------------------------------
 
 import express from 'express';
-import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
 import { authMiddleware } from './middleware/auth.js';
+import { encryptSecret, decryptSecret, needsReencrypt } from './lib/encryption.js';
+import {
+  createSession, rotateSession, revokeRefreshToken, revokeUserSessions,
+  signChallengeToken, verifyChallengeToken
+} from './lib/sessions.js';
+import { AUDIT_OUTCOMES, auditTrail, recordAudit, findAuditEntries } from './lib/audit.js';
+import {
+  decide, effectivePermissions, activeMemberships, grantStatus, globalRoles, membershipRoles
+} from './lib/policy.js';
+
+import { generateSecret, verifyCode, otpauthUrl, generateRecoveryCodes, hashRecoveryCode } from './lib/totp.js';
+import { issueAccountToken, findAccountToken, consumeAccountToken, invalidateAccountTokens } from './lib/accountTokens.js';
+import { sendMail } from './lib/mail.js';
+import {
+  checkLoginAllowed, recordLoginFailure, recordLoginSuccess, listLockouts, clearLockout, accountKey
+} from './lib/loginThrottle.js';
+import { toCsv } from './lib/csv.js';
+import { rowsFromCsv, rowsFromBundle, classifyRows, duplicateKey, encryptBundle } from './lib/credentialTransfer.js';
+import { DEFAULT_RULES, MIN_LENGTH, MAX_LENGTH, resolveRules, generatePassword } from './lib/passwordGenerator.js';
+import {
+  passwordPolicy, hashPassword, needsRehash
+} from './lib/passwordPolicy.js';
+import { validateRequests, jsonErrorHandler } from './middleware/validate.js';
+import { openapiDocument } from './config/openapi.js';
+import { getStorage } from './storage/index.js';
+import {
+  cleanName, nameTaken, createOu, renameOu, deleteOu, createDivision, renameDivision, deleteDivision, moveDivision,
+  seedSampleStructure
+} from './lib/structure.js';
+import { setUserPassword, passwordPolicyMessage, createUser, setUserRole, setUserRoles } from './lib/accounts.js';
+import {
+  byId, withoutId, isId, newId, newMembership, newCredential, newServiceAccount, newAccessRequest
+} from './storage/records.js';
+import { API_KEY_ACTIONS, generateApiKey, keyStatus, keyExpiry, maxKeyDays, defaultKeyDays, decideApiKey } from './lib/apiKeys.js';
+import { grantWindow, startGrantSweeper } from './lib/grants.js';
 
 dotenv.config();
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // room for CSV / bundle imports
+app.use(jsonErrorHandler);
+// Params, query strings and bodies are checked against config/openapi.js
+// (protected routes check the login first, so a stranger gets a plain 401)
+app.use(validateRequests(openapiDocument(), { authenticate: authMiddleware }));
 
 // Optional: tiny request logger (uncomment if useful during dev)
 // app.use((req, _res, next) => { console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`); next(); });
 
 // Environment vars
 const PORT = process.env.PORT || 8000;
-const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/auth_capstone';
-const JWT_SECRET = process.env.JWT_SECRET || 'super_secret_change_me';
-
-// Connect to MongoDB
-mongoose.connect(MONGO_URI)
-  .then(() => console.log('MongoDB connected'))
-  .catch(err => console.error('MongoDB connection error:', err));
-
-// -------------------
-// Mongoose Schemas
-// -------------------
-
-const credentialSchema = new mongoose.Schema({
-  system: String,
-  username: String,
-  password: String
-});
-
-const divisionSchema = new mongoose.Schema({
-  name: String,
-  credentials: [credentialSchema]
-});
 
-const ouSchema = new mongoose.Schema({
-  name: String,
-  divisions: [divisionSchema]
-});
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const ROTATION_WARNING_DAYS = Number(process.env.ROTATION_WARNING_DAYS) || 14; // "due soon" window
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Capstone Auth';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000'; // frontend, used in emailed links
+const RESET_TOKEN_TTL_MS = (Number(process.env.RESET_TOKEN_TTL_MINUTES) || 60) * 60 * 1000;
+const VERIFY_TOKEN_TTL_MS = (Number(process.env.VERIFY_TOKEN_TTL_HOURS) || 48) * 60 * 60 * 1000;
 
-const userSchema = new mongoose.Schema({
-  name: String,
-  email: { type: String, unique: true },
-  passwordHash: String,
-  role: { type: String, enum: ['normal', 'management', 'admin'], default: 'normal' },
-  ou: { type: mongoose.Schema.Types.ObjectId, ref: 'OU', default: null },
-  division: { type: mongoose.Schema.Types.ObjectId, default: null } // stores the subdocument _id
-});
+// Storage backend (STORAGE=mongo | memory), see storage/index.js
+const storage = getStorage();
 
-const OU = mongoose.model('OU', ouSchema);
-const User = mongoose.model('User', userSchema);
+// Oldest versions are dropped past this, to keep OU documents small
+const CREDENTIAL_HISTORY_LIMIT = 25;
 
-// -------------------
-// Seed sample OUs/divisions if DB empty (and log their IDs)
-// -------------------
-async function seedData() {
-  const count = await OU.countDocuments();
-  if (count === 0) {
-    const ou = new OU({
-      name: 'News Management',
-      divisions: [
-        { name: 'IT Division', credentials: [] },
-        { name: 'Finance Division', credentials: [] }
-      ]
-    });
-    await ou.save();
+// Per-division roles, weakest first (index = rank) - defined in config/policy.json
+const MEMBERSHIP_ROLES = membershipRoles();
 
-    console.log('Seeded sample OU/divisions');
-    console.log('OU ID:', ou._id.toString());
-    console.log('Divisions:', ou.divisions.map(d => ({ id: d._id.toString(), name: d.name })));
-  }
-}
-seedData();
+// Seeding is explicit: `node cli.js seed`, or SEED_SAMPLE_DATA=true (handy with
+// STORAGE=memory, which starts empty every time)
+storage.connect()
+  .then(async () => {
+    if (process.env.SEED_SAMPLE_DATA !== 'true') return;
+    const ou = await seedSampleStructure();
+    if (ou) console.log(`Seeded sample OU "${ou.name}" (${ou.divisions.map(d => d.name).join(', ')})`);
+  })
+  .catch(err => console.error('Storage connection error:', err));
 
 // -------------------
 // Helpers
 // -------------------
 
-// Return user fresh from DB using ID in the JWT
+// Return user fresh from storage using ID in the JWT (none for API keys)
 async function getCurrentUser(req) {
-  if (!req.user?.id) return null;
-  return await User.findById(req.user.id);
+  if (!req.user?.id || req.apiKey) return null;
+  return await storage.users.findById(req.user.id);
 }
 
-// Check if the signed-in user (from JWT) can access the target division
-// - normal: must be assigned to that division
-// - management/admin: allowed
-async function ensureDivisionAccess(req, res) {
+// The user's membership in a division (or undefined)
+function membershipFor(user, divisionId) {
+  return (user.memberships || []).find(m => String(m.division) === String(divisionId));
+}
+
+// Ask the policy layer whether the signed-in user (from JWT) may perform
+// `action` on `target` ({ divisionId, ouId } for division-scoped actions).
+// An API key is checked against its own scope instead; `user` is then the
+// service account (no role, no memberships).
+// Sends the 401/403 itself; callers just `if (!access.ok) return;`
+async function authorize(req, res, action, target = {}) {
+  if (req.apiKey) {
+    const decision = decideApiKey(req.apiKey, action, target);
+    if (!decision.allowed) return { ok: false, res: res.status(403).json({ error: decision.reason }) };
+    const { accountId, name } = req.apiKey;
+    return { ok: true, user: { _id: accountId, name, email: null, role: null, memberships: [], serviceAccount: true } };
+  }
+
   const current = await getCurrentUser(req);
   if (!current) return { ok: false, res: res.status(401).json({ error: 'Unknown user' }) };
 
-  const targetDivisionId = String(req.params.id);
-  if (current.role === 'normal') {
-    if (!current.division || String(current.division) !== targetDivisionId) {
-      return { ok: false, res: res.status(403).json({ error: 'Not allowed for this division' }) };
-    }
+  const decision = decide(current, action, target);
+  if (!decision.allowed) {
+    return { ok: false, res: res.status(403).json({ error: decision.reason }) };
   }
-  // management/admin: ok
   return { ok: true, user: current };
 }
 
+// authorize() for routes shaped /divisions/:id/... (default action: read)
+async function ensureDivisionAccess(req, res, action = 'credential:read') {
+  const divisionId = req.params.id;
+  // "own-ou" rules need to know which OU holds the division
+  const ouId = await storage.structure.ouIdForDivision(divisionId);
+  return authorize(req, res, action, { divisionId, ouId });
+}
+
+// Audit targets for routes shaped /divisions/:id/... and /users/:id/...
+const divisionTarget = req => ({ targetDivision: req.params.id });
+const userTarget = req => ({ targetUser: req.params.id });
+const structureTarget = req => ({ targetDivision: req.params.divisionId });
+
+// Answer a refusal from lib/structure.js or lib/accounts.js ({ error, status, ... })
+function refusal(res, result, extra = {}) {
+  return res.status(result.status).json({ error: result.error, ...extra });
+}
+
+// Shape a membership for API responses
+function publicMembership(m) {
+  return {
+    ouId: String(m.ou),
+    divisionId: String(m.division),
+    role: m.role,
+    startsAt: m.startsAt ?? null,
+    expiresAt: m.expiresAt ?? null,
+    status: grantStatus(m)
+  };
+}
+
+// Service account for the admin screen; key hashes never leave the server
+function publicServiceAccount(a, now = new Date()) {
+  return {
+    id: a._id,
+    name: a.name,
+    description: a.description || '',
+    createdAt: a.createdAt,
+    keys: (a.keys || []).map(k => ({
+      id: k._id,
+      label: k.label || '',
+      hint: k.hint,
+      divisions: (k.divisions || []).map(String),
+      actions: k.actions,
+      expiresAt: k.expiresAt,
+      lastUsedAt: k.lastUsedAt ?? null,
+      lastUsedIp: k.lastUsedIp ?? null,
+      createdAt: k.createdAt,
+      revokedAt: k.revokedAt ?? null,
+      status: keyStatus(k, now)
+    }))
+  };
+}
+
 // Quick helper to shape public user response
 function publicUser(u) {
-  return { id: u._id, name: u.name, email: u.email, role: u.role, ou: u.ou, division: u.division };
+  return {
+    id: u._id,
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    memberships: (u.memberships || []).map(publicMembership),
+    emailVerified: !!u.emailVerified,
+    twoFactorEnabled: !!u.twoFactor?.enabled
+  };
+}
+
+// Answer 423/429 if login attempts for this email/IP are locked or throttled.
+// Returns true when the request was refused.
+async function refuseThrottledLogin(req, res, email) {
+  const check = await checkLoginAllowed(email, req.ip);
+  if (check.allowed) return false;
+
+  const minutes = Math.ceil(check.retryAfter / 60);
+  res.set('Retry-After', String(check.retryAfter));
+  if (check.reason === 'locked') {
+    const who = check.scope === 'account' ? 'This account is' : 'Logins from your network are';
+    res.status(423).json({
+      error: `${who} locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an admin to unlock it.`,
+      code: 'ACCOUNT_LOCKED',
+      scope: check.scope,
+      retryAfter: check.retryAfter
+    });
+  } else {
+    res.status(429).json({
+      error: `Too many failed logins. Wait ${check.retryAfter} second${check.retryAfter === 1 ? '' : 's'} before trying again.`,
+      code: 'LOGIN_THROTTLED',
+      scope: check.scope,
+      retryAfter: check.retryAfter
+    });
+  }
+  return true;
+}
+
+// Count a failed password / 2FA code and audit any lockout it triggers
+async function loginFailed(req, email) {
+  const locked = await recordLoginFailure(email, req.ip);
+  for (const l of locked) {
+    await recordAudit({
+      action: 'login.locked',
+      outcome: 'denied',
+      status: 423,
+      ip: req.ip,
+      details: { key: l.key, lockedUntil: l.lockedUntil }
+    });
+  }
+}
+
+function passwordPolicyError(res, problems) {
+  return res.status(400).json({ error: passwordPolicyMessage(problems), problems });
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user._id, 'email-verify', VERIFY_TOKEN_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${APP_URL}/?verifyToken=${token}\n\n` +
+      `The link expires in ${VERIFY_TOKEN_TTL_MS / 3600000} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueAccountToken(user._id, 'password-reset', RESET_TOKEN_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If it was you, open this link:\n` +
+      `${APP_URL}/?resetToken=${token}\n\nThe link expires in ${RESET_TOKEN_TTL_MS / 60000} minutes and works once. ` +
+      'If you did not ask for this, you can ignore this email.'
+  });
+}
+
+// Roles that must use two-factor login (admin setting)
+async function twoFactorRequiredRoles() {
+  return await storage.settings.get('twoFactorRequiredRoles', []);
+}
+
+// Start (or restart) 2FA enrollment: new pending secret + QR code
+async function startTwoFactorSetup(user) {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await storage.users.save(user);
+  const url = otpauthUrl(secret, user.email, TOTP_ISSUER);
+  return { secret, otpauthUrl: url, qrDataUrl: await QRCode.toDataURL(url) };
+}
+
+// Confirm enrollment with a first code. Returns the recovery codes (shown once) or null.
+async function finishTwoFactorSetup(user, code) {
+  const pending = user.twoFactor?.pendingSecret;
+  if (!pending) return null;
+  const step = verifyCode(decryptSecret(pending), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pending,
+    pendingSecret: null,
+    recoveryCodeHashes: hashes,
+    lastUsedStep: step,
+    enabledAt: new Date()
+  };
+  await storage.users.save(user);
+  return codes;
+}
+
+// Check a TOTP code or a recovery code (which is then used up)
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor?.enabled) return false;
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code, { afterStep: user.twoFactor.lastUsedStep });
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    await storage.users.save(user);
+    return true;
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.twoFactor.recoveryCodeHashes.includes(hash)) return false;
+    user.twoFactor.recoveryCodeHashes = user.twoFactor.recoveryCodeHashes.filter(h => h !== hash);
+    await storage.users.save(user);
+    return true;
+  }
+  return false;
+}
+
+// Where a credential stands against its rotation schedule.
+// status: "overdue" | "soon" | "ok" | "unscheduled" (no interval set)
+function rotationStatus(c, division, now = new Date()) {
+  const intervalDays = c.rotationIntervalDays ?? division?.rotationIntervalDays ?? null;
+  // Age counts from the last rotation, else from when the password was first set
+  const since = c.lastRotatedAt || c.createdAt || c.history?.[0]?.updatedAt || c.updatedAt || null;
+  if (!intervalDays || !since) return { intervalDays, dueAt: null, status: 'unscheduled' };
+
+  const dueAt = new Date(new Date(since).getTime() + intervalDays * DAY_MS);
+  const status = dueAt <= now ? 'overdue'
+    : dueAt - now <= ROTATION_WARNING_DAYS * DAY_MS ? 'soon'
+    : 'ok';
+  return { intervalDays, dueAt, status };
+}
+
+// Rotation interval from a request body: positive whole days, or null to clear.
+// Returns { value } or { error }; undefined when the field wasn't sent.
+function parseIntervalDays(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return { value: null };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > 3650) {
+    return { error: 'rotationIntervalDays must be a whole number of days (1-3650) or null' };
+  }
+  return { value: days };
+}
+
+const MAX_TAGS = 20;
+const MAX_NOTES_LENGTH = 2000;
+
+// Tags from a request body (array or "a, b" string): trimmed, de-duplicated.
+// Returns { value } or { error }; undefined when the field wasn't sent.
+function parseTags(value) {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  if (list.some(t => typeof t !== 'string')) return { error: 'tags must be strings' };
+  const tags = [...new Set(list.map(t => t.trim()).filter(Boolean))];
+  if (tags.length > MAX_TAGS || tags.some(t => t.length > 40)) {
+    return { error: `Up to ${MAX_TAGS} tags of at most 40 characters` };
+  }
+  return { value: tags };
+}
+
+function parseNotes(value) {
+  if (value === undefined) return undefined;
+  if (value !== null && typeof value !== 'string') return { error: 'notes must be text' };
+  if ((value || '').length > MAX_NOTES_LENGTH) return { error: `notes can be at most ${MAX_NOTES_LENGTH} characters` };
+  return { value: value || '' };
+}
+
+// Shape a credential for a permitted caller.
+// Metadata only: passwords go out through the reveal endpoint.
+// Pass the division to include its rotation interval in `rotation`.
+function publicCredential(c, division) {
+  return {
+    _id: c._id,
+    system: c.system,
+    username: c.username,
+    version: c.version || 1,
+    updatedBy: c.updatedBy || null,
+    updatedAt: c.updatedAt || null,
+    lastRotatedAt: c.lastRotatedAt || null,
+    rotationIntervalDays: c.rotationIntervalDays ?? null,
+    rotation: rotationStatus(c, division),
+    tags: c.tags || [],
+    notes: c.notes || ''
+  };
+}
+
+// Generator rules in effect for a division
+function divisionGeneratorRules(division) {
+  return { ...DEFAULT_RULES, ...(division.generatorRules || {}) };
+}
+
+// Candidate rows from an import request body:
+//   { csv, mapping?, hasHeader? }  or  { bundle, passphrase }
+// Returns { rows, columns?, mapping?, source? } or { error }
+async function importRows(body) {
+  if (body.bundle) return rowsFromBundle(body.bundle, body.passphrase);
+  if (typeof body.csv === 'string') {
+    return rowsFromCsv(body.csv, { mapping: body.mapping, hasHeader: body.hasHeader !== false });
+  }
+  return { error: 'Send either csv (text) or bundle + passphrase' };
+}
+
+// When a trashed credential may be purged for good
+function purgeableAt(trashed) {
+  return new Date(new Date(trashed.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Shape a trash entry (metadata only, the secret stays encrypted)
+function publicTrashEntry(t) {
+  return {
+    _id: t._id,
+    system: t.system,
+    username: t.username,
+    version: t.version || 1,
+    deletedBy: t.deletedBy || null,
+    deletedAt: t.deletedAt,
+    purgeableAt: purgeableAt(t)
+  };
+}
+
+// Push the credential's current values onto its history before changing it
+function archiveCredentialVersion(cred, changedBy) {
+  cred.history.push({
+    _id: newId(),
+    version: cred.version || 1,
+    system: cred.system,
+    username: cred.username,
+    password: cred.password,
+    updatedBy: cred.updatedBy,
+    updatedAt: cred.updatedAt,
+    replacedBy: changedBy._id,
+    replacedAt: new Date()
+  });
+  while (cred.history.length > CREDENTIAL_HISTORY_LIMIT) cred.history.shift();
+  cred.version = (cred.version || 1) + 1;
+  cred.updatedBy = changedBy._id;
+  cred.updatedAt = new Date();
+}
+
+// Re-encrypt every division credential that is not under the active key.
+// Works one division at a time and writes only that division, so the API
+// stays usable while it runs and nothing written elsewhere is overwritten.
+async function reencryptAllCredentials() {
+  let ous = 0;
+  let credentials = 0;
+  for (const ouSummary of await storage.structure.list({ detail: 'names' })) {
+    let changedInOu = 0;
+    for (const { _id } of ouSummary.divisions) {
+      const loaded = await storage.credentials.loadDivision(_id);
+      if (!loaded) continue; // deleted meanwhile
+      let changed = 0;
+      for (const cred of [...loaded.division.credentials, ...loaded.division.trash]) {
+        // Live value plus every archived version
+        for (const entry of [cred, ...cred.history]) {
+          if (!needsReencrypt(entry.password)) continue;
+          entry.password = encryptSecret(decryptSecret(entry.password));
+          changed++;
+        }
+      }
+      if (changed > 0) {
+        await storage.credentials.saveDivision(loaded);
+        changedInOu += changed;
+      }
+    }
+    if (changedInOu > 0) {
+      ous++;
+      credentials += changedInOu;
+    }
+  }
+
+  // TOTP secrets use the same key ring
+  let totpSecrets = 0;
+  for (const user of await storage.users.findWithTwoFactorSecrets()) {
+    let changed = false;
+    for (const field of ['secret', 'pendingSecret']) {
+      if (!needsReencrypt(user.twoFactor[field])) continue;
+      user.twoFactor[field] = encryptSecret(decryptSecret(user.twoFactor[field]));
+      changed = true;
+      totpSecrets++;
+    }
+    if (changed) await storage.users.save(user);
+  }
+  return { ous, credentials, totpSecrets };
 }
 
 // -------------------
@@ -141,15 +553,20 @@ app.post('/api/register', async (req, res) => {
     if (!name || !email || !password) {
       return res.status(400).json({ error: 'All fields required' });
     }
-    const exists = await User.findOne({ email });
-    if (exists) return res.status(409).json({ error: 'Email already registered' });
+    const created = await createUser({ name, email, password, role: 'normal' });
+    if (created.problems) return passwordPolicyError(res, created.problems);
+    if (created.error) return refusal(res, created);
+    const { user } = created;
 
-    const passwordHash = await bcrypt.hash(password, 10);
-    const user = new User({ name, email, passwordHash, role: 'normal' });
-    await user.save();
+    // A mail failure shouldn't undo the registration; the user can ask for a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailErr) {
+      console.error('Verification email failed:', mailErr.message);
+    }
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, JWT_SECRET, { expiresIn: '1h' });
-    res.status(201).json({ message: 'Registered', token, user: publicUser(user) });
+    const { token, refreshToken } = await createSession(user, req);
+    res.status(201).json({ message: 'Registered', token, refreshToken, user: publicUser(user) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -160,271 +577,2103 @@ app.post('/api/register', async (req, res) => {
 app.post('/api/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ error: 'Invalid email or password' });
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+    if (await refuseThrottledLogin(req, res, email)) return;
+
+    const user = await storage.users.findByEmail(email);
+    const ok = user ? await bcrypt.compare(password, user.passwordHash) : false;
+    if (!ok) {
+      await loginFailed(req, email);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    // Upgrade hashes made with an older, lower bcrypt cost
+    if (needsRehash(user.passwordHash)) {
+      user.passwordHash = await hashPassword(password);
+      await storage.users.save(user);
+    }
 
-    const ok = await bcrypt.compare(password, user.passwordHash);
-    if (!ok) return res.status(401).json({ error: 'Invalid email or password' });
+    // Two-step login: password passed, now a code (or enrollment) is needed
+    if (user.twoFactor?.enabled) {
+      return res.json({ message: 'Enter your authentication code', twoFactorRequired: true, challengeToken: signChallengeToken(user, '2fa') });
+    }
+    if ((await twoFactorRequiredRoles()).includes(user.role)) {
+      return res.json({
+        message: 'Two-factor authentication is required for your role; set it up to continue',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, '2fa-enroll')
+      });
+    }
+    // Only a finished login clears the failures; with a second step, that step does
+    await recordLoginSuccess(email);
 
-    const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, JWT_SECRET, { expiresIn: '1h' });
-    res.json({ message: 'Login successful', token, user: publicUser(user) });
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ message: 'Login successful', token, refreshToken, user: publicUser(user) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ---------------------------------------------------------
-// DEV ENDPOINT (Protected): List OUs & Divisions (keep for dev only)
-// GET /api/dev/divisions
-// ---------------------------------------------------------
-app.get('/api/dev/divisions', authMiddleware, async (req, res) => {
+// Second login step for users with 2FA
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+app.post('/api/login/2fa', async (req, res) => {
   try {
-    const ous = await OU.find({}, { name: 1, divisions: 1 }).lean();
-    const items = ous.map(ou => ({
-      ouId: ou._id,
-      ouName: ou.name,
-      divisions: (ou.divisions || []).map(d => ({
-        divisionId: d._id,
-        divisionName: d.name
-      }))
-    }));
-    return res.json({ items });
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    const challenge = verifyChallengeToken(challengeToken, '2fa');
+    if (!challenge) return res.status(401).json({ error: 'Login expired, please start again' });
+
+    const user = await storage.users.findById(challenge.id);
+    if (!user) return res.status(401).json({ error: 'Unknown user' });
+    // Codes are short, so guesses count towards the same lockout as passwords
+    if (await refuseThrottledLogin(req, res, user.email)) return;
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await loginFailed(req, user.email);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    await recordLoginSuccess(user.email);
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: publicUser(user),
+      recoveryCodesLeft: user.twoFactor.recoveryCodeHashes.length
+    });
   } catch (err) {
-    console.error('List divisions error:', err);
-    return res.status(500).json({ error: 'Server error' });
+    console.error('2FA login error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ---------------------------------------------------------
-// Structure endpoint (non-dev): same data, cleaner path
-// GET /api/structure/ous
-// ---------------------------------------------------------
-app.get('/api/structure/ous', authMiddleware, async (req, res) => {
+// Forced enrollment during login (2FA required for the role, not set up yet)
+// Body: { challengeToken } -> { secret, otpauthUrl, qrDataUrl }
+app.post('/api/login/2fa/setup', async (req, res) => {
   try {
-    const ous = await OU.find({}, { name: 1, divisions: 1 }).lean();
-    const items = ous.map(ou => ({
-      ouId: String(ou._id),
-      ouName: ou.name,
-      divisions: (ou.divisions || []).map(d => ({
-        divisionId: String(d._id),
-        divisionName: d.name
-      }))
-    }));
-    return res.json({ items });
+    const challenge = verifyChallengeToken(req.body?.challengeToken, '2fa-enroll');
+    if (!challenge) return res.status(401).json({ error: 'Login expired, please start again' });
+
+    const user = await storage.users.findById(challenge.id);
+    if (!user) return res.status(401).json({ error: 'Unknown user' });
+    if (user.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    if (await refuseThrottledLogin(req, res, user.email)) return;
+
+    res.json(await startTwoFactorSetup(user));
   } catch (err) {
-    console.error('Structure OUs error:', err);
-    return res.status(500).json({ error: 'Server error' });
+    console.error('2FA login setup error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ---------------------------------------------------------------------
-// TASK 2: Credential Repository Endpoints (protected by JWT)
-// ---------------------------------------------------------------------
+// Body: { challengeToken, code } -> session tokens + recoveryCodes (shown once)
+app.post('/api/login/2fa/enroll', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    const challenge = verifyChallengeToken(challengeToken, '2fa-enroll');
+    if (!challenge) return res.status(401).json({ error: 'Login expired, please start again' });
 
-// GET /api/divisions/:id/credentials
-// View a division's credential repository
-app.get('/api/divisions/:id/credentials', authMiddleware, async (req, res) => {
+    const user = await storage.users.findById(challenge.id);
+    if (!user) return res.status(401).json({ error: 'Unknown user' });
+    // Same lockout as the other login steps: the challenge came from a password
+    if (await refuseThrottledLogin(req, res, user.email)) return;
+    const recoveryCodes = await finishTwoFactorSetup(user, code);
+    if (!recoveryCodes) {
+      await loginFailed(req, user.email);
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    await recordLoginSuccess(user.email);
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.json({ message: 'Two-factor authentication enabled', token, refreshToken, user: publicUser(user), recoveryCodes });
+  } catch (err) {
+    console.error('2FA login enroll error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token + refresh token
+// Body: { refreshToken }
+app.post('/api/token/refresh', async (req, res) => {
   try {
-    // Permission check: normal users only for their own division
-    const access = await ensureDivisionAccess(req, res);
-    if (!access.ok) return;
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
 
-    // Find OU that owns this division
-    const result = await OU.findOne(
-      { 'divisions._id': req.params.id },
-      { 'divisions.$': 1 }
-    );
+    const result = await rotateSession(refreshToken, id => storage.users.findById(id));
+    if (!result.ok) return res.status(401).json({ error: result.error });
+
+    res.json({ token: result.token, refreshToken: result.refreshToken, user: publicUser(result.user) });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// End the session behind a refresh token (no access token needed,
+// so an expired client can still log out cleanly)
+// Body: { refreshToken }
+app.post('/api/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/me/permissions
+// Effective permissions of the signed-in user, so the UI can hide what they can't do:
+// { role, memberships, permissions: { "credential:read": { any, divisions, ous }, ... } }
+app.get('/api/me/permissions', authMiddleware, async (req, res) => {
+  try {
+    const current = await getCurrentUser(req);
+    if (!current) return res.status(401).json({ error: 'Unknown user' });
 
-    if (!result || !result.divisions || result.divisions.length === 0) {
-      return res.status(404).json({ error: 'Division not found' });
-    }
-    const division = result.divisions[0];
     return res.json({
-      division: { id: division._id, name: division.name },
-      credentials: division.credentials || []
+      role: current.role,
+      memberships: (current.memberships || []).map(publicMembership),
+      permissions: effectivePermissions(current)
     });
   } catch (err) {
-    console.error('GET credentials error:', err);
+    console.error('Permissions error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// POST /api/divisions/:id/credentials
-// Add a new credential to a division (Normal+; normal -> only own division)
-app.post('/api/divisions/:id/credentials', authMiddleware, async (req, res) => {
+// ---------------------------------------------------------
+// Password reset + email verification
+// ---------------------------------------------------------
+
+// Rules the registration / reset forms show (and check live)
+app.get('/api/password/policy', (req, res) => {
+  const { minLength, minClasses, classes, historySize } = passwordPolicy();
+  res.json({ minLength, minClasses, classes, historySize, rejectsCommonPasswords: true });
+});
+
+// Body: { email }. Always the same answer, so it can't be used to probe for accounts.
+app.post('/api/password/forgot', async (req, res) => {
   try {
-    const access = await ensureDivisionAccess(req, res);
-    if (!access.ok) return;
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ error: 'Email required' });
 
-    const { system, username, password } = req.body || {};
-    if (!system || !username || !password) {
-      return res.status(400).json({ error: 'system, username, password are required' });
+    const user = await storage.users.findByEmail(email);
+    // Not awaited: a failing (or slow) mail transport must not make known emails answer differently
+    if (user) {
+      sendPasswordResetEmail(user).catch(mailErr => console.error('Password reset email failed:', mailErr.message));
     }
+    res.json({ message: 'If that email is registered, a reset link is on its way' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Body: { token, password }. Signs the user out everywhere.
+app.post('/api/password/reset', auditTrail('user.resetPassword'), async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) return res.status(400).json({ error: 'Token and new password required' });
 
-    const ou = await OU.findOne({ 'divisions._id': req.params.id });
-    if (!ou) return res.status(404).json({ error: 'Division not found' });
+    const userId = await findAccountToken(token, 'password-reset');
+    const user = userId && await storage.users.findById(userId);
+    if (!user) return res.status(400).json({ error: 'Reset link is invalid or has expired' });
 
-    const division = ou.divisions.id(req.params.id);
-    division.credentials.push({ system, username, password });
-    await ou.save();
+    // A password the policy rejects leaves the link usable for another try
+    const problems = await setUserPassword(user, password);
+    if (problems.length > 0) return passwordPolicyError(res, problems);
+    if (!(await consumeAccountToken(token, 'password-reset'))) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    // The link reached the inbox, so the address is confirmed as well
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await storage.users.save(user);
+    await revokeUserSessions(user._id, 'password reset');
+    await invalidateAccountTokens(user._id, 'email-verify');
+    await clearLockout(accountKey(user.email));
 
-    return res.status(201).json({ message: 'Credential added', credentials: division.credentials });
+    res.locals.auditDetails = { user: user.email };
+    res.json({ message: 'Password updated, please log in' });
   } catch (err) {
-    console.error('POST credential error:', err);
-    return res.status(500).json({ error: 'Server error' });
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// PUT /api/divisions/:id/credentials/:credId
-// Update an existing credential (Management/Admin for any division; normal blocked)
-app.put('/api/divisions/:id/credentials/:credId', authMiddleware, async (req, res) => {
+// Body: { token }
+app.post('/api/email/verify', async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body?.token, 'email-verify');
+    if (!userId) return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+
+    const user = await storage.users.findById(userId);
+    if (!user) return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await storage.users.save(user);
+    res.json({ message: 'Email verified', user: publicUser(user) });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a fresh verification link to the signed-in user
+app.post('/api/email/verify/resend', authMiddleware, async (req, res) => {
   try {
     const current = await getCurrentUser(req);
     if (!current) return res.status(401).json({ error: 'Unknown user' });
-    if (current.role === 'normal') {
-      return res.status(403).json({ error: 'Permission denied: management or admin required' });
-    }
+    if (current.emailVerified) return res.status(409).json({ error: 'Email is already verified' });
 
-    const { system, username, password } = req.body || {};
-    const ou = await OU.findOne({ 'divisions._id': req.params.id });
-    if (!ou) return res.status(404).json({ error: 'Division not found' });
+    await sendVerificationEmail(current);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const division = ou.divisions.id(req.params.id);
-    const cred = division.credentials.id(req.params.credId);
-    if (!cred) return res.status(404).json({ error: 'Credential not found' });
+// ---------------------------------------------------------
+// Two-factor authentication (signed-in user)
+// ---------------------------------------------------------
 
-    if (system !== undefined)   cred.system = system;
-    if (username !== undefined) cred.username = username;
-    if (password !== undefined) cred.password = password;
+// GET /api/2fa -> { enabled, required, recoveryCodesLeft }
+app.get('/api/2fa', authMiddleware, async (req, res) => {
+  try {
+    const current = await getCurrentUser(req);
+    if (!current) return res.status(401).json({ error: 'Unknown user' });
 
-    await ou.save();
-    return res.json({ message: 'Credential updated', credential: cred });
+    return res.json({
+      enabled: !!current.twoFactor?.enabled,
+      required: (await twoFactorRequiredRoles()).includes(current.role),
+      recoveryCodesLeft: current.twoFactor?.recoveryCodeHashes?.length || 0
+    });
   } catch (err) {
-    console.error('PUT credential error:', err);
+    console.error('2FA status error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ---------------------------------------------------------------------
-// TASK 3: Assign/Unassign Users; Change Role; List Users
-// ---------------------------------------------------------------------
-
-// GET /api/users  (Management+)
-// List users with minimal fields for the admin UI
-app.get('/api/users', authMiddleware, async (req, res) => {
+// POST /api/2fa/setup -> { secret, otpauthUrl, qrDataUrl }; confirm with /api/2fa/enable
+app.post('/api/2fa/setup', authMiddleware, async (req, res) => {
   try {
     const current = await getCurrentUser(req);
     if (!current) return res.status(401).json({ error: 'Unknown user' });
-    if (current.role === 'normal') {
-      return res.status(403).json({ error: 'Management or admin required' });
-    }
+    if (current.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
 
-    const users = await User.find({}, { name: 1, email: 1, role: 1, ou: 1, division: 1 }).lean();
-    return res.json({ items: users.map(u => ({
-      id: String(u._id),
-      name: u.name,
-      email: u.email,
-      role: u.role,
-      ou: u.ou ? String(u.ou) : null,
-      division: u.division ? String(u.division) : null
-    })) });
+    return res.json(await startTwoFactorSetup(current));
   } catch (err) {
-    console.error('List users error:', err);
+    console.error('2FA setup error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// POST /api/users/:id/assign  (Management+)
-// Body: { ouId, divisionId }  -> Assign user to OU/division
-app.post('/api/users/:id/assign', authMiddleware, async (req, res) => {
+// POST /api/2fa/enable  Body: { code } -> { recoveryCodes } (shown once)
+app.post('/api/2fa/enable', authMiddleware, auditTrail('twoFactor.enable'), async (req, res) => {
   try {
     const current = await getCurrentUser(req);
     if (!current) return res.status(401).json({ error: 'Unknown user' });
-    if (current.role === 'normal') {
-      return res.status(403).json({ error: 'Management or admin required' });
-    }
-
-    const { ouId, divisionId } = req.body || {};
-    if (!ouId || !divisionId) return res.status(400).json({ error: 'ouId and divisionId required' });
+    if (current.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
 
-    // Validate OU and ensure divisionId belongs to that OU
-    const ou = await OU.findById(ouId);
-    if (!ou) return res.status(404).json({ error: 'OU not found' });
-    const division = ou.divisions.id(divisionId);
-    if (!division) return res.status(400).json({ error: 'divisionId does not belong to the specified OU' });
-
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    user.ou = ou._id;
-    user.division = division._id;
-    await user.save();
-
-    return res.json({ message: 'User assigned', user: publicUser(user) });
+    const recoveryCodes = await finishTwoFactorSetup(current, req.body?.code);
+    if (!recoveryCodes) return res.status(400).json({ error: 'Invalid authentication code (or setup not started)' });
+    return res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
   } catch (err) {
-    console.error('Assign user error:', err);
+    console.error('2FA enable error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// DELETE /api/users/:id/assign  (Management+)
-// Unassign user from OU/division (set both to null)
-app.delete('/api/users/:id/assign', authMiddleware, async (req, res) => {
+// POST /api/2fa/disable  Body: { password, code | recoveryCode }
+// Not allowed while 2FA is required for the user's role
+app.post('/api/2fa/disable', authMiddleware, auditTrail('twoFactor.disable'), async (req, res) => {
   try {
     const current = await getCurrentUser(req);
     if (!current) return res.status(401).json({ error: 'Unknown user' });
-    if (current.role === 'normal') {
-      return res.status(403).json({ error: 'Management or admin required' });
+    if (!current.twoFactor?.enabled) return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    if ((await twoFactorRequiredRoles()).includes(current.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
     }
 
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    user.ou = null;
-    user.division = null;
-    await user.save();
+    const { password, code, recoveryCode } = req.body || {};
+    if (!password || !(await bcrypt.compare(password, current.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    if (!(await verifySecondFactor(current, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
 
-    return res.json({ message: 'User unassigned', user: publicUser(user) });
+    current.twoFactor = { enabled: false, secret: null, pendingSecret: null, recoveryCodeHashes: [], lastUsedStep: -1, enabledAt: null };
+    await storage.users.save(current);
+    return res.json({ message: 'Two-factor authentication disabled' });
   } catch (err) {
-    console.error('Unassign user error:', err);
+    console.error('2FA disable error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// PUT /api/users/:id/role  (Admin only)
-// Body: { role: 'normal' | 'management' | 'admin' }
-app.put('/api/users/:id/role', authMiddleware, async (req, res) => {
+// POST /api/2fa/recovery-codes  Body: { code } -> new { recoveryCodes }, old ones stop working
+app.post('/api/2fa/recovery-codes', authMiddleware, auditTrail('twoFactor.recoveryCodes'), async (req, res) => {
   try {
     const current = await getCurrentUser(req);
     if (!current) return res.status(401).json({ error: 'Unknown user' });
-    if (current.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin only' });
-    }
-
-    const { role } = req.body || {};
-    const allowed = ['normal', 'management', 'admin'];
-    if (!allowed.includes(role)) {
-      return res.status(400).json({ error: 'Invalid role (normal | management | admin)' });
+    if (!(await verifySecondFactor(current, { code: req.body?.code }))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
     }
 
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { codes, hashes } = generateRecoveryCodes();
+    current.twoFactor.recoveryCodeHashes = hashes;
+    await storage.users.save(current);
+    return res.json({ message: 'New recovery codes generated', recoveryCodes: codes });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    user.role = role;
-    await user.save();
+// GET /api/admin/settings/2fa -> { requiredRoles }
+app.get('/api/admin/settings/2fa', authMiddleware, async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'settings:manage');
+    if (!access.ok) return;
 
-    // Inform client to re-login if this is their own account
-    const requireReLogin = String(user._id) === String(current._id);
-    return res.json({ message: 'Role updated', user: publicUser(user), requireReLogin });
+    return res.json({ requiredRoles: await twoFactorRequiredRoles() });
   } catch (err) {
-    console.error('Change role error:', err);
+    console.error('2FA settings error:', err);
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Health check
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
+// PUT /api/admin/settings/2fa  Body: { requiredRoles: ['management', 'admin'] }
+// Users in a newly covered role without 2FA are signed out, so their next
+// login walks them through enrollment.
+app.put('/api/admin/settings/2fa', authMiddleware, auditTrail('settings.twoFactor'), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'settings:manage');
+    if (!access.ok) return;
+
+    const { requiredRoles } = req.body || {};
+    const roles = globalRoles();
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(r => !roles.includes(r))) {
+      return res.status(400).json({ error: `requiredRoles must be a list of roles (${roles.join(' | ')})` });
+    }
+
+    const previous = await twoFactorRequiredRoles();
+    await storage.settings.set('twoFactorRequiredRoles', [...new Set(requiredRoles)]);
+    res.locals.auditDetails = { from: previous, to: requiredRoles };
+
+    const added = requiredRoles.filter(r => !previous.includes(r));
+    let signedOut = 0;
+    if (added.length > 0) {
+      const users = (await storage.users.findByRoles(added)).filter(u => !u.twoFactor?.enabled);
+      for (const u of users) signedOut += await revokeUserSessions(u._id, '2fa required');
+    }
+    return res.json({ message: '2FA requirement updated', requiredRoles, signedOutSessions: signedOut });
+  } catch (err) {
+    console.error('2FA settings error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------
+// Login lockouts (admin)
+// ---------------------------------------------------------
+
+// GET /api/admin/lockouts -> { items: [{ key, scope, value, lockedUntil, lockCount }] }
+app.get('/api/admin/lockouts', authMiddleware, async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'lockout:manage');
+    if (!access.ok) return;
+
+    return res.json({ items: await listLockouts() });
+  } catch (err) {
+    console.error('List lockouts error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/admin/lockouts?key=account:<email> | ip:<address>
+app.delete('/api/admin/lockouts', authMiddleware, auditTrail('lockout.clear'), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'lockout:manage');
+    if (!access.ok) return;
+
+    const { key } = req.query;
+    if (!key || !/^(account|ip):./.test(key)) {
+      return res.status(400).json({ error: 'key must be "account:<email>" or "ip:<address>"' });
+    }
+    res.locals.auditDetails = { key };
+    if (!(await clearLockout(key))) return res.status(404).json({ error: 'No lockout for that key' });
+    return res.json({ message: 'Lockout cleared' });
+  } catch (err) {
+    console.error('Clear lockout error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------
+// Reports (management)
+// ---------------------------------------------------------
+
+// GET /api/reports/stale-credentials?soonDays=14
+// -> { overdue: [...], soon: [...], neverRotated: [...], generatedAt }
+// Across every division. neverRotated holds credentials whose password hasn't
+// changed since it was added, whether or not they have a schedule.
+app.get('/api/reports/stale-credentials', authMiddleware, auditTrail('report.staleCredentials'), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'report:read');
+    if (!access.ok) return;
+
+    const soonDays = req.query.soonDays !== undefined ? Number(req.query.soonDays) : ROTATION_WARNING_DAYS;
+    if (!Number.isFinite(soonDays) || soonDays < 0) return res.status(400).json({ error: 'soonDays must be a non-negative number' });
+
+    const now = new Date();
+    const report = { overdue: [], soon: [], neverRotated: [] };
+    const ous = await storage.structure.list({ detail: 'metadata' });
+
+    for (const ou of ous) {
+      for (const division of ou.divisions || []) {
+        for (const c of division.credentials || []) {
+          const { intervalDays, dueAt } = rotationStatus(c, division, now);
+          const item = {
+            ouId: ou._id,
+            ouName: ou.name,
+            divisionId: division._id,
+            divisionName: division.name,
+            credentialId: c._id,
+            system: c.system,
+            username: c.username,
+            lastRotatedAt: c.lastRotatedAt || null,
+            intervalDays,
+            dueAt
+          };
+          if (dueAt && dueAt <= now) {
+            report.overdue.push({ ...item, daysOverdue: Math.floor((now - dueAt) / DAY_MS) });
+          } else if (dueAt && dueAt - now <= soonDays * DAY_MS) {
+            report.soon.push({ ...item, daysLeft: Math.ceil((dueAt - now) / DAY_MS) });
+          }
+          if (!c.lastRotatedAt) report.neverRotated.push(item);
+        }
+      }
+    }
+    report.overdue.sort((a, b) => a.dueAt - b.dueAt);
+    report.soon.sort((a, b) => a.dueAt - b.dueAt);
+    res.locals.auditDetails = { overdue: report.overdue.length, soon: report.soon.length, neverRotated: report.neverRotated.length };
+    return res.json({ ...report, soonDays, generatedAt: now });
+  } catch (err) {
+    console.error('Stale credentials report error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------
+// DEV ENDPOINT (Protected): List OUs & Divisions (keep for dev only)
+// GET /api/dev/divisions
+// ---------------------------------------------------------
+app.get('/api/dev/divisions', authMiddleware, async (req, res) => {
+  try {
+    const ous = await storage.structure.list({ detail: 'names' });
+    const items = ous.map(ou => ({
+      ouId: ou._id,
+      ouName: ou.name,
+      divisions: (ou.divisions || []).map(d => ({
+        divisionId: d._id,
+        divisionName: d.name
+      }))
+    }));
+    return res.json({ items });
+  } catch (err) {
+    console.error('List divisions error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------
+// Structure endpoint (non-dev): same data, cleaner path
+// GET /api/structure/ous
+// ---------------------------------------------------------
+app.get('/api/structure/ous', authMiddleware, async (req, res) => {
+  try {
+    const ous = await storage.structure.list({ detail: 'names' });
+    const items = ous.map(ou => ({
+      ouId: String(ou._id),
+      ouName: ou.name,
+      divisions: (ou.divisions || []).map(d => ({
+        divisionId: String(d._id),
+        divisionName: d.name
+      }))
+    }));
+    return res.json({ items });
+  } catch (err) {
+    console.error('Structure OUs error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------------------
+// Org structure management (Admin only)
+// OUs are documents; divisions are subdocuments inside them, and their
+// _id is what users and credential routes refer to, so it is preserved
+// when a division moves between OUs.
+// ---------------------------------------------------------------------
+
+// POST /api/structure/ous   Body: { name }
+app.post('/api/structure/ous', authMiddleware, auditTrail('structure.createOu'), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const result = await createOu(req.body?.name);
+    if (result.error) return refusal(res, result);
+
+    const { ou } = result;
+    res.locals.auditDetails = { ouId: String(ou._id), name: ou.name };
+    return res.status(201).json({ message: 'OU created', ou: { ouId: String(ou._id), ouName: ou.name, divisions: [] } });
+  } catch (err) {
+    console.error('Create OU error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/structure/ous/:ouId   Body: { name }
+app.put('/api/structure/ous/:ouId', authMiddleware, auditTrail('structure.renameOu'), async (req, res) => {
+  res.locals.auditDetails = { ouId: req.params.ouId };
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const result = await renameOu(req.params.ouId, req.body?.name);
+    if (result.error) return refusal(res, result);
+
+    res.locals.auditDetails.from = result.from;
+    res.locals.auditDetails.to = result.ou.name;
+    return res.json({ message: 'OU renamed' });
+  } catch (err) {
+    console.error('Rename OU error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/structure/ous/:ouId
+// Only empty OUs: delete or move its divisions first, and no user may still point at it
+app.delete('/api/structure/ous/:ouId', authMiddleware, auditTrail('structure.deleteOu'), async (req, res) => {
+  res.locals.auditDetails = { ouId: req.params.ouId };
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const result = await deleteOu(req.params.ouId);
+    if (result.error) return refusal(res, result);
+
+    res.locals.auditDetails.name = result.ou.name;
+    return res.json({ message: 'OU deleted' });
+  } catch (err) {
+    console.error('Delete OU error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/structure/ous/:ouId/divisions   Body: { name }
+app.post('/api/structure/ous/:ouId/divisions', authMiddleware, auditTrail('structure.createDivision'), async (req, res) => {
+  res.locals.auditDetails = { ouId: req.params.ouId };
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const result = await createDivision(req.params.ouId, req.body?.name);
+    if (result.error) return refusal(res, result);
+
+    const { division } = result;
+    res.locals.auditDetails.divisionId = String(division._id);
+    res.locals.auditDetails.name = division.name;
+    return res.status(201).json({
+      message: 'Division created',
+      division: { divisionId: String(division._id), divisionName: division.name }
+    });
+  } catch (err) {
+    console.error('Create division error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/structure/ous/:ouId/divisions/:divisionId   Body: { name }
+app.put('/api/structure/ous/:ouId/divisions/:divisionId', authMiddleware, auditTrail('structure.renameDivision', structureTarget), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const result = await renameDivision(req.params.ouId, req.params.divisionId, req.body?.name);
+    if (result.error) return refusal(res, result);
+
+    res.locals.auditDetails = { from: result.from, to: result.division.name };
+    return res.json({ message: 'Division renamed' });
+  } catch (err) {
+    console.error('Rename division error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/structure/ous/:ouId/divisions/:divisionId?migrateTo=<divisionId>
+// A division that still holds credentials (live or in trash) or assigned users
+// is refused with 409, unless `migrateTo` names another division: then the
+// credentials and trash are moved there and its users are reassigned to it.
+app.delete('/api/structure/ous/:ouId/divisions/:divisionId', authMiddleware, auditTrail('structure.deleteDivision', structureTarget), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const { migrateTo } = req.query;
+    const result = await deleteDivision(req.params.ouId, req.params.divisionId, migrateTo);
+    const { division, credentials, users } = result;
+    if (division) res.locals.auditDetails = { name: division.name, credentials, users, migrateTo: migrateTo || null };
+    if (result.error) return refusal(res, result, result.status === 409 ? { credentials, users } : {});
+
+    return res.json({ message: result.migrated ? 'Division deleted, contents migrated' : 'Division deleted' });
+  } catch (err) {
+    console.error('Delete division error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/structure/ous/:ouId/divisions/:divisionId/move   Body: { targetOuId }
+// Move a division (credentials, trash and all) into another OU. The division
+// keeps its id, so assigned users and bookmarks keep working; users' `ou` follows.
+app.post('/api/structure/ous/:ouId/divisions/:divisionId/move', authMiddleware, auditTrail('structure.moveDivision', structureTarget), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'structure:manage');
+    if (!access.ok) return;
+
+    const { targetOuId } = req.body || {};
+    res.locals.auditDetails = { fromOu: req.params.ouId, toOu: targetOuId };
+    const result = await moveDivision(req.params.ouId, req.params.divisionId, targetOuId);
+    if (result.error) return refusal(res, result);
+
+    return res.json({ message: 'Division moved' });
+  } catch (err) {
+    console.error('Move division error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------------------
+// TASK 2: Credential Repository Endpoints (protected by JWT)
+// ---------------------------------------------------------------------
+
+// GET /api/credentials/search?q=&page=&limit=&sort=&order=
+// Matches q (case-insensitive, substring) against system, username, tags and
+// notes in every division the caller may read. sort: system | username |
+// division | updatedAt (default system); order: asc | desc. No passwords.
+const SEARCH_SORTS = {
+  system: r => r.credential.system.toLowerCase(),
+  username: r => r.credential.username.toLowerCase(),
+  division: r => `${r.ouName} / ${r.divisionName}`.toLowerCase(),
+  updatedAt: r => new Date(r.credential.updatedAt || 0).getTime()
+};
+app.get('/api/credentials/search', authMiddleware, auditTrail('credential.search'), async (req, res) => {
+  try {
+    const current = await getCurrentUser(req);
+    if (!current) return res.status(401).json({ error: 'Unknown user' });
+
+    const q = String(req.query.q || '').trim().toLowerCase();
+    if (q.length < 2) return res.status(400).json({ error: 'Search text must be at least 2 characters' });
+    const sort = req.query.sort || 'system';
+    if (!SEARCH_SORTS[sort]) return res.status(400).json({ error: `sort must be one of ${Object.keys(SEARCH_SORTS).join(' | ')}` });
+    const order = req.query.order === 'desc' ? -1 : 1;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    // Only metadata is loaded: no secrets, no trash
+    const ous = await storage.structure.list({ detail: 'metadata' });
+
+    const matches = [];
+    for (const ou of ous) {
+      for (const division of ou.divisions || []) {
+        if (!decide(current, 'credential:read', { divisionId: division._id, ouId: ou._id }).allowed) continue;
+        for (const c of division.credentials || []) {
+          const hit = [c.system, c.username, c.notes, ...(c.tags || [])].some(v => String(v || '').toLowerCase().includes(q));
+          if (hit) {
+            matches.push({
+              ouId: ou._id,
+              ouName: ou.name,
+              divisionId: division._id,
+              divisionName: division.name,
+              credential: publicCredential(c, division)
+            });
+          }
+        }
+      }
+    }
+
+    const key = SEARCH_SORTS[sort];
+    matches.sort((a, b) => (key(a) < key(b) ? -order : key(a) > key(b) ? order : 0));
+    res.locals.auditDetails = { q, total: matches.length };
+    return res.json({
+      items: matches.slice((page - 1) * limit, page * limit),
+      page,
+      limit,
+      total: matches.length
+    });
+  } catch (err) {
+    console.error('Search credentials error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/divisions/:id/credentials
+// View a division's credential repository
+app.get('/api/divisions/:id/credentials', authMiddleware, auditTrail('credential.list', divisionTarget), async (req, res) => {
+  try {
+    // Permission check: normal users need a membership in this division
+    const access = await ensureDivisionAccess(req, res, 'credential:read');
+    if (!access.ok) return;
+
+    // Find OU that owns this division
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    return res.json({
+      division: { id: division._id, name: division.name },
+      credentials: (division.credentials || []).map(c => publicCredential(c, division)),
+      rotationIntervalDays: division.rotationIntervalDays ?? null
+    });
+  } catch (err) {
+    console.error('GET credentials error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/credentials
+// Add a new credential to a division (contributor+ in that division, or management/admin)
+app.post('/api/divisions/:id/credentials', authMiddleware, auditTrail('credential.create', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:create');
+    if (!access.ok) return;
+
+    // Required fields and types are checked against the OpenAPI schema
+    const { system, username, password } = req.body;
+    const interval = parseIntervalDays(req.body.rotationIntervalDays);
+    const tags = parseTags(req.body.tags);
+    const notes = parseNotes(req.body.notes);
+    const invalid = [interval, tags, notes].find(r => r?.error);
+    if (invalid) return res.status(400).json({ error: invalid.error });
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const cred = newCredential({
+      system,
+      username,
+      password: encryptSecret(password),
+      updatedBy: access.user._id,
+      rotationIntervalDays: interval?.value ?? null,
+      tags: tags?.value ?? [],
+      notes: notes?.value ?? ''
+    });
+    division.credentials.push(cred);
+    await storage.credentials.saveDivision(found);
+    res.locals.auditDetails = { credentialId: cred._id, system };
+
+    return res.status(201).json({ message: 'Credential added', credentials: division.credentials.map(c => publicCredential(c, division)) });
+  } catch (err) {
+    console.error('POST credential error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/divisions/:id/credentials/:credId
+// Update an existing credential (maintainer in that division, or management/admin)
+app.put('/api/divisions/:id/credentials/:credId', authMiddleware, auditTrail('credential.update', divisionTarget), async (req, res) => {
+  res.locals.auditDetails = { credentialId: req.params.credId };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:update');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const { system, username, password, rotationIntervalDays } = req.body || {};
+    const interval = parseIntervalDays(rotationIntervalDays);
+    const tags = parseTags(req.body?.tags);
+    const notes = parseNotes(req.body?.notes);
+    const invalid = [interval, tags, notes].find(r => r?.error);
+    if (invalid) return res.status(400).json({ error: invalid.error });
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const cred = byId(division.credentials, req.params.credId);
+    if (!cred) return res.status(404).json({ error: 'Credential not found' });
+
+    // Schedule, tags or notes alone aren't a new version of the secret
+    if (system !== undefined || username !== undefined || password !== undefined) archiveCredentialVersion(cred, current);
+    if (system !== undefined)   cred.system = system;
+    if (username !== undefined) cred.username = username;
+    if (password !== undefined) {
+      cred.password = encryptSecret(password);
+      cred.lastRotatedAt = new Date();
+    }
+    if (interval) cred.rotationIntervalDays = interval.value;
+    if (tags) cred.tags = tags.value;
+    if (notes) cred.notes = notes.value;
+    // Record which fields changed, never the values
+    res.locals.auditDetails.fields = Object.entries({ system, username, password, rotationIntervalDays, tags: req.body?.tags, notes: req.body?.notes })
+      .filter(([, value]) => value !== undefined)
+      .map(([field]) => field);
+
+    await storage.credentials.saveDivision(found);
+    return res.json({ message: 'Credential updated', credential: publicCredential(cred, division) });
+  } catch (err) {
+    console.error('PUT credential error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/divisions/:id/credentials/:credId
+// Move a credential to the division's trash (maintainer+, same as update)
+app.delete('/api/divisions/:id/credentials/:credId', authMiddleware, auditTrail('credential.delete', divisionTarget), async (req, res) => {
+  res.locals.auditDetails = { credentialId: req.params.credId };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:delete');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const cred = byId(division.credentials, req.params.credId);
+    if (!cred) return res.status(404).json({ error: 'Credential not found' });
+
+    division.trash.push({ ...cred, deletedBy: current._id, deletedAt: new Date() });
+    division.credentials = withoutId(division.credentials, cred._id);
+    await storage.credentials.saveDivision(found);
+
+    const trashed = byId(division.trash, req.params.credId);
+    return res.json({ message: 'Credential moved to trash', trashed: publicTrashEntry(trashed) });
+  } catch (err) {
+    console.error('DELETE credential error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/divisions/:id/trash  (Management+)
+// Deleted credentials of a division, most recently deleted first
+app.get('/api/divisions/:id/trash', authMiddleware, auditTrail('credential.trash', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:trash');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const items = [...division.trash]
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(publicTrashEntry);
+    return res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
+  } catch (err) {
+    console.error('List trash error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/trash/:credId/restore  (Management+)
+// Move a trashed credential back into the division
+app.post('/api/divisions/:id/trash/:credId/restore', authMiddleware, auditTrail('credential.undelete', divisionTarget), async (req, res) => {
+  res.locals.auditDetails = { credentialId: req.params.credId };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:trash');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const trashed = byId(division.trash, req.params.credId);
+    if (!trashed) return res.status(404).json({ error: 'Credential not found in trash' });
+
+    const { deletedBy, deletedAt, ...rest } = trashed;
+    division.credentials.push(rest);
+    division.trash = withoutId(division.trash, trashed._id);
+    await storage.credentials.saveDivision(found);
+
+    const cred = byId(division.credentials, req.params.credId);
+    return res.json({ message: 'Credential restored', credential: publicCredential(cred, division) });
+  } catch (err) {
+    console.error('Restore from trash error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/divisions/:id/trash/:credId  (Management+)
+// Permanently remove one trashed credential, once its retention period is over
+app.delete('/api/divisions/:id/trash/:credId', authMiddleware, auditTrail('credential.purge', divisionTarget), async (req, res) => {
+  res.locals.auditDetails = { credentialId: req.params.credId };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:trash');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const trashed = byId(division.trash, req.params.credId);
+    if (!trashed) return res.status(404).json({ error: 'Credential not found in trash' });
+    if (purgeableAt(trashed) > new Date()) {
+      return res.status(409).json({ error: `Still within the ${TRASH_RETENTION_DAYS}-day retention period`, purgeableAt: purgeableAt(trashed) });
+    }
+
+    division.trash = withoutId(division.trash, trashed._id);
+    await storage.credentials.saveDivision(found);
+    return res.json({ message: 'Credential purged' });
+  } catch (err) {
+    console.error('Purge credential error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/divisions/:id/trash  (Management+)
+// Purge every trashed credential of the division whose retention period is over
+app.delete('/api/divisions/:id/trash', authMiddleware, auditTrail('credential.purge', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:trash');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const now = new Date();
+    const expired = division.trash.filter(t => purgeableAt(t) <= now);
+    division.trash = division.trash.filter(t => !expired.includes(t));
+
+    if (expired.length > 0) await storage.credentials.saveDivision(found);
+
+    res.locals.auditDetails = { purged: expired.length };
+    return res.json({ message: `Purged ${expired.length} credential(s)`, purged: expired.length });
+  } catch (err) {
+    console.error('Purge trash error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/divisions/:id/generator-rules -> { rules, custom, limits }
+app.get('/api/divisions/:id/generator-rules', authMiddleware, async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:read');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+    const { division } = found;
+
+    return res.json({
+      rules: divisionGeneratorRules(division),
+      custom: !!division.generatorRules,
+      limits: { minLength: MIN_LENGTH, maxLength: MAX_LENGTH }
+    });
+  } catch (err) {
+    console.error('Generator rules error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/divisions/:id/generator-rules
+// Body: any of { length, lower, upper, digits, symbols, excludeAmbiguous }; { reset: true } goes back to the defaults
+app.put('/api/divisions/:id/generator-rules', authMiddleware, auditTrail('division.generatorRules', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'division:configure');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+    const { division } = found;
+
+    const body = req.body || {};
+    if (body.reset) {
+      division.generatorRules = null;
+    } else {
+      const { rules, error } = resolveRules(body, divisionGeneratorRules(division));
+      if (error) return res.status(400).json({ error });
+      division.generatorRules = rules;
+    }
+    await storage.credentials.saveDivision(found);
+
+    const rules = divisionGeneratorRules(division);
+    res.locals.auditDetails = { rules, reset: !!body.reset };
+    return res.json({ message: 'Generator rules saved', rules, custom: !!division.generatorRules });
+  } catch (err) {
+    console.error('Generator rules error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/divisions/:id/rotation  Body: { rotationIntervalDays } (null = no schedule)
+// Default interval for the division's credentials; a credential's own interval wins
+app.put('/api/divisions/:id/rotation', authMiddleware, auditTrail('division.rotation', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'division:configure');
+    if (!access.ok) return;
+
+    const interval = parseIntervalDays(req.body?.rotationIntervalDays);
+    if (!interval) return res.status(400).json({ error: 'rotationIntervalDays is required (a number of days or null)' });
+    if (interval.error) return res.status(400).json({ error: interval.error });
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+    const { division } = found;
+
+    res.locals.auditDetails = { from: division.rotationIntervalDays ?? null, to: interval.value };
+    division.rotationIntervalDays = interval.value;
+    await storage.credentials.saveDivision(found);
+    return res.json({ message: 'Rotation interval saved', rotationIntervalDays: division.rotationIntervalDays });
+  } catch (err) {
+    console.error('Division rotation error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/credentials/generate
+// Body (optional): rule overrides, e.g. { length: 32, symbols: false }; the rest comes from the division
+app.post('/api/divisions/:id/credentials/generate', authMiddleware, async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:generate');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { rules, error } = resolveRules(req.body || {}, divisionGeneratorRules(found.division));
+    if (error) return res.status(400).json({ error });
+
+    res.set('Cache-Control', 'no-store');
+    return res.json({ password: generatePassword(rules), rules });
+  } catch (err) {
+    console.error('Generate password error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/credentials/:credId/reveal
+// Body (optional): { versionId } to reveal an earlier version from the history.
+// The only route that decrypts a password; every call is audited.
+app.post('/api/divisions/:id/credentials/:credId/reveal', authMiddleware, auditTrail('credential.reveal', divisionTarget), async (req, res) => {
+  const { versionId } = req.body || {};
+  res.locals.auditDetails = { credentialId: req.params.credId, ...(versionId ? { versionId } : {}) };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:reveal');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const cred = byId(found.division.credentials, req.params.credId);
+    if (!cred) return res.status(404).json({ error: 'Credential not found' });
+
+    const source = versionId ? byId(cred.history, versionId) : cred;
+    if (!source) return res.status(404).json({ error: 'Version not found' });
+
+    res.locals.auditDetails.version = source.version;
+    res.set('Cache-Control', 'no-store');
+    return res.json({ password: decryptSecret(source.password), version: source.version });
+  } catch (err) {
+    console.error('Reveal credential error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/divisions/:id/credentials/:credId/history
+// Earlier versions of a credential, newest first (same access as viewing the division)
+app.get('/api/divisions/:id/credentials/:credId/history', authMiddleware, auditTrail('credential.history', divisionTarget), async (req, res) => {
+  res.locals.auditDetails = { credentialId: req.params.credId };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:read');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const cred = byId(division.credentials, req.params.credId);
+    if (!cred) return res.status(404).json({ error: 'Credential not found' });
+
+    // Resolve user ids to names for display
+    const userIds = new Set();
+    for (const v of [cred, ...cred.history]) {
+      if (v.updatedBy) userIds.add(String(v.updatedBy));
+      if (v.replacedBy) userIds.add(String(v.replacedBy));
+    }
+    const users = await storage.users.findByIds([...userIds]);
+
+    const names = new Map(users.map(u => [String(u._id), { id: String(u._id), name: u.name, email: u.email }]));
+    const who = id => (id ? names.get(String(id)) || { id: String(id), name: null, email: null } : null);
+
+    return res.json({
+      credential: { ...publicCredential(cred, division), updatedBy: who(cred.updatedBy) },
+      history: [...cred.history].reverse().map(v => ({
+        id: v._id,
+        version: v.version,
+        system: v.system,
+        username: v.username,
+        updatedBy: who(v.updatedBy),
+        updatedAt: v.updatedAt || null,
+        replacedBy: who(v.replacedBy),
+        replacedAt: v.replacedAt
+      }))
+    });
+  } catch (err) {
+    console.error('Credential history error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/credentials/:credId/history/:versionId/restore
+// Roll a credential back to an earlier version (Management+)
+// The current values are archived first, so a restore can itself be undone.
+app.post('/api/divisions/:id/credentials/:credId/history/:versionId/restore', authMiddleware, auditTrail('credential.restore', divisionTarget), async (req, res) => {
+  res.locals.auditDetails = { credentialId: req.params.credId, versionId: req.params.versionId };
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:restoreVersion');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+
+    const { division } = found;
+    const cred = byId(division.credentials, req.params.credId);
+    if (!cred) return res.status(404).json({ error: 'Credential not found' });
+    const target = byId(cred.history, req.params.versionId);
+    if (!target) return res.status(404).json({ error: 'Version not found' });
+    const { system, username, password, version } = target;
+
+    // Going back to an older password still changes the live secret
+    const passwordChanged = decryptSecret(password) !== decryptSecret(cred.password);
+    archiveCredentialVersion(cred, current);
+    cred.system = system;
+    cred.username = username;
+    cred.password = password; // still encrypted, copied as-is
+    if (passwordChanged) cred.lastRotatedAt = new Date();
+    res.locals.auditDetails.restoredVersion = version;
+
+    await storage.credentials.saveDivision(found);
+    return res.json({ message: `Restored version ${version}`, credential: publicCredential(cred, division) });
+  } catch (err) {
+    console.error('Restore credential error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/import/preview
+// Body: { csv, mapping?, hasHeader? } or { bundle, passphrase }
+// Nothing is written. Rows come back without passwords, each with a status:
+// new | duplicate (system/username already in the division) | repeated (earlier row) | invalid
+app.post('/api/divisions/:id/import/preview', authMiddleware, async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:import');
+    if (!access.ok) return;
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+    const { division } = found;
+
+    const parsed = await importRows(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const existing = new Set(division.credentials.map(c => duplicateKey(c.system, c.username)));
+    const rows = classifyRows(parsed.rows, existing).map(({ password, lastRotatedAt, ...row }) => row);
+    const summary = { total: rows.length, new: 0, duplicate: 0, repeated: 0, invalid: 0 };
+    for (const r of rows) summary[r.status]++;
+
+    return res.json({ columns: parsed.columns, mapping: parsed.mapping, source: parsed.source, rows, summary });
+  } catch (err) {
+    console.error('Import preview error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/import
+// Body: same as the preview + { onDuplicate: 'skip' | 'overwrite' } (default skip)
+// Invalid and repeated rows are skipped; overwrite keeps the old value in the history.
+app.post('/api/divisions/:id/import', authMiddleware, auditTrail('credential.import', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:import');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const onDuplicate = req.body?.onDuplicate || 'skip';
+    if (!['skip', 'overwrite'].includes(onDuplicate)) {
+      return res.status(400).json({ error: 'onDuplicate must be "skip" or "overwrite"' });
+    }
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+    const { division } = found;
+
+    const parsed = await importRows(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const byKey = new Map(division.credentials.map(c => [duplicateKey(c.system, c.username), c]));
+    const result = { created: 0, updated: 0, skipped: [] };
+    const now = new Date();
+    for (const row of classifyRows(parsed.rows, new Set(byKey.keys()))) {
+      if (row.status === 'invalid' || row.status === 'repeated' || (row.status === 'duplicate' && onDuplicate === 'skip')) {
+        result.skipped.push({ line: row.line, status: row.status, error: row.error || undefined });
+        continue;
+      }
+      if (row.status === 'duplicate') {
+        const cred = byKey.get(duplicateKey(row.system, row.username));
+        archiveCredentialVersion(cred, current);
+        if (decryptSecret(cred.password) !== row.password) cred.lastRotatedAt = now;
+        cred.password = encryptSecret(row.password);
+        if (row.rotationIntervalDays !== null) cred.rotationIntervalDays = row.rotationIntervalDays;
+        result.updated++;
+      } else {
+        division.credentials.push(newCredential({
+          system: row.system,
+          username: row.username,
+          password: encryptSecret(row.password),
+          updatedBy: current._id,
+          createdAt: now,
+          updatedAt: now,
+          lastRotatedAt: row.lastRotatedAt ? new Date(row.lastRotatedAt) : null,
+          rotationIntervalDays: row.rotationIntervalDays
+        }));
+
+        result.created++;
+      }
+    }
+    await storage.credentials.saveDivision(found);
+
+    res.locals.auditDetails = {
+      format: req.body.bundle ? 'bundle' : 'csv',
+      onDuplicate,
+      created: result.created,
+      updated: result.updated,
+      skipped: result.skipped.length
+    };
+    return res.json({
+      message: `Imported ${result.created} new, updated ${result.updated}, skipped ${result.skipped.length}`,
+      ...result,
+      credentials: division.credentials.map(c => publicCredential(c, division))
+    });
+  } catch (err) {
+    console.error('Import error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/divisions/:id/export
+// Body: { format: 'csv' } or { format: 'bundle', passphrase }
+// Returns a download with the decrypted passwords (CSV) or an encrypted bundle
+// that POST /import accepts in any division or instance.
+app.post('/api/divisions/:id/export', authMiddleware, auditTrail('credential.export', divisionTarget), async (req, res) => {
+  try {
+    const access = await ensureDivisionAccess(req, res, 'credential:export');
+    if (!access.ok) return;
+
+    const { format = 'csv', passphrase } = req.body || {};
+    if (!['csv', 'bundle'].includes(format)) return res.status(400).json({ error: 'format must be "csv" or "bundle"' });
+
+    const found = await storage.credentials.loadDivision(req.params.id);
+    if (!found) return res.status(404).json({ error: 'Division not found' });
+    const { ou, division } = found;
+
+    const credentials = division.credentials.map(c => ({
+      system: c.system,
+      username: c.username,
+      password: decryptSecret(c.password),
+      rotationIntervalDays: c.rotationIntervalDays ?? null,
+      lastRotatedAt: c.lastRotatedAt || null
+    }));
+    const baseName = `${ou.name}-${division.name}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+    res.locals.auditDetails = { format, count: credentials.length };
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'csv') {
+      const rows = [['system', 'username', 'password', 'rotationIntervalDays']];
+      for (const c of credentials) rows.push([c.system, c.username, c.password, c.rotationIntervalDays ?? '']);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+      return res.send(toCsv(rows));
+    }
+
+    let bundle;
+    try {
+      bundle = await encryptBundle({
+        division: { ou: ou.name, name: division.name },
+        exportedAt: new Date(),
+        credentials
+      }, passphrase);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.set('Content-Disposition', `attachment; filename="${baseName}.credentials.json"`);
+    return res.json(bundle);
+  } catch (err) {
+    console.error('Export error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/admin/credentials/reencrypt  (Admin only)
+// Re-encrypt all credentials under the active CREDENTIAL_KEYS entry.
+// Run after putting a new key first in the ring; safe to run repeatedly.
+app.post('/api/admin/credentials/reencrypt', authMiddleware, auditTrail('credential.reencrypt'), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'credential:reencrypt');
+    if (!access.ok) return;
+
+    const result = await reencryptAllCredentials();
+    res.locals.auditDetails = result;
+    return res.json({ message: 'Credentials re-encrypted', ...result });
+  } catch (err) {
+    console.error('Re-encrypt credentials error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------------------
+// TASK 3: Assign/Unassign Users; Change Role; List Users
+// ---------------------------------------------------------------------
+
+// GET /api/users?q=&role=&ou=&division=&unassigned=&sort=&order=&page=1&limit=25  (Management+)
+// One page of users with minimal fields for the admin UI. q matches part of the
+// name or email; ou / division keep members of that OU / division;
+// unassigned=true keeps users without memberships. sort: name | email | role.
+const USER_SORTS = ['name', 'email', 'role'];
+app.get('/api/users', authMiddleware, async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'user:list');
+    if (!access.ok) return;
+
+    const { q, role, ou, division } = req.query;
+    const unassigned = req.query.unassigned === 'true';
+    if (role && !globalRoles().includes(role)) {
+      return res.status(400).json({ error: `Invalid role (${globalRoles().join(' | ')})` });
+    }
+    if (ou && !isId(ou)) return res.status(400).json({ error: 'Invalid ou id' });
+    if (division && !isId(division)) return res.status(400).json({ error: 'Invalid division id' });
+    if (unassigned && (ou || division)) {
+      return res.status(400).json({ error: 'unassigned cannot be combined with ou or division' });
+    }
+
+    const sort = req.query.sort || 'name';
+    if (!USER_SORTS.includes(sort)) return res.status(400).json({ error: `sort must be one of ${USER_SORTS.join(' | ')}` });
+    const order = req.query.order === 'desc' ? 'desc' : 'asc';
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+    // Case-insensitive: q matches part of the name / email, sorting ignores case
+    const { items: users, total } = await storage.users.list({
+      q, role, ou, division, unassigned, sort, order, skip: (page - 1) * limit, limit
+    });
+    return res.json({
+      items: users.map(u => ({
+        id: String(u._id),
+        name: u.name,
+        email: u.email,
+        role: u.role,
+        memberships: (u.memberships || []).map(publicMembership)
+      })),
+      page,
+      limit,
+      total
+    });
+  } catch (err) {
+    console.error('List users error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/users/:id/assign  (Management+)
+// Body: { ouId, divisionId, role?, startsAt?, expiresAt? }  -> Add the user to a
+// division, or change their role / time window there if already a member.
+// role: viewer | contributor (default) | maintainer. startsAt / expiresAt make it
+// a temporary grant; left out they stay as they are (null removes them), so
+// the same call extends or shortens a grant.
+app.post('/api/users/:id/assign', authMiddleware, auditTrail('user.assign', userTarget), async (req, res) => {
+  try {
+    const { ouId, divisionId, role = 'contributor' } = req.body || {};
+    res.locals.auditDetails = { ouId, divisionId, role };
+
+    // Scoped policies are checked against the division being assigned;
+    // a mismatched ouId is rejected below, so it can't widen the scope
+    const access = await authorize(req, res, 'user:assign', { divisionId, ouId });
+    if (!access.ok) return;
+    const current = access.user;
+
+    if (!ouId || !divisionId) return res.status(400).json({ error: 'ouId and divisionId required' });
+    if (!MEMBERSHIP_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role (${MEMBERSHIP_ROLES.join(' | ')})` });
+    }
+
+    // Validate OU and ensure divisionId belongs to that OU
+    const ou = await storage.structure.findOu(ouId);
+    if (!ou) return res.status(404).json({ error: 'OU not found' });
+    const division = byId(ou.divisions, divisionId);
+    if (!division) return res.status(400).json({ error: 'divisionId does not belong to the specified OU' });
+
+    const user = await storage.users.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const existing = membershipFor(user, division._id);
+    const window = grantWindow(req.body, existing);
+    if (window.error) return refusal(res, window);
+    Object.assign(res.locals.auditDetails, window);
+
+    if (existing) {
+      Object.assign(res.locals.auditDetails, {
+        previousRole: existing.role, previousStartsAt: existing.startsAt ?? null, previousExpiresAt: existing.expiresAt ?? null
+      });
+      Object.assign(existing, { role, ...window });
+    } else {
+      user.memberships.push(newMembership({ ou: ou._id, division: division._id, role, addedBy: current._id, ...window }));
+    }
+    await storage.users.save(user);
+
+    return res.json({ message: existing ? 'Membership updated' : 'User assigned', user: publicUser(user) });
+  } catch (err) {
+    console.error('Assign user error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/users/:id/assign?divisionId=<id>  (Management+)
+// Remove one membership, or every membership when divisionId is omitted.
+// The user's sessions are revoked either way.
+app.delete('/api/users/:id/assign', authMiddleware, auditTrail('user.unassign', userTarget), async (req, res) => {
+  try {
+    const { divisionId } = req.query;
+    // Removing every membership needs unscoped user:assign
+    const target = divisionId ? { divisionId } : {};
+    if (divisionId) target.ouId = await storage.structure.ouIdForDivision(divisionId);
+    const access = await authorize(req, res, 'user:assign', target);
+    if (!access.ok) return;
+
+    const user = await storage.users.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const removed = divisionId
+      ? user.memberships.filter(m => String(m.division) === String(divisionId))
+      : [...user.memberships];
+    res.locals.auditDetails = { removed: removed.map(publicMembership) };
+    if (divisionId && removed.length === 0) {
+      return res.status(404).json({ error: 'User is not a member of that division' });
+    }
+
+    user.memberships = user.memberships.filter(m => !removed.includes(m));
+    await storage.users.save(user);
+    await revokeUserSessions(user._id, 'unassigned');
+
+    return res.json({ message: 'User unassigned', user: publicUser(user) });
+  } catch (err) {
+    console.error('Unassign user error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// PUT /api/users/:id/role  (Admin only)
+// Body: { role: 'normal' | 'management' | 'admin' }  (roles from config/policy.json)
+app.put('/api/users/:id/role', authMiddleware, auditTrail('user.setRole', userTarget), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'user:setRole');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const { role } = req.body || {};
+    res.locals.auditDetails = { role };
+
+    const user = await storage.users.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const result = await setUserRole(user, role);
+    if (result.error) return refusal(res, result);
+    res.locals.auditDetails.previousRole = result.previousRole;
+    const { roleChanged } = result;
+
+    // Own role changed -> this session was just revoked, client must log in again
+    const requireReLogin = roleChanged && String(user._id) === String(current._id);
+    return res.json({ message: 'Role updated', user: publicUser(user), requireReLogin });
+  } catch (err) {
+    console.error('Change role error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/users/bulk  (Management+; setRole is admin only)
+// Body: { action: 'assign' | 'unassign' | 'setRole', userIds: [...], ... }
+//   assign:   { ouId, divisionId, role?, startsAt?, expiresAt? }
+//             (membership role, default contributor; window as for /assign)
+//   unassign: { divisionId? }              (omit to remove every membership)
+//   setRole:  { role }                     (global role)
+// All-or-nothing: every user is checked first; if any fails, nothing is
+// changed and the response (400) says which. Results are per user.
+const BULK_ACTIONS = ['assign', 'unassign', 'setRole'];
+const MAX_BULK_USERS = 500;
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+app.post('/api/users/bulk', authMiddleware, auditTrail('user.bulk'), async (req, res) => {
+  try {
+    const { action, ouId, divisionId, role, startsAt, expiresAt } = req.body || {};
+    const userIds = [...new Set((Array.isArray(req.body?.userIds) ? req.body.userIds : []).map(String))];
+    res.locals.auditDetails = { action, ouId, divisionId, role, startsAt, expiresAt, count: userIds.length };
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${BULK_ACTIONS.join(' | ')}` });
+    }
+    // Same policy checks as the single-user endpoints
+    let target = {};
+    if (action === 'assign') target = { divisionId, ouId };
+    if (action === 'unassign' && divisionId) {
+      target = { divisionId, ouId: await storage.structure.ouIdForDivision(divisionId) };
+    }
+    const access = await authorize(req, res, action === 'setRole' ? 'user:setRole' : 'user:assign', target);
+    if (!access.ok) return;
+    const current = access.user;
+
+    if (userIds.length === 0) return res.status(400).json({ error: 'userIds must be a non-empty array' });
+    if (userIds.length > MAX_BULK_USERS) return res.status(400).json({ error: `At most ${MAX_BULK_USERS} users per request` });
+
+    // Check the action's own parameters
+    if (action === 'assign') {
+      if (!ouId || !divisionId) return res.status(400).json({ error: 'ouId and divisionId required' });
+      if (!MEMBERSHIP_ROLES.includes(role ?? 'contributor')) {
+        return res.status(400).json({ error: `Invalid role (${MEMBERSHIP_ROLES.join(' | ')})` });
+      }
+      const ou = await storage.structure.findOu(ouId);
+      if (!ou) return res.status(404).json({ error: 'OU not found' });
+      if (!byId(ou.divisions, divisionId)) return res.status(400).json({ error: 'divisionId does not belong to the specified OU' });
+    }
+    if (action === 'setRole' && !globalRoles().includes(role)) {
+      return res.status(400).json({ error: `Invalid role (${globalRoles().join(' | ')})` });
+    }
+
+    const found = await storage.users.findByIds(userIds);
+    const usersById = new Map(found.map(u => [String(u._id), u]));
+
+    // Plan every change before writing anything
+    const plans = userIds.map(userId => {
+      const user = usersById.get(userId);
+      if (!user) return { userId, outcome: 'failed', error: 'User not found' };
+
+      if (action === 'assign') {
+        const membershipRole = role ?? 'contributor';
+        const existing = membershipFor(user, divisionId);
+        // Each user's window is worked out against their own membership
+        const window = grantWindow(req.body, existing);
+        if (window.error) return { userId, outcome: 'failed', error: window.error };
+        if (existing?.role === membershipRole && sameTime(existing.startsAt, window.startsAt) && sameTime(existing.expiresAt, window.expiresAt)) {
+          return { userId, user, outcome: 'unchanged' };
+        }
+        const memberships = existing
+          ? user.memberships.map(m => (m === existing ? { ...m, role: membershipRole, ...window } : m))
+          : [...user.memberships, newMembership({ ou: ouId, division: divisionId, role: membershipRole, addedBy: current._id, ...window })];
+        return { userId, user, outcome: existing ? 'updated' : 'assigned', update: { memberships } };
+      }
+      if (action === 'unassign') {
+        const keep = user.memberships.filter(m => divisionId && String(m.division) !== String(divisionId));
+        if (keep.length === user.memberships.length) return { userId, user, outcome: 'unchanged' };
+        return { userId, user, outcome: 'unassigned', update: { memberships: keep }, revoke: 'unassigned' };
+      }
+      if (user.role === role) return { userId, user, outcome: 'unchanged' };
+      return { userId, user, outcome: 'roleChanged', previousRole: user.role };
+    });
+
+    const results = plans.map(({ userId, outcome, error, previousRole }) => ({ userId, outcome, ...(error ? { error } : {}), ...(previousRole ? { previousRole } : {}) }));
+    const failed = results.filter(r => r.outcome === 'failed').length;
+    res.locals.auditDetails.failed = failed;
+    if (failed) {
+      return res.status(400).json({ error: `No changes made: ${failed} of ${userIds.length} users failed`, applied: false, results });
+    }
+
+    // Write the changes (saveAll puts back what was written if the batch breaks part-way);
+    // role changes go through the same helper as the single-user route and the CLI
+    const changes = plans.filter(p => p.outcome !== 'unchanged');
+    if (action === 'setRole') {
+      await setUserRoles(changes.map(p => p.user), role);
+    } else {
+      await storage.users.saveAll(changes.map(p => Object.assign(p.user, p.update)));
+      for (const p of changes) {
+        if (p.revoke) await revokeUserSessions(p.user._id, p.revoke);
+      }
+    }
+    res.locals.auditDetails.changed = changes.map(p => p.userId);
+
+    const updated = await storage.users.findByIds(userIds);
+
+    const requireReLogin = action === 'setRole' && changes.some(p => p.userId === String(current._id));
+    return res.json({
+      message: `${changes.length} of ${userIds.length} users changed`,
+      applied: true,
+      results,
+      users: updated.map(publicUser),
+      requireReLogin
+    });
+  } catch (err) {
+    console.error('Bulk user update error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------------------
+// Division access requests
+// A normal user asks for a membership with a justification; management
+// approves (optionally until a given time) or denies it from a queue.
+// The decision stays on the request and is audited.
+// ---------------------------------------------------------------------
+
+// Requests for the API, with division names and (for the queue) requester details
+async function publicAccessRequests(requests, { withRequester = false } = {}) {
+  const ous = await storage.structure.list({ detail: 'names' });
+  const names = new Map();
+  for (const ou of ous) {
+    for (const d of ou.divisions) names.set(String(d._id), { ouName: ou.name, divisionName: d.name });
+  }
+  const userIds = withRequester ? [...new Set(requests.flatMap(r => [r.requester, r.decidedBy]).filter(Boolean).map(String))] : [];
+  const users = new Map((await storage.users.findByIds(userIds)).map(u => [String(u._id), u]));
+  const person = id => {
+    const u = id && users.get(String(id));
+    return u ? { id: String(u._id), name: u.name, email: u.email } : null;
+  };
+
+  return requests.map(r => ({
+    id: String(r._id),
+    ouId: String(r.ou),
+    divisionId: String(r.division),
+    ...(names.get(String(r.division)) || { ouName: null, divisionName: null }),
+    role: r.role,
+    justification: r.justification,
+    status: r.status,
+    createdAt: r.createdAt,
+    decidedAt: r.decidedAt ?? null,
+    decisionNote: r.decisionNote || '',
+    expiresAt: r.expiresAt ?? null,
+    ...(withRequester ? { requester: person(r.requester), decidedBy: person(r.decidedBy) } : {})
+  }));
+}
+
+// POST /api/access-requests   Body: { divisionId, role?, justification }
+// role defaults to viewer. One pending request per division.
+app.post('/api/access-requests', authMiddleware, auditTrail('accessRequest.create', req => ({ targetDivision: req.body?.divisionId })), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'access:request');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const { divisionId, role = 'viewer' } = req.body;
+    const justification = req.body.justification.trim();
+    if (justification.length < 10) return res.status(400).json({ error: 'Please explain in a few words why you need access' });
+    if (!MEMBERSHIP_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role (${MEMBERSHIP_ROLES.join(' | ')})` });
+    }
+
+    const ouId = await storage.structure.ouIdForDivision(divisionId);
+    if (!ouId) return res.status(404).json({ error: 'Division not found' });
+
+    const held = activeMemberships(current).find(m => String(m.division) === String(divisionId));
+    if (held && MEMBERSHIP_ROLES.indexOf(held.role) >= MEMBERSHIP_ROLES.indexOf(role)) {
+      return res.status(409).json({ error: `You already have ${held.role} access to this division` });
+    }
+    const pending = await storage.accessRequests.list({ status: 'pending', requester: current._id, division: divisionId, limit: 1 });
+    if (pending.total > 0) return res.status(409).json({ error: 'You already have a pending request for this division' });
+
+    const request = await storage.accessRequests.create(newAccessRequest({
+      requester: current._id, ou: ouId, division: divisionId, role, justification
+    }));
+    res.locals.auditDetails = { requestId: String(request._id), role };
+    const [item] = await publicAccessRequests([request]);
+    return res.status(201).json({ message: 'Access request sent', request: item });
+  } catch (err) {
+    console.error('Create access request error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/access-requests/mine
+// The signed-in user's own requests, newest first
+app.get('/api/access-requests/mine', authMiddleware, async (req, res) => {
+  try {
+    const current = await getCurrentUser(req);
+    if (!current) return res.status(401).json({ error: 'Unknown user' });
+
+    const { items } = await storage.accessRequests.list({ requester: current._id, limit: 100 });
+    return res.json({ items: await publicAccessRequests(items) });
+  } catch (err) {
+    console.error('List own access requests error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/access-requests/:id/cancel
+// Withdraw one of your own pending requests
+app.post('/api/access-requests/:id/cancel', authMiddleware, auditTrail('accessRequest.cancel'), async (req, res) => {
+  res.locals.auditDetails = { requestId: req.params.id };
+  try {
+    const current = await getCurrentUser(req);
+    if (!current) return res.status(401).json({ error: 'Unknown user' });
+
+    const request = await storage.accessRequests.findById(req.params.id);
+    if (!request || String(request.requester) !== String(current._id)) {
+      return res.status(404).json({ error: 'Access request not found' });
+    }
+    if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+
+    request.status = 'cancelled';
+    request.decidedAt = new Date();
+    await storage.accessRequests.save(request);
+    const [item] = await publicAccessRequests([request]);
+    return res.json({ message: 'Access request cancelled', request: item });
+  } catch (err) {
+    console.error('Cancel access request error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/access-requests?status=pending&page=1&limit=25  (Management+)
+// The review queue; status defaults to pending, "all" lists every request
+app.get('/api/access-requests', authMiddleware, async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'access:review');
+    if (!access.ok) return;
+
+    const status = req.query.status || 'pending';
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const { items, total } = await storage.accessRequests.list({
+      status: status === 'all' ? undefined : status,
+      skip: (page - 1) * limit,
+      limit
+    });
+    return res.json({ items: await publicAccessRequests(items, { withRequester: true }), page, limit, total });
+  } catch (err) {
+    console.error('List access requests error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Load a request for a decision: 404 / 409 unless it is still pending
+async function pendingRequest(req, res) {
+  const request = await storage.accessRequests.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ error: 'Access request not found' });
+    return null;
+  }
+  res.locals.auditDetails = { requestId: String(request._id) };
+  res.locals.accessRequest = request;
+  if (request.status !== 'pending') {
+    res.status(409).json({ error: `Request is already ${request.status}` });
+    return null;
+  }
+  return request;
+}
+
+// Audit targets for the decision routes: the requester and the division asked for
+const accessRequestTarget = (req, res) => ({
+  targetUser: res.locals.accessRequest?.requester,
+  targetDivision: res.locals.accessRequest?.division
+});
+
+// POST /api/access-requests/:id/approve   Body: { role?, startsAt?, expiresAt?, note? }  (Management+)
+// Grants the membership (the requested role unless `role` says otherwise).
+// startsAt / expiresAt follow the /assign rules (lib/grants.js): checked, and
+// an existing membership keeps the window fields that aren't given.
+app.post('/api/access-requests/:id/approve', authMiddleware, auditTrail('accessRequest.approve', accessRequestTarget), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'access:review');
+    if (!access.ok) return;
+    const current = access.user;
+
+    const request = await pendingRequest(req, res);
+    if (!request) return;
+
+    const { role = request.role, note = '' } = req.body || {};
+    if (!MEMBERSHIP_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role (${MEMBERSHIP_ROLES.join(' | ')})` });
+    }
+
+    const [user, ouId] = await Promise.all([
+      storage.users.findById(request.requester),
+      storage.structure.ouIdForDivision(request.division)
+    ]);
+    if (!user) return res.status(404).json({ error: 'Requester no longer exists' });
+    if (!ouId) return res.status(404).json({ error: 'Division no longer exists' });
+
+    const existing = membershipFor(user, request.division);
+    const window = grantWindow(req.body || {}, existing);
+    if (window.error) return refusal(res, window);
+
+    if (existing) {
+      Object.assign(existing, { ou: ouId, role, ...window });
+    } else {
+      user.memberships.push(newMembership({ ou: ouId, division: request.division, role, addedBy: current._id, ...window }));
+    }
+    await storage.users.save(user);
+
+    Object.assign(request, {
+      status: 'approved', role, expiresAt: window.expiresAt, decidedBy: String(current._id), decidedAt: new Date(), decisionNote: String(note).trim()
+    });
+    await storage.accessRequests.save(request);
+    Object.assign(res.locals.auditDetails, { role, ...window, note: request.decisionNote || undefined });
+
+    const [item] = await publicAccessRequests([request], { withRequester: true });
+    return res.json({ message: 'Access granted', request: item });
+  } catch (err) {
+    console.error('Approve access request error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/access-requests/:id/deny   Body: { note? }  (Management+)
+app.post('/api/access-requests/:id/deny', authMiddleware, auditTrail('accessRequest.deny', accessRequestTarget), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'access:review');
+    if (!access.ok) return;
+
+    const request = await pendingRequest(req, res);
+    if (!request) return;
+
+    Object.assign(request, {
+      status: 'denied', decidedBy: String(access.user._id), decidedAt: new Date(), decisionNote: String(req.body?.note || '').trim()
+    });
+    await storage.accessRequests.save(request);
+    res.locals.auditDetails.note = request.decisionNote || undefined;
+
+    const [item] = await publicAccessRequests([request], { withRequester: true });
+    return res.json({ message: 'Access request denied', request: item });
+  } catch (err) {
+    console.error('Deny access request error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------------------
+// Service accounts & API keys (Admin only)
+// ---------------------------------------------------------------------
+
+// GET /api/service-accounts
+// Every service account with its keys (metadata only)
+app.get('/api/service-accounts', authMiddleware, async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'apikey:manage');
+    if (!access.ok) return;
+
+    const accounts = await storage.serviceAccounts.list();
+    return res.json({
+      items: accounts.map(a => publicServiceAccount(a)),
+      actions: API_KEY_ACTIONS,
+      maxDays: maxKeyDays(),
+      defaultDays: defaultKeyDays()
+    });
+  } catch (err) {
+    console.error('List service accounts error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/service-accounts   Body: { name, description? }
+app.post('/api/service-accounts', authMiddleware, auditTrail('serviceAccount.create'), async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'apikey:manage');
+    if (!access.ok) return;
+
+    const name = cleanName(req.body?.name);
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const existing = await storage.serviceAccounts.list();
+    if (nameTaken(existing, name)) return res.status(409).json({ error: 'A service account with that name already exists' });
+
+    const account = await storage.serviceAccounts.create(newServiceAccount({
+      name,
+      description: String(req.body.description || '').trim(),
+      createdBy: access.user._id
+    }));
+    res.locals.auditDetails = { accountId: String(account._id), name };
+    return res.status(201).json({ message: 'Service account created', account: publicServiceAccount(account) });
+  } catch (err) {
+    console.error('Create service account error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/service-accounts/:id
+// Removes the account and with it every key it had
+app.delete('/api/service-accounts/:id', authMiddleware, auditTrail('serviceAccount.delete'), async (req, res) => {
+  res.locals.auditDetails = { accountId: req.params.id };
+  try {
+    const access = await authorize(req, res, 'apikey:manage');
+    if (!access.ok) return;
+
+    const account = await storage.serviceAccounts.findById(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Service account not found' });
+
+    await storage.serviceAccounts.delete(account._id);
+    res.locals.auditDetails.name = account.name;
+    return res.json({ message: 'Service account deleted' });
+  } catch (err) {
+    console.error('Delete service account error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/service-accounts/:id/keys
+// Body: { divisions: [divisionId], actions: [...API_KEY_ACTIONS], expiresInDays?, label? }
+// The key is in the response only this once; just its hash is stored.
+app.post('/api/service-accounts/:id/keys', authMiddleware, auditTrail('apiKey.create'), async (req, res) => {
+  res.locals.auditDetails = { accountId: req.params.id };
+  try {
+    const access = await authorize(req, res, 'apikey:manage');
+    if (!access.ok) return;
+
+    const account = await storage.serviceAccounts.findById(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Service account not found' });
+
+    const divisions = [...new Set(req.body.divisions.map(String))];
+    const ous = await storage.structure.list({ detail: 'names' });
+    const known = new Set(ous.flatMap(ou => ou.divisions.map(d => String(d._id))));
+    const unknown = divisions.filter(d => !known.has(d));
+    if (unknown.length) return res.status(400).json({ error: `Unknown division: ${unknown.join(', ')}` });
+
+    const actions = [...new Set(req.body.actions)];
+    const days = req.body.expiresInDays ?? defaultKeyDays();
+    if (days > maxKeyDays()) return res.status(400).json({ error: `expiresInDays may be at most ${maxKeyDays()}` });
+
+    const { key, keyId, keyHash, hint } = generateApiKey();
+    const now = new Date();
+    account.keys.push({
+      _id: keyId,
+      label: String(req.body.label || '').trim(),
+      keyHash,
+      hint,
+      divisions,
+      actions,
+      expiresAt: keyExpiry(days, now),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      createdBy: String(access.user._id),
+      createdAt: now,
+      revokedAt: null,
+      revokedBy: null
+    });
+    await storage.serviceAccounts.save(account);
+    res.locals.auditDetails = { accountId: String(account._id), keyId, divisions, actions, expiresInDays: days };
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(201).json({ message: 'API key issued', key, account: publicServiceAccount(account, now) });
+  } catch (err) {
+    console.error('Issue API key error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE /api/service-accounts/:id/keys/:keyId
+// Revokes a key (it stays listed, marked revoked); takes effect on its next request
+app.delete('/api/service-accounts/:id/keys/:keyId', authMiddleware, auditTrail('apiKey.revoke'), async (req, res) => {
+  res.locals.auditDetails = { accountId: req.params.id, keyId: req.params.keyId };
+  try {
+    const access = await authorize(req, res, 'apikey:manage');
+    if (!access.ok) return;
+
+    const account = await storage.serviceAccounts.findById(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Service account not found' });
+    const key = byId(account.keys, req.params.keyId);
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    if (key.revokedAt) return res.status(409).json({ error: 'API key already revoked' });
+
+    key.revokedAt = new Date();
+    key.revokedBy = String(access.user._id);
+    await storage.serviceAccounts.save(account);
+    return res.json({ message: 'API key revoked', account: publicServiceAccount(account) });
+  } catch (err) {
+    console.error('Revoke API key error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ---------------------------------------------------------------------
+// Audit log (Admin only)
+// ---------------------------------------------------------------------
+
+// GET /api/audit?action=&outcome=&actor=&division=&user=&from=&to=&page=1&limit=50
+// Newest first. `actor` matches part of the actor's email.
+app.get('/api/audit', authMiddleware, async (req, res) => {
+  try {
+    const access = await authorize(req, res, 'audit:read');
+    if (!access.ok) return;
+
+    const { action, outcome, actor, division, user, from, to } = req.query;
+    const query = {};
+    if (action) query.action = String(action);
+    if (outcome) {
+      if (!AUDIT_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: `Invalid outcome (${AUDIT_OUTCOMES.join(' | ')})` });
+      }
+      query.outcome = outcome;
+    }
+    if (actor) query.actor = String(actor); // part of the email, matched literally
+    if (division) {
+      if (!isId(division)) return res.status(400).json({ error: 'Invalid division id' });
+      query.targetDivision = division;
+    }
+    if (user) {
+      if (!isId(user)) return res.status(400).json({ error: 'Invalid user id' });
+      query.targetUser = user;
+    }
+    if (from) query.from = new Date(from);
+    if (to) {
+      query.to = new Date(to);
+      // A plain date ("2024-05-01") means the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) query.to.setUTCHours(23, 59, 59, 999);
+    }
+    if ([query.from, query.to].some(d => d && isNaN(d))) {
+      return res.status(400).json({ error: 'from/to must be valid dates' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const { items, total } = await findAuditEntries(query, { page, limit });
+    return res.json({
+      items: items.map(a => ({
+        id: String(a._id),
+        at: a.at,
+        actor: a.actor ? String(a.actor) : null,
+        actorEmail: a.actorEmail,
+        action: a.action,
+        targetDivision: a.targetDivision ? String(a.targetDivision) : null,
+        targetUser: a.targetUser ? String(a.targetUser) : null,
+        outcome: a.outcome,
+        status: a.status,
+        ip: a.ip,
+        details: a.details || null
+      })),
+      page,
+      limit,
+      total
+    });
+  } catch (err) {
+    console.error('List audit error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Health check
+app.get('/health', (req, res) => res.json({ status: 'ok' }));
+
+// OpenAPI 3 description of this API (also what requests are validated against)
+app.get('/api/openapi.json', (req, res) => res.json(openapiDocument()));
+
+// Start server when run directly (`node server.js`); tests can import the
+// app instead, e.g. with STORAGE=memory
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => console.log(`Backend running on http://localhost:${PORT}`));
+  startGrantSweeper();
+}
+
+export default app;
 
-// Start server
-app.listen(PORT, () => console.log(`Backend running on http://localhost:${PORT}`));
@@ -0,0 +1,55 @@
+// backend/storage/index.js
+// -------------------------------------------------------------
+// Repository layer between the routes and the database. STORAGE
+// picks the backend:
+//   "mongo"  (default) MongoDB via Mongoose, see storage/mongo.js
+//   "memory" plain Maps in this process, see storage/memory.js;
+//            nothing is kept across restarts, no database needed
+//
+// Both hand out plain records (storage/records.js) and offer:
+//   connect(), disconnect()
+//   users:       findById, findByEmail, findByIds, findByRoles,
+//                findMembers({ ou?, division? }), countMembers(...),
+//                findWithExpiredMemberships(now), findWithTwoFactorSecrets,
+//                list(filters) -> { items, total },
+//                create, save, saveAll (all or nothing; both write only the
+//                fields changed since the read),
+//                moveMemberships(divisionId, toOuId),
+//                removeExpiredMemberships(userId, now) -> the removed memberships
+//   structure:   list({ detail: 'all' | 'metadata' | 'names' }), count,
+//                findOu, findOuByDivision, ouIdForDivision,
+//                createOu, renameOu, deleteOu, addDivision, renameDivision,
+//                removeDivision(divisionId, { onlyIfEmpty }) -> the division | null,
+//                appendCredentials(divisionId, { credentials, trash })
+//                (targeted writes: never a whole OU from an older copy)
+//   credentials: loadDivision(divisionId) -> { ou, division } | null,
+//                saveDivision({ ou, division }) (writes only the credentials
+//                and settings of that division changed since the read)
+//   settings:    get(key, fallback), set(key, value)
+//   serviceAccounts: list, findById, findByName, findByKeyId, create, save,
+//                delete, touchKey(keyId, { lastUsedAt, lastUsedIp })
+//   accessRequests: findById, create, save,
+//                list({ status, requester, division, skip, limit }) -> { items, total }
+//                (newest first)
+//
+// Sessions, account tokens, the audit log and login throttling keep
+// their own stores in lib/, chosen with storageKind() as well.
+// -------------------------------------------------------------
+
+import { createMongoStorage } from './mongo.js';
+import { createMemoryStorage } from './memory.js';
+
+export const STORAGE_KINDS = ['mongo', 'memory'];
+
+// Read env lazily: ES module imports run before dotenv.config() in server.js
+export function storageKind() {
+  const kind = process.env.STORAGE || 'mongo';
+  if (!STORAGE_KINDS.includes(kind)) throw new Error(`Unknown STORAGE "${kind}" (${STORAGE_KINDS.join(' | ')})`);
+  return kind;
+}
+
+let storage = null;
+export function getStorage() {
+  if (!storage) storage = storageKind() === 'memory' ? createMemoryStorage() : createMongoStorage();
+  return storage;
+}
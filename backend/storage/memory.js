@@ -0,0 +1,321 @@
+// backend/storage/memory.js
+// -------------------------------------------------------------
+// In-memory storage (STORAGE=memory): everything lives in Maps in
+// this process and is gone on restart. Meant for development, demos
+// and tests without a database. Same interface as storage/mongo.js;
+// records are copied in and out, so changes only count once saved,
+// and like there a save only writes what changed since the read.
+// -------------------------------------------------------------
+
+import { clone, remember, userChanges, divisionChanges } from './records.js';
+
+const lower = value => String(value ?? '').toLowerCase();
+
+// Hand out a copy whose later save() is compared against it
+const copyOut = record => remember(clone(record));
+
+// "twoFactor.lastUsedStep" -> target.twoFactor.lastUsedStep
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  for (const key of keys) target = target[key] ??= {};
+  if (value === undefined) delete target[last];
+  else target[last] = clone(value);
+}
+
+// Put a saved user's changed fields on the stored one
+function applyUserChanges(stored, { set, unset }) {
+  for (const [path, value] of Object.entries(set)) setPath(stored, path, value);
+  for (const path of unset) setPath(stored, path, undefined);
+}
+
+// Put a saved division's changes on the stored one; items changed or
+// removed meanwhile by someone else are left as they are now
+function applyListChanges(list, { added, changed, removed }) {
+  for (const item of changed) {
+    const i = list.findIndex(x => String(x._id) === String(item._id));
+    if (i !== -1) list[i] = clone(item);
+  }
+  list.push(...clone(added));
+  return list.filter(x => !removed.includes(String(x._id)));
+}
+
+function hasMembership(user, { ou, division }) {
+  return (user.memberships || []).some(m =>
+    (ou === undefined || String(m.ou) === String(ou)) &&
+    (division === undefined || String(m.division) === String(division)));
+}
+
+export function createMemoryStorage() {
+  const users = new Map();     // _id -> user
+  const ous = new Map();       // _id -> ou
+  const settings = new Map();  // key -> value
+  const accounts = new Map();  // _id -> service account
+  const requests = new Map();  // _id -> access request
+
+  const allUsers = () => [...users.values()];
+  const ouOfDivision = divisionId =>
+    [...ous.values()].find(ou => ou.divisions.some(d => String(d._id) === String(divisionId))) || null;
+
+  function assertEmailFree(user) {
+    const taken = allUsers().some(u => u.email === user.email && String(u._id) !== String(user._id));
+    if (taken) throw new Error(`Email already registered: ${user.email}`);
+  }
+
+  const accountOfKey = keyId =>
+    [...accounts.values()].find(a => a.keys.some(k => String(k._id) === String(keyId))) || null;
+
+  function assertNameFree(account) {
+    const taken = [...accounts.values()].some(a => a.name === account.name && String(a._id) !== String(account._id));
+    if (taken) throw new Error(`Service account name taken: ${account.name}`);
+  }
+
+  return {
+    kind: 'memory',
+    async connect() {},
+    async disconnect() {},
+
+    users: {
+      async findById(id) {
+        const user = users.get(String(id));
+        return user ? copyOut(user) : null;
+      },
+      async findByEmail(email) {
+        const user = allUsers().find(u => u.email === email);
+        return user ? copyOut(user) : null;
+      },
+      async findByIds(ids) {
+        return ids.map(id => users.get(String(id))).filter(Boolean).map(copyOut);
+      },
+      async findByRoles(roles) {
+        return allUsers().filter(u => roles.includes(u.role)).map(copyOut);
+      },
+      async findMembers(where) {
+        return allUsers().filter(u => hasMembership(u, where)).map(copyOut);
+      },
+      async countMembers(where) {
+        return allUsers().filter(u => hasMembership(u, where)).length;
+      },
+      async findWithExpiredMemberships(now) {
+        return allUsers()
+          .filter(u => (u.memberships || []).some(m => m.expiresAt && new Date(m.expiresAt) <= now))
+          .map(copyOut);
+      },
+      async findWithTwoFactorSecrets() {
+        return allUsers().filter(u => u.twoFactor?.secret || u.twoFactor?.pendingSecret).map(copyOut);
+      },
+      async list({ q, role, ou, division, unassigned, sort = 'name', order = 'asc', skip = 0, limit = 25 } = {}) {
+        const text = q ? lower(q) : null;
+        const matches = allUsers().filter(u =>
+          (!text || lower(u.name).includes(text) || lower(u.email).includes(text)) &&
+          (!role || u.role === role) &&
+          (!ou || hasMembership(u, { ou })) &&
+          (!division || hasMembership(u, { division })) &&
+          (!unassigned || (u.memberships || []).length === 0));
+        const dir = order === 'desc' ? -1 : 1;
+        matches.sort((a, b) =>
+          dir * lower(a[sort]).localeCompare(lower(b[sort])) || String(a._id).localeCompare(String(b._id)));
+        return { items: matches.slice(skip, skip + limit).map(copyOut), total: matches.length };
+      },
+      async create(user) {
+        assertEmailFree(user);
+        users.set(String(user._id), clone(user));
+        remember(user);
+        return copyOut(user);
+      },
+      async save(user) {
+        assertEmailFree(user);
+        const stored = users.get(String(user._id));
+        if (stored) applyUserChanges(stored, userChanges(user));
+        return remember(user);
+      },
+      // All or nothing: checked first, then written (nothing can fail halfway in memory)
+      async saveAll(list) {
+        list.forEach(assertEmailFree);
+        for (const user of list) {
+          const stored = users.get(String(user._id));
+          if (stored) applyUserChanges(stored, userChanges(user));
+          remember(user);
+        }
+        return list;
+      },
+      async removeExpiredMemberships(userId, now) {
+        const user = users.get(String(userId));
+        if (!user) return [];
+        const expired = (user.memberships || []).filter(m => m.expiresAt && new Date(m.expiresAt) <= now);
+        user.memberships = user.memberships.filter(m => !expired.includes(m));
+        return expired.map(clone);
+      },
+      async moveMemberships(divisionId, toOuId) {
+        for (const user of users.values()) {
+          for (const m of user.memberships || []) {
+            if (String(m.division) === String(divisionId)) m.ou = String(toOuId);
+          }
+        }
+      }
+    },
+
+    structure: {
+      // detail: "all", "metadata" (no trash, no passwords) or "names" (no credentials)
+      async list({ detail = 'all' } = {}) {
+        return [...ous.values()].map(ou => {
+          const copy = clone(ou);
+          if (detail === 'all') return copy;
+          for (const d of copy.divisions) {
+            delete d.trash;
+            if (detail === 'names') delete d.credentials;
+            for (const c of d.credentials || []) {
+              delete c.password;
+              for (const v of c.history) delete v.password;
+            }
+          }
+          return copy;
+        });
+      },
+      async count() {
+        return ous.size;
+      },
+      async findOu(id) {
+        const ou = ous.get(String(id));
+        return ou ? clone(ou) : null;
+      },
+      async findOuByDivision(divisionId) {
+        const ou = ouOfDivision(divisionId);
+        return ou ? clone(ou) : null;
+      },
+      async ouIdForDivision(divisionId) {
+        return ouOfDivision(divisionId)?._id ?? null;
+      },
+      async createOu(ou) {
+        ous.set(String(ou._id), clone(ou));
+        return clone(ou);
+      },
+      async renameOu(id, name) {
+        const ou = ous.get(String(id));
+        if (ou) ou.name = name;
+      },
+      async addDivision(ouId, division) {
+        const ou = ous.get(String(ouId));
+        if (!ou) throw new Error('OU not found');
+        ou.divisions.push(clone(division));
+      },
+      async renameDivision(divisionId, name) {
+        const division = ouOfDivision(divisionId)?.divisions.find(d => String(d._id) === String(divisionId));
+        if (division) division.name = name;
+      },
+      async removeDivision(divisionId, { onlyIfEmpty = false } = {}) {
+        const ou = ouOfDivision(divisionId);
+        const division = ou?.divisions.find(d => String(d._id) === String(divisionId));
+        if (!division) return null;
+        if (onlyIfEmpty && (division.credentials.length > 0 || division.trash.length > 0)) return null;
+        ou.divisions = ou.divisions.filter(d => d !== division);
+        return clone(division);
+      },
+      async appendCredentials(divisionId, { credentials = [], trash = [] }) {
+        const division = ouOfDivision(divisionId)?.divisions.find(d => String(d._id) === String(divisionId));
+        if (!division) throw new Error('Division not found');
+        division.credentials.push(...clone(credentials));
+        division.trash.push(...clone(trash));
+      },
+      async deleteOu(id) {
+        return ous.delete(String(id));
+      }
+    },
+
+    credentials: {
+      async loadDivision(divisionId) {
+        const ou = ouOfDivision(divisionId);
+        if (!ou) return null;
+        const copy = clone(ou);
+        return { ou: copy, division: remember(copy.divisions.find(d => String(d._id) === String(divisionId))) };
+      },
+      // Writes only what changed in this division, like the Mongo backend
+      async saveDivision({ ou, division }) {
+        const stored = ous.get(String(ou._id));
+        if (!stored) throw new Error('OU not found');
+        const i = stored.divisions.findIndex(d => String(d._id) === String(division._id));
+        if (i === -1) throw new Error('Division not found');
+
+        const changes = divisionChanges(division);
+        if (!changes) {
+          stored.divisions[i] = clone(division);
+        } else {
+          const target = stored.divisions[i];
+          Object.assign(target, clone(changes.fields));
+          target.credentials = applyListChanges(target.credentials, changes.credentials);
+          target.trash = applyListChanges(target.trash, changes.trash);
+        }
+        remember(division);
+      }
+    },
+
+    settings: {
+      async get(key, fallback) {
+        return settings.has(key) ? clone(settings.get(key)) : fallback;
+      },
+      async set(key, value) {
+        settings.set(key, clone(value));
+      }
+    },
+
+    serviceAccounts: {
+      async list() {
+        return [...accounts.values()].sort((a, b) => a.name.localeCompare(b.name)).map(clone);
+      },
+      async findById(id) {
+        const account = accounts.get(String(id));
+        return account ? clone(account) : null;
+      },
+      async findByName(name) {
+        const account = [...accounts.values()].find(a => a.name === name);
+        return account ? clone(account) : null;
+      },
+      async findByKeyId(keyId) {
+        const account = accountOfKey(keyId);
+        return account ? clone(account) : null;
+      },
+      async create(account) {
+        assertNameFree(account);
+        accounts.set(String(account._id), clone(account));
+        return clone(account);
+      },
+      async save(account) {
+        assertNameFree(account);
+        accounts.set(String(account._id), clone(account));
+        return account;
+      },
+      async delete(id) {
+        return accounts.delete(String(id));
+      },
+      // Usage stamp only, so it can't overwrite a concurrent revoke
+      async touchKey(keyId, { lastUsedAt, lastUsedIp }) {
+        const key = accountOfKey(keyId)?.keys.find(k => String(k._id) === String(keyId));
+        if (key) Object.assign(key, { lastUsedAt, lastUsedIp });
+      }
+    },
+
+    accessRequests: {
+      async findById(id) {
+        const request = requests.get(String(id));
+        return request ? clone(request) : null;
+      },
+      async create(request) {
+        requests.set(String(request._id), clone(request));
+        return clone(request);
+      },
+      async save(request) {
+        requests.set(String(request._id), clone(request));
+        return request;
+      },
+      async list({ status, requester, division, skip = 0, limit = 25 } = {}) {
+        const matches = [...requests.values()]
+          .filter(r =>
+            (!status || r.status === status) &&
+            (!requester || String(r.requester) === String(requester)) &&
+            (!division || String(r.division) === String(division)))
+          .sort((a, b) => b.createdAt - a.createdAt || String(b._id).localeCompare(String(a._id)));
+        return { items: matches.slice(skip, skip + limit).map(clone), total: matches.length };
+      }
+    }
+  };
+}
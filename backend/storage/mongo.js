@@ -0,0 +1,563 @@
+// backend/storage/mongo.js
+// -------------------------------------------------------------
+// MongoDB storage (STORAGE=mongo, the default). Holds the Mongoose
+// schemas for users, OUs (divisions are subdocuments, credentials
+// live inside them), settings, service accounts (API keys are
+// subdocuments) and division access requests.
+//
+// Reads are lean and turned into plain records with string ids.
+// Saving a user or a division sends only what changed since it was
+// read (records.js): $set per user field, $push / $pull / $set per
+// credential. Other saves replace the stored document. Mongoose casts
+// the ids back to ObjectIds.
+// -------------------------------------------------------------
+
+import mongoose from 'mongoose';
+import { globalRoles, membershipRoles } from '../lib/policy.js';
+import { isId, remember, userChanges, divisionChanges } from './records.js';
+
+// Models are built on first use, so the role enums come from the policy
+// file after dotenv has run
+let models = null;
+function getModels() {
+  if (models) return models;
+
+  // Snapshot of an earlier credential version (kept on every update)
+  const credentialVersionSchema = new mongoose.Schema({
+    version: Number,
+    system: String,
+    username: String,
+    password: String,                                   // encrypted, like the live value
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // author of this version
+    updatedAt: Date,
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    replacedAt: { type: Date, default: Date.now }
+  });
+
+  const credentialSchema = new mongoose.Schema({
+    system: String,
+    username: String,
+    password: String, // encrypted envelope, never plain text (see lib/encryption.js)
+    version: { type: Number, default: 1 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedAt: { type: Date, default: Date.now },
+    createdAt: Date,                              // missing on credentials from before rotation tracking
+    lastRotatedAt: { type: Date, default: null }, // last password change; null = never rotated
+    rotationIntervalDays: { type: Number, default: null }, // overrides the division's interval
+    tags: { type: [String], default: [] },
+    notes: { type: String, default: '' },
+    history: [credentialVersionSchema] // newest last
+  });
+
+  // A deleted credential waiting in its division's trash (history included)
+  const trashedCredentialSchema = credentialSchema.clone().add({
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    deletedAt: { type: Date, default: Date.now }
+  });
+
+  // Division defaults for the password generator (null = DEFAULT_RULES)
+  const generatorRulesSchema = new mongoose.Schema({
+    length: Number,
+    lower: Boolean,
+    upper: Boolean,
+    digits: Boolean,
+    symbols: Boolean,
+    excludeAmbiguous: Boolean
+  }, { _id: false });
+
+  const divisionSchema = new mongoose.Schema({
+    name: String,
+    credentials: [credentialSchema],
+    trash: [trashedCredentialSchema],
+    generatorRules: { type: generatorRulesSchema, default: null },
+    rotationIntervalDays: { type: Number, default: null } // default for its credentials; null = no schedule
+  });
+
+  const ouSchema = new mongoose.Schema({
+    name: String,
+    divisions: [divisionSchema]
+  });
+
+  const membershipSchema = new mongoose.Schema({
+    ou: { type: mongoose.Schema.Types.ObjectId, ref: 'OU', required: true },
+    division: { type: mongoose.Schema.Types.ObjectId, required: true }, // the division subdocument _id
+    role: { type: String, enum: membershipRoles(), default: 'contributor' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    addedAt: { type: Date, default: Date.now },
+    startsAt: { type: Date, default: null },  // null = right away
+    expiresAt: { type: Date, default: null }  // null = until removed
+  }, { _id: false });
+
+  const userSchema = new mongoose.Schema({
+    name: String,
+    email: { type: String, unique: true },
+    passwordHash: String,
+    passwordHistory: { type: [String], default: [] }, // earlier hashes, newest first
+    passwordChangedAt: { type: Date, default: null },
+    role: { type: String, enum: globalRoles(), default: 'normal' },
+    memberships: [membershipSchema],
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null },        // encrypted TOTP secret
+      pendingSecret: { type: String, default: null }, // encrypted, until the first code is verified
+      recoveryCodeHashes: { type: [String], default: [] },
+      lastUsedStep: { type: Number, default: -1 },    // blocks replay of a used code
+      enabledAt: { type: Date, default: null }
+    }
+  });
+  userSchema.index({ 'memberships.division': 1 });
+  userSchema.index({ 'memberships.ou': 1 });
+  userSchema.index({ 'memberships.expiresAt': 1 }, { sparse: true });
+
+  // Small key/value store for settings admins change at runtime
+  const settingSchema = new mongoose.Schema({
+    key: { type: String, unique: true, required: true },
+    value: mongoose.Schema.Types.Mixed
+  });
+
+  // Machine access: each API key is scoped to divisions and actions (see lib/apiKeys.js)
+  const apiKeySchema = new mongoose.Schema({
+    label: { type: String, default: '' },
+    keyHash: { type: String, required: true },  // SHA-256 of the secret part, never the key itself
+    hint: String,                               // last characters, to tell keys apart
+    divisions: [{ type: mongoose.Schema.Types.ObjectId }],
+    actions: { type: [String], default: [] },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  });
+
+  const serviceAccountSchema = new mongoose.Schema({
+    name: { type: String, unique: true, required: true },
+    description: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    keys: [apiKeySchema]
+  });
+  serviceAccountSchema.index({ 'keys._id': 1 });
+
+  // A user asking for a membership; management approves or denies it
+  const accessRequestSchema = new mongoose.Schema({
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    ou: { type: mongoose.Schema.Types.ObjectId, ref: 'OU', required: true },
+    division: { type: mongoose.Schema.Types.ObjectId, required: true },
+    role: { type: String, enum: membershipRoles() },          // requested; the approved role once decided
+    justification: String,
+    status: { type: String, enum: ['pending', 'approved', 'denied', 'cancelled'], default: 'pending' },
+    createdAt: { type: Date, default: Date.now },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    decidedAt: { type: Date, default: null },
+    decisionNote: { type: String, default: '' },
+    expiresAt: { type: Date, default: null }                    // of the granted membership
+  });
+  accessRequestSchema.index({ status: 1, createdAt: -1 });
+  accessRequestSchema.index({ requester: 1, createdAt: -1 });
+
+  models = {
+    OU: mongoose.model('OU', ouSchema),
+    User: mongoose.model('User', userSchema),
+    Setting: mongoose.model('Setting', settingSchema),
+    ServiceAccount: mongoose.model('ServiceAccount', serviceAccountSchema),
+    AccessRequest: mongoose.model('AccessRequest', accessRequestSchema)
+  };
+  return models;
+}
+
+// Lean document -> plain record: ObjectIds become strings, __v goes
+function toPlain(value) {
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(toPlain);
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (key !== '__v') out[key] = toPlain(item);
+  }
+  return out;
+}
+
+const plainOrNull = doc => (doc ? toPlain(doc) : null);
+
+// Users are remembered as read, so their save can send only the changes
+const userRecord = doc => (doc ? remember(toPlain(doc)) : null);
+
+// Ids in projections and array filters aren't cast
+const objectId = id => new mongoose.Types.ObjectId(String(id));
+
+// userChanges() -> an update document, or null when nothing changed
+function userUpdate({ set, unset }) {
+  if (Object.keys(set).length === 0 && unset.length === 0) return null;
+  return {
+    ...(Object.keys(set).length > 0 ? { $set: set } : {}),
+    ...(unset.length > 0 ? { $unset: Object.fromEntries(unset.map(path => [path, ''])) } : {})
+  };
+}
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Put back the fields an update changed, as they were in `before`
+function undoUpdate(update, before) {
+  const paths = [...Object.keys(update.$set || {}), ...Object.keys(update.$unset || {})];
+  const set = {};
+  const unset = [];
+  for (const path of paths) {
+    const value = valueAt(before, path);
+    if (value === undefined) unset.push(path);
+    else set[path] = value;
+  }
+  return userUpdate({ set, unset });
+}
+
+// divisionChanges() -> [{ update, arrayFilters }] for the division $[d].
+// Mongo refuses two kinds of change to one list in a single update, so
+// the changes go in order (edits, additions, removals) and a new update
+// starts whenever a list was already touched another way.
+function divisionUpdates(changes) {
+  const ops = [];
+  for (const [key, value] of Object.entries(changes.fields)) {
+    ops.push({ op: '$set', list: key, path: `divisions.$[d].${key}`, value });
+  }
+  let n = 0;
+  for (const key of ['credentials', 'trash']) {
+    const list = `divisions.$[d].${key}`;
+    const { added, changed, removed } = changes[key];
+    for (const item of changed) {
+      const name = `i${n++}`;
+      ops.push({ op: '$set', list, path: `${list}.$[${name}]`, value: item, filter: { [`${name}._id`]: objectId(item._id) } });
+    }
+    if (added.length > 0) ops.push({ op: '$push', list, path: list, value: { $each: added } });
+    if (removed.length > 0) ops.push({ op: '$pull', list, path: list, value: { _id: { $in: removed.map(objectId) } } });
+  }
+
+  const order = ['$set', '$push', '$pull'];
+  ops.sort((a, b) => order.indexOf(a.op) - order.indexOf(b.op));
+  const updates = [];
+  let current = null;
+  for (const { op, list, path, value, filter } of ops) {
+    if (!current || (current.touched.has(list) && current.touched.get(list) !== op)) {
+      current = { update: {}, arrayFilters: [], touched: new Map() };
+      updates.push(current);
+    }
+    current.touched.set(list, op);
+    (current.update[op] ||= {})[path] = value;
+    if (filter) current.arrayFilters.push(filter);
+  }
+  return updates.map(({ update, arrayFilters }) => ({ update, arrayFilters }));
+}
+
+// What structure.list() leaves out, per level of detail
+const LIST_PROJECTIONS = {
+  all: {},
+  metadata: { 'divisions.trash': 0, 'divisions.credentials.password': 0, 'divisions.credentials.history.password': 0 },
+  names: { 'divisions.trash': 0, 'divisions.credentials': 0 }
+};
+
+const USER_SORTS = ['name', 'email', 'role'];
+
+// Escape regex characters so the text is matched literally
+const literal = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function memberFilter({ ou, division }) {
+  return {
+    ...(ou !== undefined ? { 'memberships.ou': ou } : {}),
+    ...(division !== undefined ? { 'memberships.division': division } : {})
+  };
+}
+
+// One-time migration: single `ou`/`division` fields -> `memberships`
+// (a single assignment used to mean read + add, i.e. contributor)
+async function migrateLegacyAssignments(User) {
+  // Old fields are no longer in the schema, so read them lean and update with strict: false
+  const legacy = await User.find({ division: { $ne: null, $exists: true } }, { ou: 1, division: 1, memberships: 1 }).lean();
+  for (const u of legacy) {
+    const already = (u.memberships || []).some(m => String(m.division) === String(u.division));
+    await User.updateOne(
+      { _id: u._id },
+      {
+        ...(already ? {} : { $push: { memberships: { ou: u.ou, division: u.division, role: 'contributor' } } }),
+        $unset: { ou: '', division: '' }
+      },
+      { strict: false }
+    );
+  }
+  if (legacy.length > 0) console.log(`Migrated ${legacy.length} user assignment(s) to memberships`);
+}
+
+export function createMongoStorage() {
+  const m = () => getModels();
+
+  return {
+    kind: 'mongo',
+    async connect() {
+      const uri = process.env.MONGO_URI || 'mongodb://localhost:27017/auth_capstone';
+      await mongoose.connect(uri);
+      console.log('MongoDB connected');
+      await migrateLegacyAssignments(m().User)
+        .catch(err => console.error('Membership migration error:', err));
+    },
+    async disconnect() {
+      await mongoose.disconnect();
+    },
+
+    users: {
+      async findById(id) {
+        return isId(id) ? userRecord(await m().User.findById(id).lean()) : null;
+      },
+      async findByEmail(email) {
+        return userRecord(await m().User.findOne({ email }).lean());
+      },
+      async findByIds(ids) {
+        const docs = await m().User.find({ _id: { $in: ids.filter(isId) } }).lean();
+        return docs.map(userRecord);
+      },
+      async findByRoles(roles) {
+        return (await m().User.find({ role: { $in: roles } }).lean()).map(userRecord);
+      },
+      async findMembers(where) {
+        return (await m().User.find(memberFilter(where)).lean()).map(userRecord);
+      },
+      async countMembers(where) {
+        return m().User.countDocuments(memberFilter(where));
+      },
+      async findWithExpiredMemberships(now) {
+        return (await m().User.find({ 'memberships.expiresAt': { $lte: now } }).lean()).map(userRecord);
+      },
+      async findWithTwoFactorSecrets() {
+        const docs = await m().User.find({ $or: [{ 'twoFactor.secret': { $ne: null } }, { 'twoFactor.pendingSecret': { $ne: null } }] }).lean();
+        return docs.map(userRecord);
+      },
+      async list({ q, role, ou, division, unassigned, sort = 'name', order = 'asc', skip = 0, limit = 25 } = {}) {
+        const filter = {};
+        if (q) {
+          const text = literal(String(q).trim());
+          filter.$or = [{ name: { $regex: text, $options: 'i' } }, { email: { $regex: text, $options: 'i' } }];
+        }
+        if (role) filter.role = role;
+        if (ou) filter['memberships.ou'] = ou;
+        if (division) filter['memberships.division'] = division;
+        if (unassigned) filter['memberships.0'] = { $exists: false };
+        if (!USER_SORTS.includes(sort)) throw new Error(`Unknown user sort "${sort}"`);
+
+        const [docs, total] = await Promise.all([
+          m().User.find(filter)
+            .collation({ locale: 'en', strength: 2 }) // case-insensitive sort
+            .sort({ [sort]: order === 'desc' ? -1 : 1, _id: 1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+          m().User.countDocuments(filter)
+        ]);
+        return { items: docs.map(userRecord), total };
+      },
+      async create(user) {
+        await m().User.create(user);
+        return remember(user);
+      },
+      async save(user) {
+        const update = userUpdate(userChanges(user));
+        if (update) await m().User.updateOne({ _id: user._id }, update);
+        return remember(user);
+      },
+      // All or nothing: if the batch breaks part-way, put back the fields it changed
+      async saveAll(list) {
+        const writes = list
+          .map(u => ({ _id: u._id, update: userUpdate(userChanges(u)) }))
+          .filter(w => w.update);
+        if (writes.length > 0) {
+          const { User } = m();
+          const before = await User.find({ _id: { $in: writes.map(w => w._id) } }).lean();
+          try {
+            await User.bulkWrite(writes.map(w => ({ updateOne: { filter: { _id: w._id }, update: w.update } })));
+          } catch (err) {
+            const undo = writes
+              .map(w => ({ _id: w._id, update: undoUpdate(w.update, before.find(doc => String(doc._id) === String(w._id))) }))
+              .filter(w => w.update);
+            await User.bulkWrite(undo.map(w => ({ updateOne: { filter: { _id: w._id }, update: w.update } })))
+              .catch(rollbackErr => console.error('User rollback error:', rollbackErr));
+            throw err;
+          }
+        }
+        list.forEach(remember);
+        return list;
+      },
+      // -> the memberships removed, read from the same atomic update
+      async removeExpiredMemberships(userId, now) {
+        const before = await m().User.findOneAndUpdate(
+          { _id: userId },
+          { $pull: { memberships: { expiresAt: { $lte: now } } } },
+          { projection: { memberships: 1 } }
+        ).lean();
+        return (before?.memberships || []).filter(ms => ms.expiresAt && ms.expiresAt <= now).map(toPlain);
+      },
+      async moveMemberships(divisionId, toOuId) {
+        await m().User.updateMany(
+          { 'memberships.division': divisionId },
+          { $set: { 'memberships.$[m].ou': toOuId } },
+          { arrayFilters: [{ 'm.division': new mongoose.Types.ObjectId(String(divisionId)) }] }
+        );
+      }
+    },
+
+    structure: {
+      // detail: "all", "metadata" (no trash, no passwords) or "names" (no credentials)
+      async list({ detail = 'all' } = {}) {
+        return (await m().OU.find({}, LIST_PROJECTIONS[detail]).lean()).map(toPlain);
+      },
+      async count() {
+        return m().OU.countDocuments();
+      },
+      async findOu(id) {
+        return isId(id) ? plainOrNull(await m().OU.findById(id).lean()) : null;
+      },
+      async findOuByDivision(divisionId) {
+        return isId(divisionId) ? plainOrNull(await m().OU.findOne({ 'divisions._id': divisionId }).lean()) : null;
+      },
+      async ouIdForDivision(divisionId) {
+        if (!isId(divisionId)) return null;
+        const doc = await m().OU.findOne({ 'divisions._id': divisionId }, { _id: 1 }).lean();
+        return doc ? String(doc._id) : null;
+      },
+      async createOu(ou) {
+        await m().OU.create(ou);
+        return ou;
+      },
+      // The writes below touch one field or one division each, so credential
+      // changes made meanwhile elsewhere in the OU are never overwritten
+      async renameOu(id, name) {
+        await m().OU.updateOne({ _id: id }, { $set: { name } });
+      },
+      async addDivision(ouId, division) {
+        const result = await m().OU.updateOne({ _id: ouId }, { $push: { divisions: division } });
+        if (result.matchedCount === 0) throw new Error('OU not found');
+      },
+      async renameDivision(divisionId, name) {
+        await m().OU.updateOne({ 'divisions._id': divisionId }, { $set: { 'divisions.$.name': name } });
+      },
+      // Pull a division out of its OU and return it as it was at that moment,
+      // or null (not found, or onlyIfEmpty and it holds credentials or trash)
+      async removeDivision(divisionId, { onlyIfEmpty = false } = {}) {
+        if (!isId(divisionId)) return null;
+        const _id = new mongoose.Types.ObjectId(String(divisionId)); // projections aren't cast
+        const match = { _id, ...(onlyIfEmpty ? { credentials: { $size: 0 }, trash: { $size: 0 } } : {}) };
+        const before = await m().OU.findOneAndUpdate(
+          { divisions: { $elemMatch: match } },
+          { $pull: { divisions: { _id } } },
+          { projection: { divisions: { $elemMatch: { _id } } } }
+        ).lean();
+        return before ? toPlain(before.divisions[0]) : null;
+      },
+      async appendCredentials(divisionId, { credentials = [], trash = [] }) {
+        const result = await m().OU.updateOne(
+          { 'divisions._id': divisionId },
+          { $push: { 'divisions.$.credentials': { $each: credentials }, 'divisions.$.trash': { $each: trash } } }
+        );
+        if (result.matchedCount === 0) throw new Error('Division not found');
+      },
+      async deleteOu(id) {
+        const result = await m().OU.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+      }
+    },
+
+    credentials: {
+      async loadDivision(divisionId) {
+        const ou = isId(divisionId) ? await m().OU.findOne({ 'divisions._id': divisionId }).lean() : null;
+        if (!ou) return null;
+        const plain = toPlain(ou);
+        return { ou: plain, division: remember(plain.divisions.find(d => d._id === String(divisionId))) };
+      },
+      // Only what changed in this division is written, so credentials added or
+      // edited meanwhile (here or elsewhere in the OU) aren't overwritten
+      async saveDivision({ division }) {
+        const changes = divisionChanges(division);
+        const updates = changes
+          ? divisionUpdates(changes)
+          : [{ update: { $set: { 'divisions.$[d]': division } }, arrayFilters: [] }];
+        for (const { update, arrayFilters } of updates) {
+          const result = await m().OU.updateOne(
+            { 'divisions._id': division._id },
+            update,
+            { arrayFilters: [{ 'd._id': objectId(division._id) }, ...arrayFilters] }
+          );
+          if (result.matchedCount === 0) throw new Error('Division not found');
+        }
+        remember(division);
+      }
+    },
+
+    settings: {
+      async get(key, fallback) {
+        const doc = await m().Setting.findOne({ key }).lean();
+        return doc ? doc.value : fallback;
+      },
+      async set(key, value) {
+        await m().Setting.updateOne({ key }, { value }, { upsert: true });
+      }
+    },
+
+    serviceAccounts: {
+      async list() {
+        return (await m().ServiceAccount.find().sort({ name: 1 }).lean()).map(toPlain);
+      },
+      async findById(id) {
+        return isId(id) ? plainOrNull(await m().ServiceAccount.findById(id).lean()) : null;
+      },
+      async findByName(name) {
+        return plainOrNull(await m().ServiceAccount.findOne({ name }).lean());
+      },
+      async findByKeyId(keyId) {
+        return isId(keyId) ? plainOrNull(await m().ServiceAccount.findOne({ 'keys._id': keyId }).lean()) : null;
+      },
+      async create(account) {
+        await m().ServiceAccount.create(account);
+        return account;
+      },
+      async save(account) {
+        await m().ServiceAccount.replaceOne({ _id: account._id }, account);
+        return account;
+      },
+      async delete(id) {
+        const result = await m().ServiceAccount.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+      },
+      // Usage stamp only, so it can't overwrite a concurrent revoke
+      async touchKey(keyId, { lastUsedAt, lastUsedIp }) {
+        await m().ServiceAccount.updateOne(
+          { 'keys._id': keyId },
+          { $set: { 'keys.$.lastUsedAt': lastUsedAt, 'keys.$.lastUsedIp': lastUsedIp } }
+        );
+      }
+    },
+
+    accessRequests: {
+      async findById(id) {
+        return isId(id) ? plainOrNull(await m().AccessRequest.findById(id).lean()) : null;
+      },
+      async create(request) {
+        await m().AccessRequest.create(request);
+        return request;
+      },
+      async save(request) {
+        await m().AccessRequest.replaceOne({ _id: request._id }, request);
+        return request;
+      },
+      async list({ status, requester, division, skip = 0, limit = 25 } = {}) {
+        const filter = {
+          ...(status ? { status } : {}),
+          ...(requester ? { requester } : {}),
+          ...(division ? { division } : {})
+        };
+        const [docs, total] = await Promise.all([
+          m().AccessRequest.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+          m().AccessRequest.countDocuments(filter)
+        ]);
+        return { items: docs.map(toPlain), total };
+      }
+    }
+  };
+}
@@ -0,0 +1,203 @@
+// backend/storage/records.js
+// -------------------------------------------------------------
+// Shapes shared by every storage backend. Records are plain
+// objects with string ids (24 hex characters, so they are valid
+// Mongo ObjectIds too):
+//
+//   user:       { _id, name, email, passwordHash, passwordHistory,
+//                 passwordChangedAt, role, memberships[], emailVerified,
+//                 emailVerifiedAt, twoFactor{} }
+//   membership: { ou, division, role, addedBy, addedAt, startsAt, expiresAt }
+//   ou:         { _id, name, divisions[] }
+//   division:   { _id, name, credentials[], trash[], generatorRules,
+//                 rotationIntervalDays }
+//   credential: { _id, system, username, password (encrypted), version,
+//                 updatedBy, updatedAt, createdAt, lastRotatedAt,
+//                 rotationIntervalDays, tags[], notes, history[] }
+//   service account: { _id, name, description, createdBy, createdAt, keys[] }
+//   API key:    { _id, label, keyHash, hint, divisions[], actions[],
+//                 expiresAt, lastUsedAt, lastUsedIp, createdBy, createdAt,
+//                 revokedAt, revokedBy }
+//   access request: { _id, requester, ou, division, role, justification,
+//                 status, createdAt, decidedBy, decidedAt, decisionNote,
+//                 expiresAt }
+//
+// Callers load a record, change it and hand it back to save().
+// Backends remember how each user and division looked when it was
+// read, and a save writes only what changed since (userChanges(),
+// divisionChanges()), so two saves of different parts of one record
+// don't overwrite each other.
+// The new*() helpers fill in the defaults a fresh record needs.
+// -------------------------------------------------------------
+
+import crypto from 'crypto';
+
+export function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+export function isId(value) {
+  return value !== null && value !== undefined && /^[0-9a-fA-F]{24}$/.test(String(value));
+}
+
+// Find / drop an item of a list by its _id (ids compared as strings)
+export function byId(list, id) {
+  return (list || []).find(item => String(item._id) === String(id)) || null;
+}
+
+export function withoutId(list, id) {
+  return (list || []).filter(item => String(item._id) !== String(id));
+}
+
+export function newUser({ name, email, role = 'normal', ...rest }) {
+  return {
+    _id: newId(),
+    name,
+    email,
+    passwordHash: null,
+    passwordHistory: [],
+    passwordChangedAt: null,
+    role,
+    memberships: [],
+    emailVerified: false,
+    emailVerifiedAt: null,
+    twoFactor: {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodeHashes: [],
+      lastUsedStep: -1,
+      enabledAt: null
+    },
+    ...rest
+  };
+}
+
+export function newMembership({ ou, division, role = 'contributor', addedBy = null, startsAt = null, expiresAt = null }) {
+  return {
+    ou: String(ou),
+    division: String(division),
+    role,
+    addedBy: addedBy ? String(addedBy) : null,
+    addedAt: new Date(),
+    startsAt,
+    expiresAt
+  };
+}
+
+export function newDivision(name) {
+  return { _id: newId(), name, credentials: [], trash: [], generatorRules: null, rotationIntervalDays: null };
+}
+
+export function newOu(name, divisionNames = []) {
+  return { _id: newId(), name, divisions: divisionNames.map(newDivision) };
+}
+
+export function newCredential({ system, username, password, updatedBy = null, ...rest }) {
+  const now = new Date();
+  return {
+    _id: newId(),
+    system,
+    username,
+    password,
+    version: 1,
+    updatedBy: updatedBy ? String(updatedBy) : null,
+    updatedAt: now,
+    createdAt: now,
+    lastRotatedAt: null,
+    rotationIntervalDays: null,
+    tags: [],
+    notes: '',
+    history: [],
+    ...rest
+  };
+}
+
+export function newServiceAccount({ name, description = '', createdBy = null }) {
+  return { _id: newId(), name, description, createdBy: createdBy ? String(createdBy) : null, createdAt: new Date(), keys: [] };
+}
+
+export function newAccessRequest({ requester, ou, division, role, justification }) {
+  return {
+    _id: newId(),
+    requester: String(requester),
+    ou: String(ou),
+    division: String(division),
+    role,
+    justification,
+    status: 'pending',
+    createdAt: new Date(),
+    decidedBy: null,
+    decidedAt: null,
+    decisionNote: '',
+    expiresAt: null
+  };
+}
+
+// Deep copy that keeps Dates (stores hand out copies, so a caller's
+// changes only count once they are saved)
+export function clone(value) {
+  return structuredClone(value);
+}
+
+// ---------- change tracking ----------
+
+const loaded = new WeakMap(); // record -> copy of it as read (or last saved)
+
+// Note how a record looks now; its next save is compared against this
+export function remember(record) {
+  if (record) loaded.set(record, clone(record));
+  return record;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// User fields changed since the record was read:
+// { set: { path: value }, unset: [path] }. Sub-objects (twoFactor) are
+// compared field by field ("twoFactor.lastUsedStep"), lists as a whole.
+// A record that was never read counts as changed everywhere.
+export function userChanges(user) {
+  const before = loaded.get(user) || {};
+  const set = {};
+  const unset = [];
+  const compare = (now, then, prefix) => {
+    for (const key of new Set([...Object.keys(now), ...Object.keys(then)])) {
+      if (!prefix && key === '_id') continue;
+      const path = prefix + key;
+      if (isPlainObject(now[key]) && isPlainObject(then[key])) compare(now[key], then[key], `${path}.`);
+      else if (now[key] === undefined) { if (then[key] !== undefined) unset.push(path); }
+      else if (!same(now[key], then[key])) set[path] = now[key];
+    }
+  };
+  compare(user, before, '');
+  return { set, unset };
+}
+
+// Items of one list (credentials or trash) added, removed or changed, by _id
+function listChanges(now = [], then = []) {
+  const old = new Map(then.map(item => [String(item._id), item]));
+  const ids = new Set(now.map(item => String(item._id)));
+  return {
+    added: now.filter(item => !old.has(String(item._id))),
+    changed: now.filter(item => old.has(String(item._id)) && !same(item, old.get(String(item._id)))),
+    removed: [...old.keys()].filter(id => !ids.has(id))
+  };
+}
+
+// A division's changes since it was read:
+// { fields: { name: value }, credentials: { added, changed, removed (ids) }, trash: { ... } },
+// or null when it was never read
+export function divisionChanges(division) {
+  const before = loaded.get(division);
+  if (!before) return null;
+  const fields = {};
+  for (const key of Object.keys(division)) {
+    if (!['_id', 'credentials', 'trash'].includes(key) && !same(division[key], before[key])) fields[key] = division[key];
+  }
+  return {
+    fields,
+    credentials: listChanges(division.credentials, before.credentials),
+    trash: listChanges(division.trash, before.trash)
+  };
+}
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, PASSWORD } from './helpers.js';
+
+let api;
+let bob;
+before(async () => {
+  api = await startApp();
+  bob = (await api.request('POST', '/register', { body: { name: 'Bob', email: 'bob@example.com', password: PASSWORD } })).body;
+});
+after(() => api.stop());
+
+const at = ms => new Date(Date.now() + ms).toISOString();
+
+async function requestAccess(divisionId) {
+  const res = await api.request('POST', '/access-requests', {
+    token: bob.token, body: { divisionId, justification: 'Covering the on-call rota this week' }
+  });
+  assert.equal(res.status, 201);
+  return res.body.request.id;
+}
+
+test('approval checks the grant window like /assign', async () => {
+  const divisionId = String(api.structure.divisions[0]._id);
+  const id = await requestAccess(divisionId);
+  const approve = body => api.request('POST', `/access-requests/${id}/approve`, { token: api.adminToken, body });
+
+  assert.equal((await approve({ expiresAt: at(-60000) })).status, 400);
+  assert.equal((await approve({ startsAt: at(7200000), expiresAt: at(3600000) })).status, 400);
+
+  const ok = await approve({ expiresAt: at(3600000) });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.request.status, 'approved');
+  assert.equal((await api.request('GET', `/divisions/${divisionId}/credentials`, { token: bob.token })).status, 200);
+});
+
+test('approval keeps a scheduled start it was not given', async () => {
+  const divisionId = String(api.structure.divisions[1]._id);
+  const startsAt = at(3600000);
+  await api.request('POST', `/users/${bob.user.id}/assign`, {
+    token: api.adminToken, body: { ouId: String(api.structure._id), divisionId, role: 'viewer', startsAt }
+  });
+
+  const id = await requestAccess(divisionId);
+  const ok = await api.request('POST', `/access-requests/${id}/approve`, { token: api.adminToken, body: { role: 'contributor' } });
+  assert.equal(ok.status, 200);
+
+  const user = await api.storage.users.findById(bob.user.id);
+  const membership = user.memberships.find(m => String(m.division) === divisionId);
+  assert.equal(membership.role, 'contributor');
+  assert.equal(new Date(membership.startsAt).toISOString(), startsAt);
+});
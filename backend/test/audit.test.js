@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.stop());
+
+test('credential access is written to the audit log', async () => {
+  const divisionId = String(api.structure.divisions[0]._id);
+  const token = api.adminToken;
+  const created = await api.request('POST', `/divisions/${divisionId}/credentials`, {
+    token, body: { system: 'VPN', username: 'ops', password: 'vpn-Secret1' }
+  });
+  const credId = created.body.credentials[0]._id;
+  await api.request('POST', `/divisions/${divisionId}/credentials/${credId}/reveal`, { token, body: {} });
+
+  const { status, body } = await api.request('GET', '/audit?action=credential.reveal', { token });
+  assert.equal(status, 200);
+  assert.equal(body.total, 1);
+  const [entry] = body.items;
+  assert.equal(entry.actorEmail, 'admin@example.com');
+  assert.equal(entry.targetDivision, divisionId);
+  assert.equal(entry.outcome, 'success');
+  assert.equal(entry.details.credentialId, credId);
+});
+
+test('refused requests are audited as denied', async () => {
+  const divisionId = String(api.structure.divisions[1]._id);
+  const { body: bob } = await api.request('POST', '/register', {
+    body: { name: 'Bob', email: 'bob@example.com', password: 'Correct-Horse-9battery' }
+  });
+  assert.equal((await api.request('GET', `/divisions/${divisionId}/credentials`, { token: bob.token })).status, 403);
+
+  const { body } = await api.request('GET', '/audit?action=credential.list&outcome=denied', { token: api.adminToken });
+  assert.equal(body.total, 1);
+  assert.equal(body.items[0].actorEmail, 'bob@example.com');
+});
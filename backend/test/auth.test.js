@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, PASSWORD } from './helpers.js';
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.stop());
+
+test('register returns a session for a normal user', async () => {
+  const res = await api.request('POST', '/register', { body: { name: 'Bob', email: 'bob@example.com', password: PASSWORD } });
+  assert.equal(res.status, 201);
+  assert.ok(res.body.token);
+  assert.equal(res.body.user.role, 'normal');
+
+  const again = await api.request('POST', '/register', { body: { name: 'Bob', email: 'bob@example.com', password: PASSWORD } });
+  assert.equal(again.status, 409);
+});
+
+test('login rejects a wrong password and accepts the right one', async () => {
+  const wrong = await api.request('POST', '/login', { body: { email: 'bob@example.com', password: 'Wrong-Horse-9battery' } });
+  assert.equal(wrong.status, 401);
+
+  const ok = await api.request('POST', '/login', { body: { email: 'bob@example.com', password: PASSWORD } });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.token && ok.body.refreshToken);
+
+  const perms = await api.request('GET', '/me/permissions', { token: ok.body.token });
+  assert.equal(perms.status, 200);
+  assert.equal(perms.body.role, 'normal');
+});
+
+test('protected routes need a token', async () => {
+  const res = await api.request('GET', '/me/permissions');
+  assert.equal(res.status, 401);
+});
+
+test('a malformed request to a protected route is a 401 until logged in', async () => {
+  const url = '/divisions/not-an-id/credentials';
+  const anonymous = await api.request('POST', url, { body: { system: 42 } });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.fields, undefined);
+
+  const signedIn = await api.request('POST', url, { token: api.adminToken, body: { system: 42 } });
+  assert.equal(signedIn.status, 400);
+  assert.equal(signedIn.body.code, 'VALIDATION_FAILED');
+});
+
+test('refresh tokens rotate and die with logout', async () => {
+  const { body: session } = await api.request('POST', '/login', { body: { email: 'bob@example.com', password: PASSWORD } });
+
+  const refreshed = await api.request('POST', '/token/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+
+  const me = await api.request('GET', '/me/permissions', { token: refreshed.body.token });
+  assert.equal(me.status, 200);
+
+  // The old refresh token was used up by the rotation
+  const reused = await api.request('POST', '/token/refresh', { body: { refreshToken: session.refreshToken } });
+  assert.equal(reused.status, 401);
+
+  const out = await api.request('POST', '/logout', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.equal(out.status, 200);
+  const afterLogout = await api.request('POST', '/token/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.equal(afterLogout.status, 401);
+});
+
+test('two refreshes with the same token: one wins and the session is revoked', async () => {
+  const { rotateSession } = await import('../lib/sessions.js');
+  const { body: session } = await api.request('POST', '/login', { body: { email: 'bob@example.com', password: PASSWORD } });
+
+  // Hold both refreshes until each has checked the token
+  let release;
+  const bothChecked = new Promise(resolve => { release = resolve; });
+  let waiting = 0;
+  const loadUser = async id => {
+    if (++waiting === 2) release();
+    await bothChecked;
+    return api.storage.users.findById(id);
+  };
+  const results = await Promise.all([rotateSession(session.refreshToken, loadUser), rotateSession(session.refreshToken, loadUser)]);
+  assert.deepEqual(results.map(r => r.ok).sort(), [false, true]);
+
+  // The winner's new token dies with the session too
+  const winner = results.find(r => r.ok);
+  assert.equal((await api.request('POST', '/token/refresh', { body: { refreshToken: winner.refreshToken } })).status, 401);
+});
+
+test('a bulk role change signs the changed users out', async () => {
+  const register = name => api.request('POST', '/register', { body: { name, email: `${name.toLowerCase()}@example.com`, password: PASSWORD } });
+  const [{ body: kim }, { body: lee }] = [await register('Kim'), await register('Lee')];
+
+  const res = await api.request('POST', '/users/bulk', {
+    token: api.adminToken, body: { action: 'setRole', userIds: [kim.user.id, lee.user.id], role: 'management' }
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(r => [r.outcome, r.previousRole]), [['roleChanged', 'normal'], ['roleChanged', 'normal']]);
+  assert.deepEqual(res.body.users.map(u => u.role), ['management', 'management']);
+  assert.equal((await api.request('POST', '/token/refresh', { body: { refreshToken: kim.refreshToken } })).status, 401);
+
+  const again = await api.request('POST', '/users/bulk', {
+    token: api.adminToken, body: { action: 'setRole', userIds: [kim.user.id], role: 'management' }
+  });
+  assert.equal(again.body.results[0].outcome, 'unchanged');
+});
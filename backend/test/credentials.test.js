@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, PASSWORD } from './helpers.js';
+
+let api;
+let divisionId;
+before(async () => {
+  api = await startApp();
+  divisionId = String(api.structure.divisions[0]._id);
+});
+after(() => api.stop());
+
+const credentials = () => `/divisions/${divisionId}/credentials`;
+
+test('create, list, update, reveal and delete a credential', async () => {
+  const token = api.adminToken;
+
+  const created = await api.request('POST', credentials(), { token, body: { system: 'Mail', username: 'root', password: 's3cret-One' } });
+  assert.equal(created.status, 201);
+  const cred = created.body.credentials.find(c => c.system === 'Mail');
+  assert.ok(cred);
+
+  // Listings never carry the password
+  const list = await api.request('GET', credentials(), { token });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.credentials.length, 1);
+  assert.equal(list.body.credentials[0].password, undefined);
+
+  const updated = await api.request('PUT', `${credentials()}/${cred._id}`, { token, body: { password: 's3cret-Two' } });
+  assert.equal(updated.status, 200);
+
+  const revealed = await api.request('POST', `${credentials()}/${cred._id}/reveal`, { token, body: {} });
+  assert.equal(revealed.status, 200);
+  assert.equal(revealed.body.password, 's3cret-Two');
+
+  // The earlier version is still there, encrypted at rest and revealable
+  const history = await api.request('GET', `${credentials()}/${cred._id}/history`, { token });
+  assert.equal(history.status, 200);
+  assert.equal(history.body.history.length, 1);
+  const old = await api.request('POST', `${credentials()}/${cred._id}/reveal`, { token, body: { versionId: history.body.history[0].id } });
+  assert.equal(old.body.password, 's3cret-One');
+  const stored = (await api.storage.credentials.loadDivision(divisionId)).division.credentials[0];
+  assert.notEqual(stored.password, 's3cret-Two');
+
+  const deleted = await api.request('DELETE', `${credentials()}/${cred._id}`, { token });
+  assert.equal(deleted.status, 200);
+  const empty = await api.request('GET', credentials(), { token });
+  assert.equal(empty.body.credentials.length, 0);
+  const trash = await api.request('GET', `/divisions/${divisionId}/trash`, { token });
+  assert.equal(trash.body.items.length, 1);
+});
+
+test('a user without a membership is refused', async () => {
+  const { body } = await api.request('POST', '/register', { body: { name: 'Eve', email: 'eve@example.com', password: PASSWORD } });
+  const list = await api.request('GET', credentials(), { token: body.token });
+  assert.equal(list.status, 403);
+  const create = await api.request('POST', credentials(), { token: body.token, body: { system: 'x', username: 'y', password: 'z' } });
+  assert.equal(create.status, 403);
+});
+
+test('a viewer can read but not change credentials', async () => {
+  const { body } = await api.request('POST', '/register', { body: { name: 'Val', email: 'val@example.com', password: PASSWORD } });
+  const assign = await api.request('POST', `/users/${body.user.id}/assign`, {
+    token: api.adminToken, body: { ouId: String(api.structure._id), divisionId, role: 'viewer' }
+  });
+  assert.equal(assign.status, 200);
+
+  assert.equal((await api.request('GET', credentials(), { token: body.token })).status, 200);
+  const create = await api.request('POST', credentials(), { token: body.token, body: { system: 'x', username: 'y', password: 'z' } });
+  assert.equal(create.status, 403);
+});
+
+test('a maintainer can update and delete but not restore versions or use the trash', async () => {
+  const { body } = await api.request('POST', '/register', { body: { name: 'Max', email: 'max@example.com', password: PASSWORD } });
+  await api.request('POST', `/users/${body.user.id}/assign`, {
+    token: api.adminToken, body: { ouId: String(api.structure._id), divisionId, role: 'maintainer' }
+  });
+  const token = body.token;
+
+  const created = await api.request('POST', credentials(), { token, body: { system: 'Backup', username: 'ops', password: 'v1-Secret' } });
+  const cred = created.body.credentials.find(c => c.system === 'Backup');
+  assert.equal((await api.request('PUT', `${credentials()}/${cred._id}`, { token, body: { password: 'v2-Secret' } })).status, 200);
+  const { body: history } = await api.request('GET', `${credentials()}/${cred._id}/history`, { token });
+  const restore = `${credentials()}/${cred._id}/history/${history.history[0].id}/restore`;
+  assert.equal((await api.request('POST', restore, { token, body: {} })).status, 403);
+  assert.equal((await api.request('DELETE', `${credentials()}/${cred._id}`, { token })).status, 200);
+
+  const trash = `/divisions/${divisionId}/trash`;
+  assert.equal((await api.request('GET', trash, { token })).status, 403);
+  assert.equal((await api.request('POST', `${trash}/${cred._id}/restore`, { token, body: {} })).status, 403);
+  assert.equal((await api.request('DELETE', `${trash}/${cred._id}`, { token })).status, 403);
+
+  // Management (here the admin) can
+  assert.equal((await api.request('POST', `${trash}/${cred._id}/restore`, { token: api.adminToken, body: {} })).status, 200);
+  assert.equal((await api.request('POST', restore, { token: api.adminToken, body: {} })).status, 200);
+});
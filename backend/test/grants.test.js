@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, PASSWORD } from './helpers.js';
+
+let api;
+let bob;
+before(async () => {
+  api = await startApp();
+  bob = (await api.request('POST', '/register', { body: { name: 'Bob', email: 'bob@example.com', password: PASSWORD } })).body;
+});
+after(() => api.stop());
+
+const at = ms => new Date(Date.now() + ms);
+
+// Give Bob memberships directly (the API refuses an expiresAt in the past)
+async function setMemberships(windows) {
+  const { newMembership } = await import('../storage/records.js');
+  const user = await api.storage.users.findById(bob.user.id);
+  user.memberships = windows.map((w, i) => newMembership({
+    ou: api.structure._id, division: api.structure.divisions[i]._id, role: 'viewer', ...w
+  }));
+  await api.storage.users.save(user);
+}
+
+test('a grant only counts inside its window', async () => {
+  const divisionId = String(api.structure.divisions[0]._id);
+  const read = () => api.request('GET', `/divisions/${divisionId}/credentials`, { token: bob.token });
+
+  await setMemberships([{ startsAt: at(60000), expiresAt: at(120000) }]);
+  assert.equal((await read()).status, 403);
+  await setMemberships([{ expiresAt: at(60000) }]);
+  assert.equal((await read()).status, 200);
+  await setMemberships([{ expiresAt: at(-1000) }]);
+  assert.equal((await read()).status, 403);
+});
+
+test('the sweeper removes and audits expired grants only', async () => {
+  const { sweepExpiredGrants } = await import('../lib/grants.js');
+  await setMemberships([{ expiresAt: at(-1000) }, { expiresAt: at(60000) }]);
+
+  assert.equal(await sweepExpiredGrants(), 1);
+  const user = await api.storage.users.findById(bob.user.id);
+  assert.deepEqual(user.memberships.map(m => String(m.division)), [String(api.structure.divisions[1]._id)]);
+
+  const { body } = await api.request('GET', '/audit?action=user.grantExpired', { token: api.adminToken });
+  assert.equal(body.total, 1);
+  assert.equal(body.items[0].targetUser, bob.user.id);
+});
+
+test('a grant extended during a sweep is neither removed nor audited', async () => {
+  const { sweepExpiredGrants } = await import('../lib/grants.js');
+  await setMemberships([{ expiresAt: at(-1000) }]);
+
+  // Extend the grant right after the sweeper has read the users
+  const users = api.storage.users;
+  const find = users.findWithExpiredMemberships;
+  users.findWithExpiredMemberships = async now => {
+    const found = await find.call(users, now);
+    await api.request('POST', `/users/${bob.user.id}/assign`, {
+      token: api.adminToken,
+      body: { ouId: String(api.structure._id), divisionId: String(api.structure.divisions[0]._id), role: 'viewer', expiresAt: at(60000).toISOString() }
+    });
+    return found;
+  };
+  try {
+    assert.equal(await sweepExpiredGrants(), 0);
+  } finally {
+    users.findWithExpiredMemberships = find;
+  }
+
+  const user = await api.storage.users.findById(bob.user.id);
+  assert.equal(user.memberships.length, 1);
+  const { body } = await api.request('GET', '/audit?action=user.grantExpired', { token: api.adminToken });
+  assert.equal(body.total, 1); // only the one from the previous test
+});
+
+test('bulk assign applies the window to every user, or to none', async () => {
+  const divisionId = String(api.structure.divisions[1]._id);
+  const carol = (await api.request('POST', '/register', { body: { name: 'Carol', email: 'carol@example.com', password: PASSWORD } })).body;
+  const bulk = body => api.request('POST', '/users/bulk', {
+    token: api.adminToken,
+    body: { action: 'assign', userIds: [bob.user.id, carol.user.id], ouId: String(api.structure._id), divisionId, role: 'viewer', ...body }
+  });
+
+  // Bob's grant there starts later than this expiresAt, so nobody changes
+  await setMemberships([{}, { startsAt: at(120000) }]);
+  const refused = await bulk({ expiresAt: at(60000).toISOString() });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.applied, false);
+  assert.deepEqual(refused.body.results.map(r => r.outcome), ['failed', 'assigned']);
+  assert.equal((await api.storage.users.findById(carol.user.id)).memberships.length, 0);
+
+  const expiresAt = at(180000).toISOString();
+  const applied = await bulk({ expiresAt });
+  assert.equal(applied.status, 200);
+  for (const id of [bob.user.id, carol.user.id]) {
+    const m = (await api.storage.users.findById(id)).memberships.find(m => String(m.division) === divisionId);
+    assert.equal(new Date(m.expiresAt).toISOString(), expiresAt);
+  }
+  assert.equal((await bulk({ expiresAt })).body.results[0].outcome, 'unchanged');
+});
+
+test('a role change keeps an expired grant that is not swept yet', async () => {
+  const divisionId = String(api.structure.divisions[0]._id);
+  await setMemberships([{ expiresAt: at(-1000) }]);
+  const res = await api.request('POST', `/users/${bob.user.id}/assign`, {
+    token: api.adminToken, body: { ouId: String(api.structure._id), divisionId, role: 'contributor' }
+  });
+  assert.equal(res.status, 200);
+  const [m] = (await api.storage.users.findById(bob.user.id)).memberships;
+  assert.equal(m.role, 'contributor');
+  assert.ok(new Date(m.expiresAt) < new Date());
+});
@@ -0,0 +1,57 @@
+// backend/test/helpers.js
+// -------------------------------------------------------------
+// Starts the API on a random port with STORAGE=memory (no database)
+// and gives tests a small fetch wrapper. Each test file runs in its
+// own process under `node --test`, so every file gets a fresh store.
+// -------------------------------------------------------------
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+
+// Must be set before server.js (and the modules it imports) are loaded
+process.env.STORAGE = 'memory';
+process.env.VALIDATE_RESPONSES = 'strict';
+process.env.JWT_SECRET = 'test-secret';
+process.env.CREDENTIAL_KEYS = 'k1:test-credential-key';
+process.env.BCRYPT_COST = '4';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'capstone-mail-'));
+
+export const PASSWORD = 'Correct-Horse-9battery';
+
+// -> { request, storage, structure: the sample OU, adminToken, stop }
+export async function startApp() {
+  const { default: app } = await import('../server.js');
+  const { getStorage } = await import('../storage/index.js');
+  const { seedSampleStructure } = await import('../lib/structure.js');
+  const { createUser } = await import('../lib/accounts.js');
+
+  const storage = getStorage();
+  const structure = await seedSampleStructure();
+  await createUser({ name: 'Admin', email: 'admin@example.com', password: PASSWORD, role: 'admin', emailVerified: true });
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  // -> { status, body }
+  async function request(method, url, { body, token } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  const login = await request('POST', '/login', { body: { email: 'admin@example.com', password: PASSWORD } });
+
+  return {
+    request,
+    storage,
+    structure,
+    adminToken: login.body.token,
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,35 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+let mail;
+before(async () => {
+  api = await startApp();
+  mail = await import('../lib/mail.js');
+});
+after(() => api.stop());
+
+const forgot = email => api.request('POST', '/password/forgot', { body: { email } });
+
+test('forgot-password answers the same for known and unknown emails', async () => {
+  const sent = [];
+  mail.setTransport({ async send(message) { sent.push(message); } });
+
+  const known = await forgot('admin@example.com');
+  const unknown = await forgot('nobody@example.com');
+  assert.equal(known.status, 200);
+  assert.deepEqual(known.body, unknown.body);
+  // The email goes out after the answer
+  for (let i = 0; i < 50 && sent.length === 0; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(sent.map(m => m.to), ['admin@example.com']);
+});
+
+test('a failing mail transport does not reveal that an account exists', async () => {
+  mail.setTransport({ async send() { throw new Error('SMTP down'); } });
+
+  const known = await forgot('admin@example.com');
+  const unknown = await forgot('nobody@example.com');
+  assert.equal(known.status, 200);
+  assert.deepEqual(known.body, unknown.body);
+});
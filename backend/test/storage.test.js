@@ -0,0 +1,96 @@
+// The storage contract, for every backend: a save writes only what
+// changed since the read, so saves of different parts of one user or
+// division made side by side all survive. The Mongo backend runs when
+// MONGO_TEST_URI points at a database it may empty.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStorage } from '../storage/memory.js';
+import { createMongoStorage } from '../storage/mongo.js';
+import { newOu, newUser, newCredential, newMembership, byId } from '../storage/records.js';
+
+const backends = [
+  ['memory', async () => createMemoryStorage()],
+  ['mongo', async () => {
+    process.env.MONGO_URI = process.env.MONGO_TEST_URI;
+    const storage = createMongoStorage();
+    await storage.connect();
+    const { default: mongoose } = await import('mongoose');
+    await mongoose.connection.dropDatabase();
+    after(() => storage.disconnect());
+    return storage;
+  }]
+];
+
+for (const [kind, open] of backends) {
+  const skip = kind === 'mongo' && !process.env.MONGO_TEST_URI && 'set MONGO_TEST_URI to run';
+  let storage;
+  const ready = async () => (storage ??= await open());
+
+  // An OU with one division holding two credentials -> division id
+  async function seedDivision() {
+    const ou = newOu('Ops', ['Servers']);
+    ou.divisions[0].credentials.push(
+      newCredential({ system: 'Mail', username: 'root', password: 'x' }),
+      newCredential({ system: 'VPN', username: 'admin', password: 'y' })
+    );
+    await storage.structure.createOu(ou);
+    return String(ou.divisions[0]._id);
+  }
+
+  test(`${kind}: credentials added side by side are all kept`, { skip }, async () => {
+    await ready();
+    const divisionId = await seedDivision();
+    const [a, b] = await Promise.all([storage.credentials.loadDivision(divisionId), storage.credentials.loadDivision(divisionId)]);
+    a.division.credentials.push(newCredential({ system: 'Wiki', username: 'a', password: 'p' }));
+    b.division.credentials.push(newCredential({ system: 'Git', username: 'b', password: 'p' }));
+    await Promise.all([storage.credentials.saveDivision(a), storage.credentials.saveDivision(b)]);
+
+    const { division } = await storage.credentials.loadDivision(divisionId);
+    assert.deepEqual(division.credentials.map(c => c.system).sort(), ['Git', 'Mail', 'VPN', 'Wiki']);
+  });
+
+  test(`${kind}: edits, deletes and settings from stale copies don't undo each other`, { skip }, async () => {
+    await ready();
+    const divisionId = await seedDivision();
+    const [a, b, c] = await Promise.all([1, 2, 3].map(() => storage.credentials.loadDivision(divisionId)));
+    const [mail, vpn] = a.division.credentials;
+
+    byId(a.division.credentials, mail._id).username = 'postmaster';
+    const gone = byId(b.division.credentials, vpn._id);
+    b.division.credentials = b.division.credentials.filter(x => x !== gone);
+    b.division.trash.push({ ...gone, deletedAt: new Date(), deletedBy: null });
+    c.division.rotationIntervalDays = 30;
+    await Promise.all([a, b, c].map(found => storage.credentials.saveDivision(found)));
+
+    const { division } = await storage.credentials.loadDivision(divisionId);
+    assert.deepEqual(division.credentials.map(x => [x.system, x.username]), [['Mail', 'postmaster']]);
+    assert.deepEqual(division.trash.map(x => x.system), ['VPN']);
+    assert.equal(division.rotationIntervalDays, 30);
+  });
+
+  test(`${kind}: user saves of different fields are both kept`, { skip }, async () => {
+    await ready();
+    const user = newUser({ name: 'Ann', email: `ann-${kind}@example.com` });
+    await storage.users.create(user);
+    const [assign, login] = await Promise.all([storage.users.findById(user._id), storage.users.findById(user._id)]);
+
+    assign.memberships.push(newMembership({ ou: user._id, division: user._id, role: 'viewer' }));
+    login.twoFactor.lastUsedStep = 1234;
+    await Promise.all([storage.users.save(assign), storage.users.save(login)]);
+
+    const saved = await storage.users.findById(user._id);
+    assert.equal(saved.memberships.length, 1);
+    assert.equal(saved.twoFactor.lastUsedStep, 1234);
+
+    // saveAll writes only the changes too, and a record saved twice sends only the new change
+    const [bulk, other] = await Promise.all([storage.users.findById(user._id), storage.users.findById(user._id)]);
+    bulk.role = 'management';
+    other.name = 'Annie';
+    await storage.users.saveAll([bulk]);
+    await storage.users.save(other);
+    other.emailVerified = true;
+    await storage.users.save(other);
+    const last = await storage.users.findById(user._id);
+    assert.deepEqual([last.role, last.name, last.emailVerified, last.memberships.length], ['management', 'Annie', true, 1]);
+  });
+}
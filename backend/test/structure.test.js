@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.stop());
+
+test('structure changes keep credentials written after the OU was loaded', async () => {
+  const { createOu, renameOu, moveDivision, deleteDivision } = await import('../lib/structure.js');
+  const ouId = String(api.structure._id);
+  const [it, finance] = api.structure.divisions.map(d => String(d._id));
+  const token = api.adminToken;
+  const add = (divisionId, system) => api.request('POST', `/divisions/${divisionId}/credentials`, {
+    token, body: { system, username: 'u', password: 'p-Secret1' }
+  });
+
+  await add(it, 'First');
+  assert.ok(!(await renameOu(ouId, 'Newsroom')).error);
+  await add(it, 'Second');
+
+  const other = (await createOu('Other')).ou;
+  assert.ok(!(await moveDivision(ouId, it, other._id)).error);
+  const moved = await api.storage.credentials.loadDivision(it);
+  assert.equal(String(moved.ou._id), String(other._id));
+  assert.deepEqual(moved.division.credentials.map(c => c.system), ['First', 'Second']);
+
+  const result = await deleteDivision(other._id, it, finance);
+  assert.equal(result.credentials, 2);
+  const target = await api.storage.credentials.loadDivision(finance);
+  assert.deepEqual(target.division.credentials.map(c => c.system), ['First', 'Second']);
+  assert.equal((await api.storage.structure.findOu(ouId)).name, 'Newsroom');
+});
+
+test('an empty division is deleted, one with credentials needs migrateTo', async () => {
+  const { createDivision, deleteDivision } = await import('../lib/structure.js');
+  const ouId = String(api.structure._id);
+  const { division } = await createDivision(ouId, 'Scratch');
+  const finance = String(api.structure.divisions[1]._id);
+
+  assert.equal((await deleteDivision(ouId, finance)).status, 409);
+  assert.ok(!(await deleteDivision(ouId, division._id)).error);
+  assert.equal(await api.storage.structure.ouIdForDivision(division._id), null);
+
+  // migrateTo on an empty division moves nothing, and says so
+  const { division: empty } = await createDivision(ouId, 'Scratch 2');
+  const result = await deleteDivision(ouId, empty._id, finance);
+  assert.equal(result.migrated, false);
+});
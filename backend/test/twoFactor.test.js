@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, PASSWORD } from './helpers.js';
+
+// Lock on the third failure, with no backoff delay before it
+process.env.LOGIN_DELAY_AFTER = '100';
+process.env.LOGIN_LOCK_THRESHOLD = '3';
+
+let api;
+before(async () => { api = await startApp(); });
+after(() => api.stop());
+
+test('forced 2FA enrollment counts wrong codes towards the login lockout', async () => {
+  await api.request('POST', '/register', { body: { name: 'Tess', email: 'tess@example.com', password: PASSWORD } });
+  const required = await api.request('PUT', '/admin/settings/2fa', { token: api.adminToken, body: { requiredRoles: ['normal'] } });
+  assert.equal(required.status, 200);
+
+  const login = await api.request('POST', '/login', { body: { email: 'tess@example.com', password: PASSWORD } });
+  assert.equal(login.body.twoFactorSetupRequired, true);
+  const { challengeToken } = login.body;
+
+  const setup = await api.request('POST', '/login/2fa/setup', { body: { challengeToken } });
+  assert.equal(setup.status, 200);
+
+  for (let i = 0; i < 3; i++) {
+    const wrong = await api.request('POST', '/login/2fa/enroll', { body: { challengeToken, code: '000000' } });
+    assert.equal(wrong.status, 400);
+  }
+  const locked = await api.request('POST', '/login/2fa/enroll', { body: { challengeToken, code: '000000' } });
+  assert.equal(locked.status, 423);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+
+  const setupAgain = await api.request('POST', '/login/2fa/setup', { body: { challengeToken } });
+  assert.equal(setupAgain.status, 423);
+});
+
+test('wrong codes lock the account even with a password login between them', async () => {
+  const { codeForStep, currentStep } = await import('../lib/totp.js');
+  const { body: sam } = await api.request('POST', '/register', { body: { name: 'Sam', email: 'sam@example.com', password: PASSWORD } });
+  const { body: setup } = await api.request('POST', '/2fa/setup', { token: sam.token, body: {} });
+  const enabled = await api.request('POST', '/2fa/enable', { token: sam.token, body: { code: codeForStep(setup.secret, currentStep()) } });
+  assert.equal(enabled.status, 200);
+
+  // Two wrong codes per password login: the count must carry over
+  for (let round = 0; round < 2; round++) {
+    const login = await api.request('POST', '/login', { body: { email: 'sam@example.com', password: PASSWORD } });
+    assert.equal(login.body.twoFactorRequired, true);
+    for (let i = 0; i < 2; i++) {
+      await api.request('POST', '/login/2fa', { body: { challengeToken: login.body.challengeToken, code: '000000' } });
+    }
+  }
+  const last = await api.request('POST', '/login', { body: { email: 'sam@example.com', password: PASSWORD } });
+  assert.equal(last.status, 423);
+});
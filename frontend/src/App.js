@@ -1,59 +1,232 @@
 // src/App.js
 // --------------------------------------------------------------
 // Shows Register/Login (Task 1) + Credentials UI (Task 2).
-// Also renders the AdminPanel (Task 3) only when the user role
-// is management or admin.
+// Panels and buttons are shown according to the effective
+// permissions from GET /api/me/permissions (backend enforces them).
+// AdminPanel (Task 3) needs `user:list`, AuditLog `audit:read`.
+// Access tokens are short-lived; api.js refreshes them through the
+// refresh token kept here (in memory only).
+// With 2FA, login is two steps: password, then a code (or a forced
+// enrollment when 2FA is required for the user's role).
+// Emailed links come back as ?resetToken=… / ?verifyToken=… on this page.
+// Normal users can ask for division access (AccessRequests); management
+// decides in AccessQueue.
 // --------------------------------------------------------------
-import React, { useState } from 'react';
-import { api, setAuthToken } from './api';
+import React, { useEffect, useRef, useState } from 'react';
+import { api, setAuthToken, setSessionHandlers } from './api';
 import Credentials from './components/Credentials';
 import AdminPanel from './components/AdminPanel';
+import AuditLog from './components/AuditLog';
+import Lockouts from './components/Lockouts';
+import StaleReport from './components/StaleReport';
+import AccessRequests from './components/AccessRequests';
+import AccessQueue from './components/AccessQueue';
+import PasswordStrength from './components/PasswordStrength';
+import TwoFactorSettings, { TwoFactorSetup, RecoveryCodes } from './components/TwoFactor';
+import { can, canSomewhere } from './permissions';
 
 export default function App() {
   // --- auth form state ---
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [loginError, setLoginError] = useState(''); // lockout / throttling message, kept on screen
+
+  // --- second login step: { type: 'code' | 'enroll', challengeToken, setup? } ---
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once after forced enrollment
+
+  // --- password reset link (?resetToken=…) ---
+  const [resetToken, setResetToken] = useState(null);
+  const [newPassword, setNewPassword] = useState('');
 
   // --- runtime auth state ---
   const [token, setToken] = useState(null);
   const [user, setUser] = useState(null);
+  const refreshTokenRef = useRef(null); // read by the refresh handler, so not state
+  const [perms, setPerms] = useState(null); // permissions map from /me/permissions
 
   // --- lightweight toast ---
   const [msg, setMsg] = useState('');
   const toast = (m) => { setMsg(m); setTimeout(() => setMsg(''), 2200); };
 
+  // Store tokens + user from /register, /login or /token/refresh
+  function startSession(data) {
+    setToken(data.token);
+    setUser(data.user);
+    refreshTokenRef.current = data.refreshToken;
+    setAuthToken(data.token);       // attach token for subsequent calls
+  }
+
+  // Clear token + user from memory
+  function endSession() {
+    setToken(null);
+    setUser(null);
+    setPerms(null);
+    setRecoveryCodes(null);
+    refreshTokenRef.current = null;
+    setAuthToken(null);
+  }
+
+  function loadPerms() {
+    api.get('/me/permissions')
+      .then(({ data }) => setPerms(data.permissions))
+      .catch(e => console.error(e));
+  }
+
+  // (Re)load effective permissions whenever the signed-in user changes
+  useEffect(() => {
+    if (user?.id) loadPerms();
+  }, [user?.id, user?.role]);
+
+  // Handle emailed links once on load, then drop the token from the address bar
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const reset = params.get('resetToken');
+    const verify = params.get('verifyToken');
+    if (!reset && !verify) return;
+    window.history.replaceState(null, '', window.location.pathname);
+    if (reset) setResetToken(reset);
+    if (verify) {
+      api.post('/email/verify', { token: verify })
+        .then(({ data }) => {
+          toast(data.message);
+          setUser(u => (u && u.id === data.user.id ? { ...u, emailVerified: true } : u));
+        })
+        .catch(e => toast(e.response?.data?.error || 'Verification failed'));
+    }
+  }, []);
+
+  // Let api.js renew expired access tokens and report ended sessions
+  useEffect(() => {
+    setSessionHandlers({
+      refresh: async () => {
+        if (!refreshTokenRef.current) return null;
+        try {
+          const { data } = await api.post('/token/refresh', { refreshToken: refreshTokenRef.current });
+          startSession(data);
+          return data.token;
+        } catch (e) {
+          return null;
+        }
+      },
+      onSessionEnded: () => {
+        if (!refreshTokenRef.current) return; // already logged out
+        endSession();
+        toast('Your session has ended, please log in again');
+      }
+    });
+  }, []);
+
   // Register a new user (default role: normal)
   async function register() {
     try {
       const { data } = await api.post('/register', { name, email, password });
-      setToken(data.token);
-      setUser(data.user);
-      setAuthToken(data.token);       // attach token for subsequent calls
+      startSession(data);
       toast('Registered successfully');
     } catch (e) {
       toast(e.response?.data?.error || 'Registration failed');
     }
   }
 
+  // Lockouts and throttling stay visible (with the wait time); other errors are toasts
+  function loginFailed(e) {
+    const { code, error } = e.response?.data || {};
+    if (code === 'ACCOUNT_LOCKED' || code === 'LOGIN_THROTTLED') setLoginError(error);
+    else toast(error || 'Login failed');
+  }
+
   // Login existing user
   async function login() {
+    setLoginError('');
     try {
       const { data } = await api.post('/login', { email, password });
-      setToken(data.token);
-      setUser(data.user);
-      setAuthToken(data.token);
-      toast('Login successful');
+      if (data.twoFactorRequired) {
+        setChallenge({ type: 'code', challengeToken: data.challengeToken });
+      } else if (data.twoFactorSetupRequired) {
+        const res = await api.post('/login/2fa/setup', { challengeToken: data.challengeToken });
+        setChallenge({ type: 'enroll', challengeToken: data.challengeToken, setup: res.data });
+        toast(data.message);
+      } else {
+        startSession(data);
+        toast('Login successful');
+      }
     } catch (e) {
-      toast(e.response?.data?.error || 'Login failed');
+      loginFailed(e);
     }
   }
 
-  // Clear token + user from memory
-  function logout() {
-    setToken(null);
-    setUser(null);
-    setAuthToken(null);
+  // Finish a 2FA login with an authenticator code or a recovery code
+  async function submitCode() {
+    const body = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+    setLoginError('');
+    try {
+      const { data } = await api.post('/login/2fa', { challengeToken: challenge.challengeToken, ...body });
+      setChallenge(null);
+      setCode('');
+      startSession(data);
+      toast(body.recoveryCode ? `Login successful (${data.recoveryCodesLeft} recovery codes left)` : 'Login successful');
+    } catch (e) {
+      loginFailed(e);
+    }
+  }
+
+  // Finish a forced enrollment: first code -> session + recovery codes
+  async function enroll(firstCode) {
+    try {
+      const { data } = await api.post('/login/2fa/enroll', { challengeToken: challenge.challengeToken, code: firstCode });
+      setChallenge(null);
+      setRecoveryCodes(data.recoveryCodes);
+      startSession(data);
+      toast(data.message);
+    } catch (e) {
+      toast(e.response?.data?.error || 'Enrollment failed');
+    }
+  }
+
+  // Email a reset link to the address in the form
+  async function forgotPassword() {
+    if (!email) return toast('Enter your email first');
+    try {
+      const { data } = await api.post('/password/forgot', { email });
+      toast(data.message);
+    } catch (e) {
+      toast(e.response?.data?.error || 'Request failed');
+    }
+  }
+
+  async function resetPassword() {
+    try {
+      const { data } = await api.post('/password/reset', { token: resetToken, password: newPassword });
+      setResetToken(null);
+      setNewPassword('');
+      toast(data.message);
+    } catch (e) {
+      toast(e.response?.data?.error || 'Reset failed');
+    }
+  }
+
+  async function resendVerification() {
+    try {
+      const { data } = await api.post('/email/verify/resend');
+      toast(data.message);
+    } catch (e) {
+      toast(e.response?.data?.error || 'Could not send the email');
+    }
+  }
+
+  // Revoke the session on the server, then forget it locally
+  async function logout() {
+    const refreshToken = refreshTokenRef.current;
+    endSession();
+    if (refreshToken) {
+      try {
+        await api.post('/logout', { refreshToken });
+      } catch (e) {
+        console.error(e);
+      }
+    }
     toast('Logged out');
   }
 
@@ -63,7 +236,32 @@ export default function App() {
         <h2 style={{ margin: '0 0 6px' }}>Capstone Auth</h2>
         <span className="small">Task 1 & 2 — React UI</span>
 
-        {!token ? (
+        {!token && resetToken ? (
+          // --- opened from a password reset email ---
+          <div className="vstack">
+            <span className="small">Choose a new password.</span>
+            <div className="hstack">
+              <input placeholder="New password" type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} />
+              <button disabled={!newPassword} onClick={resetPassword}>Set password</button>
+              <button className="ghost" onClick={() => setResetToken(null)}>Cancel</button>
+            </div>
+            <PasswordStrength password={newPassword} />
+          </div>
+        ) : !token && challenge?.type === 'code' ? (
+          // --- second step: authenticator or recovery code ---
+          <div className="vstack">
+            <span className="small">Enter the code from your authenticator app, or one of your recovery codes.</span>
+            <div className="hstack">
+              <input placeholder="Code" value={code} onChange={e => setCode(e.target.value)} />
+              <button disabled={!code.trim()} onClick={submitCode}>Verify</button>
+              <button className="ghost" onClick={() => { setChallenge(null); setCode(''); }}>Cancel</button>
+            </div>
+            {loginError && <span className="small" style={{ color: '#b00020' }}>{loginError}</span>}
+          </div>
+        ) : !token && challenge?.type === 'enroll' ? (
+          // --- 2FA is required for this role but not set up yet ---
+          <TwoFactorSetup setup={challenge.setup} onConfirm={enroll} onCancel={() => setChallenge(null)} />
+        ) : !token ? (
           // --- show auth form when logged out ---
           <div className="vstack">
             <div className="hstack">
@@ -71,10 +269,14 @@ export default function App() {
               <input placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} />
               <input placeholder="Password" type="password" value={password} onChange={e => setPassword(e.target.value)} />
             </div>
+            {/* Name is only needed to register, so show the meter once it is filled in */}
+            {name && <PasswordStrength password={password} />}
             <div className="hstack">
               <button onClick={register}>Register</button>
               <button className="ghost" onClick={login}>Login</button>
+              <button className="ghost" onClick={forgotPassword}>Forgot password?</button>
             </div>
+            {loginError && <span className="small" style={{ color: '#b00020' }}>{loginError}</span>}
           </div>
         ) : (
           // --- show user badge + logout when logged in ---
@@ -86,16 +288,43 @@ export default function App() {
             <button onClick={logout}>Logout</button>
           </div>
         )}
+        {token && user && !user.emailVerified && (
+          <div className="hstack">
+            <span className="small">Your email address isn't verified yet; check your inbox.</span>
+            <button className="ghost" onClick={resendVerification}>Resend link</button>
+          </div>
+        )}
       </div>
 
+      {token && recoveryCodes && (
+        <div className="card vstack">
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        </div>
+      )}
+
+      {token && perms && <TwoFactorSettings token={token} perms={perms} show={toast} />}
+
       {/* Task 2 UI: credentials */}
-      {token && <Credentials token={token} role={user?.role || 'admin'} />}
+      {token && canSomewhere(perms, 'credential:read') && <Credentials token={token} role={user?.role} perms={perms} />}
 
-      {/* Task 3 UI: management/admin only */}
-      {token && (user?.role === 'management' || user?.role === 'admin') && (
-        <AdminPanel token={token} role={user?.role} />
+      {/* Division access requests: normal users ask, management reviews */}
+      {token && can(perms, 'access:request') && <AccessRequests token={token} onChanged={loadPerms} />}
+      {token && can(perms, 'access:review') && <AccessQueue token={token} />}
+
+      {/* Task 3 UI: users allowed to list users (management/admin by default) */}
+      {token && can(perms, 'user:list') && (
+        <AdminPanel token={token} role={user?.role} perms={perms} />
       )}
 
+      {/* Rotation report: management/admin by default */}
+      {token && can(perms, 'report:read') && <StaleReport token={token} />}
+
+      {/* Audit trail: admin by default */}
+      {token && can(perms, 'audit:read') && <AuditLog token={token} />}
+
+      {/* Login lockouts: admin by default */}
+      {token && can(perms, 'lockout:manage') && <Lockouts token={token} />}
+
       {msg && <div className="toast">{msg}</div>}
     </div>
   );
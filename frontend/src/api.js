@@ -4,3 +4,40 @@ export function setAuthToken(token){
   if(token) api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
   else delete api.defaults.headers.common['Authorization'];
 }
+
+// Session hooks registered by App:
+//  - refresh(): trade the refresh token for a new access token (returns it, or null)
+//  - onSessionEnded(): called when the server says the session is over
+let handlers = { refresh: null, onSessionEnded: null };
+let refreshing = null; // one shared refresh for parallel 401s (refresh tokens rotate)
+export function setSessionHandlers(h){ handlers = { ...handlers, ...h }; }
+
+api.interceptors.response.use(res => res, async (error) => {
+  const original = error.config || {};
+  const code = error.response?.data?.code;
+  if(code === 'TOKEN_EXPIRED' && handlers.refresh && !original._retried){
+    original._retried = true;
+    if(!refreshing) refreshing = handlers.refresh().finally(()=>{ refreshing = null; });
+    const token = await refreshing;
+    if(token){
+      original.headers['Authorization'] = `Bearer ${token}`;
+      return api(original);
+    }
+  }
+  if((code === 'TOKEN_EXPIRED' || code === 'SESSION_REVOKED') && handlers.onSessionEnded) handlers.onSessionEnded();
+  if(code === 'VALIDATION_FAILED') error.fields = fieldErrors(error.response.data);
+  return Promise.reject(error);
+});
+
+// The backend checks requests against its OpenAPI document (GET /api/openapi.json)
+// and answers 400 { error, code: 'VALIDATION_FAILED', fields: [{ field, message }] }.
+// Field paths look like "body.tags[1]" / "params.id"; this maps them to
+// { "tags[1]": message, id: message } for forms (first message per field).
+export function fieldErrors(data){
+  const out = {};
+  for(const { field, message } of data?.fields || []){
+    const key = field.replace(/^(body|params|query)\.?/, '') || field;
+    if(!(key in out)) out[key] = message;
+  }
+  return out;
+}
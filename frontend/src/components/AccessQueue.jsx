@@ -0,0 +1,123 @@
+// src/components/AccessQueue.jsx
+// ------------------------------------------------------------------
+// Review queue for division access requests (management/admin by
+// default, `access:review`). Pending requests are listed first; an
+// approval can change the role and set an expiry, both decisions can
+// carry a note the requester sees. Other statuses are kept as history.
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+const LIMIT = 20;
+const STATUSES = ['pending', 'approved', 'denied', 'cancelled', 'all'];
+const MEMBERSHIP_ROLES = ['viewer', 'contributor', 'maintainer'];
+
+export default function AccessQueue({ token }){
+  const [items, setItems] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [toast, setToast] = useState('');
+  const headers = { Authorization:`Bearer ${token}` };
+
+  const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
+
+  async function load(p = page, s = status){
+    try{
+      const { data } = await api.get('/access-requests', { headers, params: { status: s, page: p, limit: LIMIT } });
+      setItems(data.items || []);
+      setTotal(data.total || 0);
+      setPage(data.page || p);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to load access requests'); }
+  }
+
+  useEffect(()=>{ load(1, status); }, [status]);
+
+  // Approve or deny one request, then reload the page
+  async function decide(r, decision, body){
+    setBusy(true);
+    try{
+      const { data } = await api.post(`/access-requests/${r.id}/${decision}`, body, { headers });
+      show(data.message);
+      await load();
+    }catch(e){
+      console.error(e); show(e.response?.data?.error || 'Decision failed');
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  const pages = Math.max(1, Math.ceil(total / LIMIT));
+  const person = (p)=> p ? `${p.name || ''} ${p.email ? `<${p.email}>` : ''}`.trim() : '(deleted user)';
+
+  return (
+    <div className="card vstack">
+      <div className="hstack" style={{justifyContent:'space-between'}}>
+        <h3 style={{margin:0}}>Access Requests</h3>
+        <div className="hstack">
+          <select value={status} onChange={e=>setStatus(e.target.value)}>
+            {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <button className="ghost" onClick={()=>load()}>Refresh</button>
+        </div>
+      </div>
+
+      <table>
+        <thead><tr><th>Requested by</th><th>Division</th><th>Role</th><th>Justification</th><th>Status</th><th></th></tr></thead>
+        <tbody>
+          {items.map(r => (
+            <tr key={r.id}>
+              <td className="small">{person(r.requester)}<div>{new Date(r.createdAt).toLocaleString()}</div></td>
+              <td>{r.divisionName ? `${r.ouName} / ${r.divisionName}` : <span className="small">(deleted division)</span>}</td>
+              <td>{r.role}</td>
+              <td className="small" style={{whiteSpace:'pre-wrap'}}>{r.justification}</td>
+              <td className="small">
+                {r.status}
+                {r.decidedAt && <div>by {person(r.decidedBy)}, {new Date(r.decidedAt).toLocaleString()}</div>}
+                {r.status === 'approved' && <div>{r.expiresAt ? 'until ' + new Date(r.expiresAt).toLocaleString() : 'no expiry'}</div>}
+                {r.decisionNote && <div>"{r.decisionNote}"</div>}
+              </td>
+              <td>{r.status === 'pending' && <Decide request={r} busy={busy} onDecide={(d, body)=>decide(r, d, body)} />}</td>
+            </tr>
+          ))}
+          {items.length===0 && <tr><td colSpan="6" className="small">No {status === 'all' ? '' : status + ' '}requests</td></tr>}
+        </tbody>
+      </table>
+
+      <div className="hstack">
+        <button className="ghost" onClick={()=>load(page - 1)} disabled={page <= 1}>Prev</button>
+        <span className="small">Page {page} / {pages}</span>
+        <button className="ghost" onClick={()=>load(page + 1)} disabled={page >= pages}>Next</button>
+      </div>
+      {toast && <div className="toast">{toast}</div>}
+    </div>
+  );
+}
+
+// Role (defaults to the requested one), optional expiry and note for one decision
+function Decide({ request, busy, onDecide }){
+  const [role, setRole] = useState(request.role);
+  const [expiresAt, setExpiresAt] = useState(''); // datetime-local value, local time
+  const [note, setNote] = useState('');
+
+  const approve = ()=> onDecide('approve', {
+    role, note, ...(expiresAt ? { expiresAt: new Date(expiresAt).toISOString() } : {})
+  });
+
+  return (
+    <div className="vstack" style={{gap:4, minWidth:220}}>
+      <div className="hstack">
+        <select value={role} onChange={e=>setRole(e.target.value)}>
+          {MEMBERSHIP_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <input type="datetime-local" title="Access expires (optional)" value={expiresAt} onChange={e=>setExpiresAt(e.target.value)} />
+      </div>
+      <input placeholder="Note for the requester (optional)" maxLength={500} value={note} onChange={e=>setNote(e.target.value)} />
+      <div className="hstack">
+        <button disabled={busy} onClick={approve}>Approve</button>
+        <button className="ghost" disabled={busy} onClick={()=>onDecide('deny', { note })}>Deny</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+// src/components/AccessRequests.jsx
+// ------------------------------------------------------------------
+// "Request access" for normal users: pick a division and a role,
+// say why, and follow the request in "My requests" (pending /
+// approved / denied / cancelled, with the reviewer's note and the
+// expiry of an approved grant). Pending requests can be cancelled.
+// Management decides them in AccessQueue. Needs `access:request`.
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+const MEMBERSHIP_ROLES = ['viewer', 'contributor', 'maintainer'];
+const STATUS_COLORS = { pending: '#8a6d00', approved: '#1b7f3b', denied: '#b00020', cancelled: '#666' };
+
+export default function AccessRequests({ token, onChanged }){
+  const [items, setItems] = useState([]);
+  const [options, setOptions] = useState([]); // [{ value: divisionId, label: 'OU / Division' }]
+  const [divisionId, setDivisionId] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [justification, setJustification] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [toast, setToast] = useState('');
+  const headers = { Authorization:`Bearer ${token}` };
+
+  const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
+
+  async function load(){
+    try{
+      const { data } = await api.get('/access-requests/mine', { headers });
+      setItems(data.items || []);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to load your requests'); }
+  }
+
+  useEffect(()=>{
+    load();
+    api.get('/structure/ous', { headers })
+      .then(({ data })=> setOptions((data.items || []).flatMap(ou =>
+        ou.divisions.map(d => ({ value: d.divisionId, label: `${ou.ouName} / ${d.divisionName}` })))))
+      .catch(e => console.error(e));
+  }, [token]);
+
+  // Approvals happen elsewhere, so a refresh also reloads the permissions
+  async function refresh(){
+    await load();
+    onChanged?.();
+  }
+
+  async function submit(){
+    setBusy(true);
+    try{
+      const { data } = await api.post('/access-requests', { divisionId, role, justification }, { headers });
+      show(data.message);
+      setDivisionId(''); setRole('viewer'); setJustification('');
+      await load();
+    }catch(e){
+      console.error(e); show(e.response?.data?.error || 'Request failed');
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  async function cancel(r){
+    if(!window.confirm(`Cancel your request for ${r.divisionName || 'this division'}?`)) return;
+    try{
+      const { data } = await api.post(`/access-requests/${r.id}/cancel`, {}, { headers });
+      show(data.message); load();
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Cancel failed'); }
+  }
+
+  return (
+    <div className="card vstack">
+      <div className="hstack" style={{justifyContent:'space-between'}}>
+        <h3 style={{margin:0}}>Request Division Access</h3>
+        <button className="ghost" onClick={refresh}>Refresh</button>
+      </div>
+
+      <div className="hstack">
+        <select value={divisionId} onChange={e=>setDivisionId(e.target.value)}>
+          <option value="">Division…</option>
+          {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <select value={role} onChange={e=>setRole(e.target.value)}>
+          {MEMBERSHIP_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+      </div>
+      <textarea rows={3} maxLength={1000} placeholder="Why do you need access? (what you will work on, for how long)"
+                value={justification} onChange={e=>setJustification(e.target.value)} />
+      <div className="hstack">
+        <button disabled={busy || !divisionId || justification.trim().length < 10} onClick={submit}>Send request</button>
+      </div>
+
+      <h4 style={{margin:'8px 0 0'}}>My requests</h4>
+      <table>
+        <thead><tr><th>Division</th><th>Role</th><th>Requested</th><th>Status</th><th>Note</th><th></th></tr></thead>
+        <tbody>
+          {items.map(r => (
+            <tr key={r.id}>
+              <td>{r.divisionName ? `${r.ouName} / ${r.divisionName}` : <span className="small">(deleted division)</span>}</td>
+              <td>{r.role}</td>
+              <td className="small">{new Date(r.createdAt).toLocaleString()}</td>
+              <td>
+                <span style={{color: STATUS_COLORS[r.status]}}>{r.status}</span>
+                {r.status === 'approved' && (
+                  <div className="small">{r.expiresAt ? 'until ' + new Date(r.expiresAt).toLocaleString() : 'no expiry'}</div>
+                )}
+              </td>
+              <td className="small">{r.decisionNote}</td>
+              <td>{r.status === 'pending' && <button className="ghost" onClick={()=>cancel(r)}>Cancel</button>}</td>
+            </tr>
+          ))}
+          {items.length===0 && <tr><td colSpan="6" className="small">No requests yet</td></tr>}
+        </tbody>
+      </table>
+      {toast && <div className="toast">{toast}</div>}
+    </div>
+  );
+}
@@ -1,17 +1,36 @@
 // src/components/AdminPanel.jsx
 // ------------------------------------------------------------------
-// Task 3 UI: Manage users (assign/unassign OU/Division, change roles)
+// Task 3 UI: Manage users (division memberships with per-division
+// roles, change global roles). Users are loaded a page at a time,
+// filtered and sorted by the server. Ticked users (kept across pages)
+// can be assigned, unassigned or given a role in one bulk request.
+// A membership can be a temporary grant (from / until); its remaining
+// time is shown and it can be extended or removed early.
 // Permissions:
-//  - Visible for management/admin (role gate happens at App level)
-//  - Only admin sees the "Change Role" control
+//  - Visible to users allowed `user:list` (gate happens at App level)
+//  - "Change Role" needs `user:setRole`, the structure editor `structure:manage`,
+//    service accounts / API keys `apikey:manage`
 // ------------------------------------------------------------------
 import React, { useEffect, useMemo, useState } from 'react';
 import { api } from '../api';
+import StructureEditor from './StructureEditor';
+import ServiceAccounts from './ServiceAccounts';
+import { can } from '../permissions';
 
-export default function AdminPanel({ token, role }){
+const PAGE_SIZE = 25;
+const NO_FILTERS = { q:'', role:'', ou:'', division:'', unassigned:'' };
+
+export default function AdminPanel({ token, role, perms }){
   const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const [sort, setSort] = useState({ by:'name', order:'asc' });
   const [structure, setStructure] = useState([]); // [{ouId, ouName, divisions:[{divisionId, divisionName}]}]
   const [working, setWorking] = useState(null);
+  const [selected, setSelected] = useState(new Set()); // user ids ticked for a bulk action
+  const [bulkErrors, setBulkErrors] = useState(null);  // per-user results of a rejected bulk request
+  const [now, setNow] = useState(Date.now());          // ticks so grant countdowns stay current
   const [toast, setToast] = useState('');
 
   const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
@@ -27,28 +46,74 @@ export default function AdminPanel({ token, role }){
     return map;
   }, [structure]);
 
+  // One page of users for the current filters and sort
+  async function loadUsers(p = page, f = filters, s = sort){
+    try{
+      // Only send filters that are set
+      const params = { page: p, limit: PAGE_SIZE, sort: s.by, order: s.order };
+      for(const [k, v] of Object.entries(f)) if(v) params[k] = v;
+      const { data } = await api.get('/users', { params, headers:{ Authorization:`Bearer ${token}` } });
+      setUsers(data.items || []);
+      setTotal(data.total || 0);
+      setPage(data.page || p);
+    }catch(e){
+      console.error(e);
+      show(e.response?.data?.error || 'Failed to load users');
+    }
+  }
+
   async function load(){
     try{
-      const [uRes, sRes] = await Promise.all([
-        api.get('/users', { headers:{ Authorization:`Bearer ${token}` } }),
-        api.get('/structure/ous', { headers:{ Authorization:`Bearer ${token}` } })
-      ]);
-      setUsers(uRes.data.items || []);
-      setStructure(sRes.data.items || []);
+      const { data } = await api.get('/structure/ous', { headers:{ Authorization:`Bearer ${token}` } });
+      setStructure(data.items || []);
     }catch(e){
       console.error(e);
-      show(e.response?.data?.error || 'Failed to load users/structure');
+      show(e.response?.data?.error || 'Failed to load structure');
     }
+    await loadUsers();
   }
 
   useEffect(()=>{ load(); }, []);
 
-  async function assign(userId, ouId, divisionId){
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  function changeFilter(k, v){
+    const next = { ...filters, [k]: v };
+    if(k === 'ou') next.division = '';                      // division list follows the OU
+    if((k === 'ou' || k === 'division') && v) next.unassigned = '';
+    if(k === 'unassigned' && v) { next.ou = ''; next.division = ''; }
+    setFilters(next);
+    if(k !== 'q') loadUsers(1, next); // text search runs on Enter / Search
+  }
+  function changeSort(by){
+    const next = { by, order: sort.by === by && sort.order === 'asc' ? 'desc' : 'asc' };
+    setSort(next); loadUsers(1, filters, next);
+  }
+  const sortMark = (by)=> sort.by === by ? (sort.order === 'asc' ? ' ▲' : ' ▼') : '';
+
+  // Flat division options (ou/division pairs) for the assign controls
+  const options = useMemo(()=>{
+    const list = [];
+    for(const ou of structure){
+      for(const d of (ou.divisions||[])){
+        list.push({ value: String(d.divisionId), label: `${ou.ouName} / ${d.divisionName}`, ouId: String(ou.ouId) });
+      }
+    }
+    return list;
+  }, [structure]);
+
+  useEffect(()=>{
+    const timer = setInterval(()=>setNow(Date.now()), 30 * 1000);
+    return ()=>clearInterval(timer);
+  }, []);
+
+  // window: { startsAt?, expiresAt? } for a temporary grant (left out = unchanged)
+  async function assign(userId, ouId, divisionId, membershipRole, window = {}){
     setWorking(userId);
     try{
-      await api.post(`/users/${userId}/assign`, { ouId, divisionId }, { headers:{ Authorization:`Bearer ${token}` } });
-      show('User assigned');
-      await load();
+      const body = { ouId, divisionId, role: membershipRole, ...window };
+      const { data } = await api.post(`/users/${userId}/assign`, body, { headers:{ Authorization:`Bearer ${token}` } });
+      show(data.message || 'User assigned');
+      await loadUsers();
     }catch(e){
       console.error(e); show(e.response?.data?.error || 'Assign failed');
     }finally{
@@ -56,12 +121,13 @@ export default function AdminPanel({ token, role }){
     }
   }
 
-  async function unassign(userId){
+  // divisionId omitted -> remove every membership
+  async function unassign(userId, divisionId){
     setWorking(userId);
     try{
-      await api.delete(`/users/${userId}/assign`, { headers:{ Authorization:`Bearer ${token}` } });
-      show('User unassigned');
-      await load();
+      await api.delete(`/users/${userId}/assign`, { headers:{ Authorization:`Bearer ${token}` }, params: divisionId ? { divisionId } : {} });
+      show(divisionId ? 'Membership removed' : 'User unassigned');
+      await loadUsers();
     }catch(e){
       console.error(e); show(e.response?.data?.error || 'Unassign failed');
     }finally{
@@ -73,8 +139,8 @@ export default function AdminPanel({ token, role }){
     setWorking(userId);
     try{
       const { data } = await api.put(`/users/${userId}/role`, { role: newRole }, { headers:{ Authorization:`Bearer ${token}` } });
-      show('Role updated' + (data.requireReLogin ? ' (please re-login to refresh your token)' : ''));
-      await load();
+      show('Role updated' + (data.requireReLogin ? ' (your session has ended, please log in again)' : ''));
+      await loadUsers();
     }catch(e){
       console.error(e); show(e.response?.data?.error || 'Change role failed (admin only)');
     }finally{
@@ -82,6 +148,29 @@ export default function AdminPanel({ token, role }){
     }
   }
 
+  function toggle(ids, on){
+    const next = new Set(selected);
+    ids.forEach(id => on ? next.add(id) : next.delete(id));
+    setSelected(next);
+  }
+  const pageSelected = users.length > 0 && users.every(u => selected.has(u.id));
+
+  // { action, ouId?, divisionId?, role? } for every ticked user; all-or-nothing on the server
+  async function bulk(body){
+    setWorking('bulk'); setBulkErrors(null);
+    try{
+      const { data } = await api.post('/users/bulk', { ...body, userIds: [...selected] }, { headers:{ Authorization:`Bearer ${token}` } });
+      show(data.message + (data.requireReLogin ? ' (your session has ended, please log in again)' : ''));
+      setSelected(new Set());
+      await loadUsers();
+    }catch(e){
+      console.error(e); show(e.response?.data?.error || 'Bulk action failed');
+      if(e.response?.data?.results) setBulkErrors(e.response.data.results.filter(r => r.outcome === 'failed'));
+    }finally{
+      setWorking(null);
+    }
+  }
+
   return (
     <div className="card vstack">
       <div className="hstack" style={{justifyContent:'space-between'}}>
@@ -89,66 +178,173 @@ export default function AdminPanel({ token, role }){
         <span className="badge">You are: {role}</span>
       </div>
 
+      <div className="hstack">
+        <input placeholder="Name or email" value={filters.q} onChange={e=>changeFilter('q', e.target.value)}
+               onKeyDown={e=>{ if(e.key==='Enter') loadUsers(1); }} />
+        <select value={filters.role} onChange={e=>changeFilter('role', e.target.value)}>
+          <option value="">Any role</option>
+          {['normal', 'management', 'admin'].map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <select value={filters.ou} onChange={e=>changeFilter('ou', e.target.value)}>
+          <option value="">Any OU</option>
+          {structure.map(ou => <option key={ou.ouId} value={String(ou.ouId)}>{ou.ouName}</option>)}
+        </select>
+        <select value={filters.division} onChange={e=>changeFilter('division', e.target.value)}>
+          <option value="">Any division</option>
+          {options.filter(o => !filters.ou || o.ouId === filters.ou).map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <label className="small" style={{width:'auto', whiteSpace:'nowrap'}}>
+          <input type="checkbox" style={{width:'auto'}} checked={filters.unassigned==='true'} onChange={e=>changeFilter('unassigned', e.target.checked ? 'true' : '')} /> Unassigned only
+        </label>
+        <button className="ghost" onClick={()=>loadUsers(1)}>Search</button>
+        <button className="ghost" onClick={()=>{ setFilters(NO_FILTERS); loadUsers(1, NO_FILTERS); }}>Reset</button>
+      </div>
+
+      {selected.size > 0 && <BulkBar count={selected.size} options={options} canSetRole={can(perms, 'user:setRole')}
+        working={working==='bulk'} onApply={bulk} onClear={()=>{ setSelected(new Set()); setBulkErrors(null); }} />}
+      {bulkErrors && <div className="card vstack" style={{margin:0, background:'#fef2f2'}}>
+        <strong>Nothing was changed. These users failed:</strong>
+        {bulkErrors.map(r => <span key={r.userId} className="small">{users.find(u => u.id === r.userId)?.email || r.userId}: {r.error}</span>)}
+      </div>}
+
       <table>
         <thead>
           <tr>
-            <th>Name</th>
-            <th>Email</th>
-            <th>Role</th>
-            <th>Assignment</th>
+            <th style={{width:30}}><input type="checkbox" style={{width:'auto'}} checked={pageSelected}
+              onChange={e=>toggle(users.map(u => u.id), e.target.checked)} title="Select this page" /></th>
+            <th style={{cursor:'pointer'}} onClick={()=>changeSort('name')}>Name{sortMark('name')}</th>
+            <th style={{cursor:'pointer'}} onClick={()=>changeSort('email')}>Email{sortMark('email')}</th>
+            <th style={{cursor:'pointer'}} onClick={()=>changeSort('role')}>Role{sortMark('role')}</th>
+            <th>Memberships</th>
             <th>Actions</th>
           </tr>
         </thead>
         <tbody>
-          {users.map(u => {
-            // Pre-select current assignment for the select controls
-            const currentDiv = u.division ? String(u.division) : '';
-            const current = divisionIndex.get(currentDiv);
-            // Build flat options (ou/division pairs)
-            const options = [];
-            for(const ou of structure){
-              for(const d of (ou.divisions||[])){
-                options.push({ value: String(d.divisionId), label: `${ou.ouName} / ${d.divisionName}`, ouId: String(ou.ouId) });
-              }
-            }
-            return (
-              <Row key={u.id}
-                   u={u}
-                   role={role}
-                   options={options}
-                   current={current}
-                   working={working===u.id}
-                   onAssign={(divisionId)=>{
-                     const opt = options.find(o => o.value === divisionId);
-                     if(opt) assign(u.id, opt.ouId, divisionId);
-                   }}
-                   onUnassign={()=>unassign(u.id)}
-                   onChangeRole={(newRole)=>changeRole(u.id, newRole)} />
-            );
-          })}
-          {users.length===0 && <tr><td colSpan="5" className="small">No users yet</td></tr>}
+          {users.map(u => (
+            <Row key={u.id}
+                 u={u}
+                 canSetRole={can(perms, 'user:setRole')}
+                 options={options}
+                 divisionIndex={divisionIndex}
+                 now={now}
+                 working={working===u.id || working==='bulk'}
+                 selected={selected.has(u.id)}
+                 onSelect={(on)=>toggle([u.id], on)}
+                 onAssign={(divisionId, membershipRole, window)=>{
+                   const opt = options.find(o => o.value === divisionId);
+                   if(opt) assign(u.id, opt.ouId, divisionId, membershipRole, window);
+                 }}
+                 onUnassign={(divisionId)=>unassign(u.id, divisionId)}
+                 onChangeRole={(newRole)=>changeRole(u.id, newRole)} />
+          ))}
+          {users.length===0 && <tr><td colSpan="6" className="small">No matching users</td></tr>}
         </tbody>
       </table>
 
+      <div className="hstack" style={{justifyContent:'flex-end'}}>
+        <span className="small">{total} user{total===1 ? '' : 's'}</span>
+        <button className="ghost" onClick={()=>loadUsers(page - 1)} disabled={page <= 1}>Prev</button>
+        <span className="small">Page {page} / {pages}</span>
+        <button className="ghost" onClick={()=>loadUsers(page + 1)} disabled={page >= pages}>Next</button>
+      </div>
+
+      {can(perms, 'structure:manage') && <StructureEditor token={token} structure={structure} onChanged={load} show={show} />}
+      {can(perms, 'apikey:manage') && <ServiceAccounts token={token} options={options} show={show} />}
+
       {toast && <div className="toast">{toast}</div>}
     </div>
   );
 }
 
-function Row({ u, role, options, current, working, onAssign, onUnassign, onChangeRole }){
-  const [selectedDiv, setSelectedDiv] = useState(current ? undefined : ''); // force choose if none
-  useEffect(()=>{
-    // When current changes (after reload), reflect it
-    if(current){ setSelectedDiv(current.value); }
-  }, [current]);
+const MEMBERSHIP_ROLES = ['viewer', 'contributor', 'maintainer'];
+
+// "3d 4h", "2h 10m", "5m"
+function duration(ms){
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const d = Math.floor(minutes / 1440), h = Math.floor(minutes % 1440 / 60), m = minutes % 60;
+  if(d) return `${d}d ${h}h`;
+  if(h) return `${h}h ${m}m`;
+  return `${m}m`;
+}
+
+// Time left on a temporary grant; null for a permanent membership
+function grantLabel(m, now){
+  const startsAt = m.startsAt ? new Date(m.startsAt).getTime() : null;
+  const expiresAt = m.expiresAt ? new Date(m.expiresAt).getTime() : null;
+  if(startsAt && startsAt > now) return `starts in ${duration(startsAt - now)}` + (expiresAt ? `, for ${duration(expiresAt - startsAt)}` : '');
+  if(!expiresAt) return null;
+  return expiresAt > now ? `${duration(expiresAt - now)} left` : 'expired';
+}
+
+// datetime-local value (local time) -> ISO string, empty -> left out
+const isoOrUndefined = (value)=> value ? new Date(value).toISOString() : undefined;
+
+// Action bar for the ticked users
+function BulkBar({ count, options, canSetRole, working, onApply, onClear }){
+  const [action, setAction] = useState('assign');
+  const [divisionId, setDivisionId] = useState('');
+  const [membershipRole, setMembershipRole] = useState('contributor');
+  const [globalRole, setGlobalRole] = useState('normal');
+  const opt = options.find(o => o.value === divisionId);
+
+  function apply(){
+    if(action === 'assign') onApply({ action, ouId: opt.ouId, divisionId, role: membershipRole });
+    else if(action === 'unassign') onApply(divisionId ? { action, divisionId } : { action });
+    else onApply({ action, role: globalRole });
+  }
+
+  return (
+    <div className="hstack" style={{background:'#f0f9ff', padding:8, borderRadius:8}}>
+      <span className="badge">{count} selected</span>
+      <select value={action} onChange={e=>setAction(e.target.value)} style={{width:'auto'}}>
+        <option value="assign">Assign to division</option>
+        <option value="unassign">Remove from division</option>
+        {canSetRole && <option value="setRole">Change role</option>}
+      </select>
+      {action !== 'setRole' && <select value={divisionId} onChange={e=>setDivisionId(e.target.value)}>
+        <option value="">{action === 'unassign' ? 'All divisions' : 'Select division…'}</option>
+        {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+      </select>}
+      {action === 'assign' && <select value={membershipRole} onChange={e=>setMembershipRole(e.target.value)} style={{width:'auto'}}>
+        {MEMBERSHIP_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+      </select>}
+      {action === 'setRole' && <select value={globalRole} onChange={e=>setGlobalRole(e.target.value)} style={{width:'auto'}}>
+        {['normal', 'management', 'admin'].map(r => <option key={r} value={r}>{r}</option>)}
+      </select>}
+      <button onClick={apply} disabled={working || (action === 'assign' && !opt)}>Apply</button>
+      <button className="ghost" onClick={onClear}>Clear selection</button>
+    </div>
+  );
+}
+
+function Row({ u, canSetRole, options, divisionIndex, now, working, selected, onSelect, onAssign, onUnassign, onChangeRole }){
+  const [selectedDiv, setSelectedDiv] = useState('');
+  const [membershipRole, setMembershipRole] = useState('contributor');
+  const [startsAt, setStartsAt] = useState(''); // datetime-local values; empty = right away / no end
+  const [expiresAt, setExpiresAt] = useState('');
+  const memberships = u.memberships || [];
+
+  // New end = current end (or now, if already past) + the hours asked for
+  function extend(m){
+    const hours = Number(prompt('Extend access by how many hours?', '24'));
+    if(!(hours > 0)) return;
+    const from = Math.max(now, new Date(m.expiresAt).getTime());
+    onAssign(m.divisionId, m.role, { expiresAt: new Date(from + hours * 3600 * 1000).toISOString() });
+  }
+
+  function assignNew(){
+    onAssign(selectedDiv, membershipRole, { startsAt: isoOrUndefined(startsAt), expiresAt: isoOrUndefined(expiresAt) });
+    setSelectedDiv(''); setStartsAt(''); setExpiresAt('');
+  }
 
   return (
     <tr>
+      <td><input type="checkbox" style={{width:'auto'}} checked={selected} onChange={e=>onSelect(e.target.checked)} /></td>
       <td>{u.name}</td>
       <td>{u.email}</td>
       <td>
         {u.role}
-        {role === 'admin' && (
+        {canSetRole && (
           <span style={{ marginLeft: 8 }}>
             <select defaultValue={u.role} onChange={e=>onChangeRole(e.target.value)}>
               <option value="normal">normal</option>
@@ -160,20 +356,47 @@ function Row({ u, role, options, current, working, onAssign, onUnassign, onChang
       </td>
       <td>
         <div className="vstack" style={{gap:6}}>
-          <span className="small">
-            {current ? `${current.ouName} / ${current.divisionName}` : '— none —'}
-          </span>
+          {memberships.map(m => {
+            const d = divisionIndex.get(m.divisionId);
+            const grant = grantLabel(m, now);
+            return (
+              <div key={m.divisionId} className="hstack" style={{gap:6}}>
+                <span className="small" style={{flex:1}}>
+                  {d ? `${d.ouName} / ${d.divisionName}` : m.divisionId}
+                  {grant && <span className="badge" title={m.expiresAt ? 'until ' + new Date(m.expiresAt).toLocaleString() : ''}
+                                  style={{marginLeft:6}}>{grant}</span>}
+                </span>
+                {/* Changing the role re-posts the membership (assign is an upsert) */}
+                <select value={m.role} disabled={working} onChange={e=>onAssign(m.divisionId, e.target.value)} style={{width:'auto'}}>
+                  {MEMBERSHIP_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                {m.expiresAt && <button className="ghost" disabled={working} onClick={()=>extend(m)}>Extend</button>}
+                <button className="ghost" disabled={working} onClick={()=>onUnassign(m.divisionId)}>{m.expiresAt ? 'Revoke' : 'Remove'}</button>
+              </div>
+            );
+          })}
+          {memberships.length===0 && <span className="small">— none —</span>}
           <div className="hstack">
-            <select value={selectedDiv || ''} onChange={e=>setSelectedDiv(e.target.value)}>
+            <select value={selectedDiv} onChange={e=>setSelectedDiv(e.target.value)}>
               <option value="">Select division…</option>
               {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
             </select>
-            <button className="ghost" onClick={()=>selectedDiv && onAssign(selectedDiv)} disabled={!selectedDiv || working}>Assign</button>
+            <select value={membershipRole} onChange={e=>setMembershipRole(e.target.value)} style={{width:'auto'}}>
+              {MEMBERSHIP_ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <button className="ghost" onClick={assignNew} disabled={!selectedDiv || working}>Assign</button>
           </div>
+          {selectedDiv && (
+            <div className="hstack small">
+              <label style={{width:'auto'}}>From <input type="datetime-local" value={startsAt} onChange={e=>setStartsAt(e.target.value)} /></label>
+              <label style={{width:'auto'}}>Until <input type="datetime-local" value={expiresAt} onChange={e=>setExpiresAt(e.target.value)} /></label>
+              <span>(optional: temporary access)</span>
+            </div>
+          )}
         </div>
       </td>
       <td>
-        <button onClick={onUnassign} disabled={working}>Unassign</button>
+        <button onClick={()=>onUnassign()} disabled={working || memberships.length===0}>Unassign all</button>
       </td>
     </tr>
   );
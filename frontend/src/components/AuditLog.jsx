@@ -0,0 +1,122 @@
+// src/components/AuditLog.jsx
+// ------------------------------------------------------------------
+// Admin-only view of the audit trail (GET /api/audit).
+// Filters: action, outcome, actor email text, date range. Paged.
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+const ACTIONS = ['credential.list', 'credential.create', 'credential.update', 'credential.history', 'credential.reveal',
+  'credential.restore', 'credential.delete', 'credential.trash', 'credential.undelete', 'credential.purge',
+  'credential.reencrypt', 'user.assign', 'user.unassign', 'user.setRole',
+  'structure.createOu', 'structure.renameOu', 'structure.deleteOu', 'structure.createDivision',
+  'structure.renameDivision', 'structure.deleteDivision', 'structure.moveDivision',
+  'user.resetPassword', 'twoFactor.enable', 'twoFactor.disable', 'twoFactor.recoveryCodes', 'settings.twoFactor',
+  'login.locked', 'lockout.clear', 'division.generatorRules', 'division.rotation', 'report.staleCredentials',
+  'credential.import', 'credential.export', 'credential.search', 'user.bulk',
+  'serviceAccount.create', 'serviceAccount.delete', 'apiKey.create', 'apiKey.revoke', 'user.create', 'structure.seed',
+  'accessRequest.create', 'accessRequest.cancel', 'accessRequest.approve', 'accessRequest.deny', 'user.grantExpired'];
+
+const OUTCOMES = ['success', 'denied', 'failed', 'error'];
+const LIMIT = 25;
+
+export default function AuditLog({ token }){
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ action:'', outcome:'', actor:'', from:'', to:'' });
+  const [toast, setToast] = useState('');
+
+  const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
+
+  async function load(p = page){
+    try{
+      // Only send filters that are set
+      const params = { page: p, limit: LIMIT };
+      for(const [k, v] of Object.entries(filters)) if(v) params[k] = v;
+      const { data } = await api.get('/audit', { params, headers:{ Authorization:`Bearer ${token}` } });
+      setItems(data.items || []);
+      setTotal(data.total || 0);
+      setPage(data.page || p);
+    }catch(e){
+      console.error(e);
+      show(e.response?.data?.error || 'Failed to load audit log');
+    }
+  }
+
+  useEffect(()=>{ load(1); }, []);
+
+  const pages = Math.max(1, Math.ceil(total / LIMIT));
+  const set = (k)=> (e)=> setFilters({ ...filters, [k]: e.target.value });
+
+  return (
+    <div className="card vstack">
+      <div className="hstack" style={{justifyContent:'space-between'}}>
+        <h3 style={{margin:0}}>Audit Log</h3>
+        <span className="badge">{total} entries</span>
+      </div>
+
+      <div className="hstack">
+        <select value={filters.action} onChange={set('action')}>
+          <option value="">Any action</option>
+          {ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <select value={filters.outcome} onChange={set('outcome')}>
+          <option value="">Any outcome</option>
+          {OUTCOMES.map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+        <input placeholder="Actor email" value={filters.actor} onChange={set('actor')} />
+      </div>
+      <div className="hstack">
+        <input type="date" value={filters.from} onChange={set('from')} title="From" />
+        <input type="date" value={filters.to} onChange={set('to')} title="To" />
+        <button onClick={()=>load(1)}>Filter</button>
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Actor</th>
+            <th>Action</th>
+            <th>Target</th>
+            <th>Outcome</th>
+            <th>IP</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(a => (
+            <tr key={a.id}>
+              <td className="small">{new Date(a.at).toLocaleString()}</td>
+              <td>{a.actorEmail || '—'}</td>
+              <td>{a.action}</td>
+              <td className="small">
+                {a.targetDivision && <div>division {a.targetDivision}</div>}
+                {a.targetUser && <div>user {a.targetUser}</div>}
+                {a.details && <div title={JSON.stringify(a.details)}>{summarize(a.details)}</div>}
+              </td>
+              <td><span className="badge">{a.outcome} ({a.status})</span></td>
+              <td className="small">{a.ip}</td>
+            </tr>
+          ))}
+          {items.length===0 && <tr><td colSpan="6" className="small">No audit entries</td></tr>}
+        </tbody>
+      </table>
+
+      <div className="hstack" style={{justifyContent:'flex-end'}}>
+        <button className="ghost" onClick={()=>load(page - 1)} disabled={page <= 1}>Prev</button>
+        <span className="small">Page {page} / {pages}</span>
+        <button className="ghost" onClick={()=>load(page + 1)} disabled={page >= pages}>Next</button>
+      </div>
+
+      {toast && <div className="toast">{toast}</div>}
+    </div>
+  );
+}
+
+// Short "key: value" list for the details column
+function summarize(details){
+  return Object.entries(details)
+    .map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(', ') : v}`)
+    .join(' · ');
+}
@@ -1,71 +1,421 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { api } from '../api';
+import { can } from '../permissions';
+import ImportExport from './ImportExport';
 
-export default function Credentials({ token, role }){
+const MASK = '••••••••';
+const REVEAL_SECONDS = 20;          // a revealed password is masked again after this
+const CLIPBOARD_CLEAR_SECONDS = 30; // a copied password is wiped from the clipboard after this
+const SEARCH_PAGE_SIZE = 10;
+const ROTATION_BADGES = { overdue: ['Overdue', '#fee2e2', '#991b1b'], soon: ['Due soon', '#fef9c3', '#854d0e'], ok: ['OK', '#dcfce7', '#166534'] };
+
+export default function Credentials({ token, role, perms }){
   const [divisions, setDivisions] = useState([]);
   const [divisionId, setDivisionId] = useState('');
   const [credentials, setCredentials] = useState([]);
-  const [adding, setAdding] = useState({ system:'', username:'', password:'' });
+  const [adding, setAdding] = useState({ system:'', username:'', password:'', tags:'', notes:'' });
+  const [history, setHistory] = useState(null); // { credential, history:[...] } for the side panel
+  const [trash, setTrash] = useState(null);     // { retentionDays, items:[...] } when the trash is open
+  const [revealed, setRevealed] = useState({}); // "credId" or "credId:versionId" -> password, while shown
+  const [editing, setEditing] = useState(null);   // { credId, password, rotationIntervalDays, tags, notes } while a credential is being changed
+  const [divisionRotation, setDivisionRotation] = useState(null); // division's default rotation interval (days)
+  const [rules, setRules] = useState(null);       // generator rules editor, when open
+  const [transfer, setTransfer] = useState(false); // import / export panel open
+  const [highlight, setHighlight] = useState(null); // credential id picked from the search results
+  const highlightRef = useRef(null);
+  // Hide what the policy doesn't allow in the selected division (backend still enforces it)
+  const target = { divisionId, ouId: divisions.find(d => d.id === divisionId)?.ouId };
+  const canAdd = can(perms, 'credential:create', target);
+  const canManage = can(perms, 'credential:update', target);
+  const canDelete = can(perms, 'credential:delete', target);
+  const canTrash = can(perms, 'credential:trash', target);
+  const canRestoreVersion = can(perms, 'credential:restoreVersion', target);
+  const canReveal = can(perms, 'credential:reveal', target);
+  const canGenerate = can(perms, 'credential:generate', target);
+  const canConfigure = can(perms, 'division:configure', target);
+  const canImport = can(perms, 'credential:import', target);
+  const canExport = can(perms, 'credential:export', target);
   const [toast, setToast] = useState('');
   const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
 
-  useEffect(()=>{(async ()=>{
+  useEffect(()=>{ if(!perms) return; (async ()=>{
     try{
       const { data } = await api.get('/dev/divisions', { headers:{ Authorization:`Bearer ${token}` }});
-      const flat = []; (data.items||[]).forEach(ou => (ou.divisions||[]).forEach(d => flat.push({ id:d.divisionId, name:`${ou.ouName} / ${d.divisionName}` })));
-      setDivisions(flat); if(flat.length && !divisionId) setDivisionId(flat[0].id);
+      const flat = []; (data.items||[]).forEach(ou => (ou.divisions||[]).forEach(d => flat.push({ id:String(d.divisionId), ouId:String(ou.ouId), name:`${ou.ouName} / ${d.divisionName}` })));
+      // Only list divisions the user may read
+      const visible = flat.filter(d => can(perms, 'credential:read', { divisionId: d.id, ouId: d.ouId }));
+      setDivisions(visible);
+      if(!visible.some(d => d.id === divisionId)) setDivisionId(visible.length ? visible[0].id : '');
     }catch(e){ console.error(e); show('Failed to load divisions'); }
-  })();}, []);
+  })();}, [perms]);
 
-  useEffect(()=>{ if(!divisionId) return; (async ()=>{
+  useEffect(()=>{ setHistory(null); setTrash(null); setRevealed({}); setEditing(null); setRules(null); setTransfer(false); if(!divisionId) return; (async ()=>{
     try{ const { data } = await api.get(`/divisions/${divisionId}/credentials`, { headers:{ Authorization:`Bearer ${token}` }});
       setCredentials(data.credentials||[]);
+      setDivisionRotation(data.rotationIntervalDays);
     }catch(e){ console.error(e); show('Failed to load credentials'); }
   })();}, [divisionId, token]);
 
+  // Scroll to the credential picked from the search once its division has loaded
+  useEffect(()=>{ if(highlightRef.current) highlightRef.current.scrollIntoView({ behavior:'smooth', block:'center' }); }, [credentials, highlight]);
+
+  function jumpTo(result){
+    setHighlight(String(result.credential._id));
+    setDivisionId(String(result.divisionId));
+    setTimeout(()=>setHighlight(null), 4000);
+  }
+
   async function addCredential(){
     if(!adding.system || !adding.username || !adding.password) return show('Please fill in all fields');
     try{
       const { data } = await api.post(`/divisions/${divisionId}/credentials`, adding, { headers:{ Authorization:`Bearer ${token}` }});
-      setCredentials(data.credentials||[]); setAdding({system:'',username:'',password:''}); show('Credential added');
+      setCredentials(data.credentials||[]); setAdding({system:'',username:'',password:'',tags:'',notes:''}); show('Credential added');
     }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to add credential'); }
   }
   async function updateCredential(credId, patch){
     try{
       const { data } = await api.put(`/divisions/${divisionId}/credentials/${credId}`, patch, { headers:{ Authorization:`Bearer ${token}` }});
-      setCredentials((credentials||[]).map(c => c._id===credId ? data.credential : c)); show('Credential updated');
+      setCredentials((credentials||[]).map(c => c._id===credId ? data.credential : c)); hide(credId); setEditing(null); show('Credential updated');
+      if(history?.credential._id===credId) loadHistory(credId);
     }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to update (requires management role)'); }
   }
+  // New random password using the division's generator rules
+  async function generate(){
+    try{
+      const { data } = await api.post(`/divisions/${divisionId}/credentials/generate`, {}, { headers:{ Authorization:`Bearer ${token}` }});
+      return data.password;
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to generate password'); return null; }
+  }
+  async function openRules(){
+    try{
+      const { data } = await api.get(`/divisions/${divisionId}/generator-rules`, { headers:{ Authorization:`Bearer ${token}` }});
+      setRules(data);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to load generator rules'); }
+  }
+  async function saveDivisionRotation(days){
+    try{
+      const { data } = await api.put(`/divisions/${divisionId}/rotation`, { rotationIntervalDays: days || null }, { headers:{ Authorization:`Bearer ${token}` }});
+      setDivisionRotation(data.rotationIntervalDays); show(data.message);
+      // Rotation status of every credential may have changed
+      const res = await api.get(`/divisions/${divisionId}/credentials`, { headers:{ Authorization:`Bearer ${token}` }});
+      setCredentials(res.data.credentials||[]);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to save rotation interval'); }
+  }
+  async function saveRules(body){
+    try{
+      const { data } = await api.put(`/divisions/${divisionId}/generator-rules`, body, { headers:{ Authorization:`Bearer ${token}` }});
+      setRules({ ...rules, rules: data.rules, custom: data.custom }); show(data.message);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to save generator rules'); }
+  }
+
+  // Passwords are fetched one at a time from the (audited) reveal endpoint
+  async function fetchSecret(credId, versionId){
+    const { data } = await api.post(`/divisions/${divisionId}/credentials/${credId}/reveal`, versionId ? { versionId } : {}, { headers:{ Authorization:`Bearer ${token}` }});
+    return data.password;
+  }
+  const secretKey = (credId, versionId)=> versionId ? `${credId}:${versionId}` : credId;
+  function hide(key){
+    setRevealed(r => { const next = { ...r }; delete next[key]; return next; });
+  }
+  async function reveal(credId, versionId){
+    const key = secretKey(credId, versionId);
+    try{
+      const password = await fetchSecret(credId, versionId);
+      setRevealed(r => ({ ...r, [key]: password }));
+      setTimeout(()=>hide(key), REVEAL_SECONDS * 1000);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to reveal password'); }
+  }
+  async function copy(credId, versionId){
+    try{
+      const password = revealed[secretKey(credId, versionId)] ?? await fetchSecret(credId, versionId);
+      await navigator.clipboard.writeText(password);
+      show(`Copied, clipboard clears in ${CLIPBOARD_CLEAR_SECONDS}s`);
+      setTimeout(async ()=>{
+        // Leave the clipboard alone if something else was copied meanwhile (when we may read it)
+        try{ if(await navigator.clipboard.readText() !== password) return; }catch(e){ /* no read permission: clear anyway */ }
+        try{ await navigator.clipboard.writeText(''); }catch(e){ console.error(e); }
+      }, CLIPBOARD_CLEAR_SECONDS * 1000);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to copy password'); }
+  }
+  const secretProps = (credId, versionId)=>({
+    value: revealed[secretKey(credId, versionId)],
+    canReveal,
+    onReveal: ()=>reveal(credId, versionId),
+    onHide: ()=>hide(secretKey(credId, versionId)),
+    onCopy: ()=>copy(credId, versionId)
+  });
+
+  async function loadHistory(credId){
+    try{
+      const { data } = await api.get(`/divisions/${divisionId}/credentials/${credId}/history`, { headers:{ Authorization:`Bearer ${token}` }});
+      setHistory(data);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to load history'); }
+  }
+  async function restoreVersion(credId, versionId){
+    try{
+      const { data } = await api.post(`/divisions/${divisionId}/credentials/${credId}/history/${versionId}/restore`, {}, { headers:{ Authorization:`Bearer ${token}` }});
+      setCredentials((credentials||[]).map(c => c._id===credId ? data.credential : c)); hide(credId); show(data.message);
+      loadHistory(credId);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to restore (requires management role)'); }
+  }
+
+  async function deleteCredential(c){
+    if(!window.confirm(`Move ${c.system} / ${c.username} to the trash?`)) return;
+    try{
+      await api.delete(`/divisions/${divisionId}/credentials/${c._id}`, { headers:{ Authorization:`Bearer ${token}` }});
+      setCredentials((credentials||[]).filter(x => x._id!==c._id)); show('Credential moved to trash');
+      if(history?.credential._id===c._id) setHistory(null);
+      if(trash) loadTrash();
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to delete (requires management role)'); }
+  }
+  async function loadTrash(){
+    try{
+      const { data } = await api.get(`/divisions/${divisionId}/trash`, { headers:{ Authorization:`Bearer ${token}` }});
+      setTrash(data);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to load trash'); }
+  }
+  async function restoreFromTrash(credId){
+    try{
+      const { data } = await api.post(`/divisions/${divisionId}/trash/${credId}/restore`, {}, { headers:{ Authorization:`Bearer ${token}` }});
+      setCredentials([...(credentials||[]), data.credential]); show('Credential restored');
+      loadTrash();
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to restore'); }
+  }
+  async function purge(credId){
+    if(!window.confirm('Permanently delete this credential? This cannot be undone.')) return;
+    try{
+      await api.delete(`/divisions/${divisionId}/trash/${credId}`, { headers:{ Authorization:`Bearer ${token}` }});
+      show('Credential purged'); loadTrash();
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Failed to purge'); }
+  }
 
   return (<div className="card vstack">
     <div className="hstack" style={{justifyContent:'space-between'}}>
       <h3 style={{margin:0}}>Division Credentials</h3>
-      <span className="badge">Role: {role}</span>
+      <div className="hstack" style={{gap:8, width:'auto'}}>
+        {(canImport || canExport) && <button className="ghost" onClick={()=>setTransfer(!transfer)}>{transfer ? 'Hide import / export' : 'Import / export'}</button>}
+        {canConfigure && <button className="ghost" onClick={()=>rules ? setRules(null) : openRules()}>{rules ? 'Hide division settings' : 'Division settings'}</button>}
+        {canTrash && <button className="ghost" onClick={()=>trash ? setTrash(null) : loadTrash()}>{trash ? 'Hide trash' : 'Trash'}</button>}
+        <span className="badge">Role: {role}</span>
+      </div>
     </div>
+    <CredentialSearch token={token} onPick={jumpTo} show={show} />
     <div className="hstack">
       <select value={divisionId} onChange={e=>setDivisionId(e.target.value)}>
         {divisions.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
       </select>
     </div>
-    <table><thead><tr><th style={{width:'35%'}}>System</th><th style={{width:'25%'}}>Username</th><th style={{width:'25%'}}>Password</th><th style={{width:'15%'}}>Actions</th></tr></thead>
+    <div className="hstack" style={{alignItems:'flex-start'}}>
+    <table style={{flex:1}}><thead><tr><th style={{width:'28%'}}>System</th><th style={{width:'20%'}}>Username</th><th style={{width:'22%'}}>Password</th><th style={{width:'15%'}}>Rotation</th><th style={{width:'15%'}}>Actions</th></tr></thead>
       <tbody>
-        {(credentials||[]).map(c => <tr key={c._id}>
-          <td>{c.system}</td><td>{c.username}</td><td>{c.password}</td>
-          <td><button className="ghost" onClick={()=>{
-            const np = prompt('New password for '+c.username, c.password||''); if(np!==null) updateCredential(c._id, { password: np });
-          }}>Update</button></td></tr>)}
-        {(!credentials||credentials.length===0) && <tr><td colSpan="4" className="small">No credentials yet</td></tr>}
+        {(credentials||[]).map(c => <React.Fragment key={c._id}><tr ref={highlight===c._id ? highlightRef : undefined}
+            style={highlight===c._id ? {background:'#e0f2fe'} : c.rotation?.status==='overdue' ? {background:'#fef2f2'} : undefined}>
+          <td><div>{c.system}</div>
+            {(c.tags||[]).length > 0 && <div className="hstack" style={{gap:4, flexWrap:'wrap'}}>{c.tags.map(t => <span key={t} className="badge">{t}</span>)}</div>}
+            {c.notes && <div className="small" style={{whiteSpace:'pre-wrap'}}>{c.notes}</div>}</td><td>{c.username}</td><td><Secret {...secretProps(c._id)} /></td>
+          <td><RotationBadge credential={c} /></td>
+          <td><div className="hstack" style={{gap:6}}>{canManage && <button className="ghost" onClick={()=>setEditing({ credId:c._id, password:'', rotationIntervalDays: c.rotationIntervalDays ?? '', tags:(c.tags||[]).join(', '), notes:c.notes||'' })}>Update</button>}
+          <button className="ghost" onClick={()=>loadHistory(c._id)}>History</button>
+          {canDelete && <button className="ghost" onClick={()=>deleteCredential(c)}>Delete</button>}</div></td></tr>
+          {editing?.credId===c._id && <tr><td colSpan="5"><div className="hstack">
+            <input placeholder={'New password for '+c.username} value={editing.password} onChange={e=>setEditing({ ...editing, password:e.target.value })} />
+            {canGenerate && <button className="ghost" onClick={async ()=>{ const p = await generate(); if(p) setEditing({ ...editing, password:p }); }}>Generate</button>}
+            <input type="number" min="1" style={{width:150}} placeholder={divisionRotation ? `Every ${divisionRotation} days (division)` : 'Rotate every … days'}
+                   value={editing.rotationIntervalDays} onChange={e=>setEditing({ ...editing, rotationIntervalDays:e.target.value })} />
+            <input placeholder="Tags (comma-separated)" value={editing.tags} onChange={e=>setEditing({ ...editing, tags:e.target.value })} />
+            <input placeholder="Notes" value={editing.notes} onChange={e=>setEditing({ ...editing, notes:e.target.value })} />
+            <button onClick={()=>{
+              const patch = {};
+              if(editing.password) patch.password = editing.password;
+              if(String(editing.rotationIntervalDays) !== String(c.rotationIntervalDays ?? '')) patch.rotationIntervalDays = editing.rotationIntervalDays === '' ? null : Number(editing.rotationIntervalDays);
+              if(editing.tags !== (c.tags||[]).join(', ')) patch.tags = editing.tags;
+              if(editing.notes !== (c.notes||'')) patch.notes = editing.notes;
+              if(Object.keys(patch).length) updateCredential(c._id, patch); else setEditing(null);
+            }}>Save</button>
+            <button className="ghost" onClick={()=>setEditing(null)}>Cancel</button>
+          </div></td></tr>}
+        </React.Fragment>)}
+        {(!credentials||credentials.length===0) && <tr><td colSpan="5" className="small">No credentials yet</td></tr>}
       </tbody></table>
+    {history && <HistoryPanel data={history} canRestore={canRestoreVersion} secretProps={secretProps}
+      onRestore={(versionId)=>restoreVersion(history.credential._id, versionId)}
+      onClose={()=>setHistory(null)} />}
+    </div>
+
+    {transfer && <ImportExport token={token} divisionId={divisionId} canImport={canImport} canExport={canExport}
+      onImported={(list)=>setCredentials(list)} show={show} />}
+    {rules && <GeneratorRulesPanel key={JSON.stringify(rules.rules)} data={rules} onSave={saveRules} />}
+    {rules && <RotationPanel key={divisionRotation ?? 'none'} days={divisionRotation} onSave={saveDivisionRotation} />}
 
-    <div className="card vstack" style={{background:'#fafafa'}}>
+    {trash && <TrashPanel data={trash} onRestore={restoreFromTrash} onPurge={purge} />}
+
+    {canAdd && <div className="card vstack" style={{background:'#fafafa'}}>
       <div className="hstack">
         <input placeholder="System" value={adding.system} onChange={e=>setAdding({...adding, system:e.target.value})} />
         <input placeholder="Username" value={adding.username} onChange={e=>setAdding({...adding, username:e.target.value})} />
         <input placeholder="Password" value={adding.password} onChange={e=>setAdding({...adding, password:e.target.value})} />
+        {canGenerate && <button className="ghost" onClick={async ()=>{ const p = await generate(); if(p) setAdding({...adding, password:p}); }}>Generate</button>}
         <button onClick={addCredential}>Add</button>
       </div>
-      <span className="small">Normal can add; update requires management/admin.</span>
-    </div>
+      <div className="hstack">
+        <input placeholder="Tags (comma-separated, optional)" value={adding.tags} onChange={e=>setAdding({...adding, tags:e.target.value})} />
+        <input placeholder="Notes (optional)" value={adding.notes} onChange={e=>setAdding({...adding, notes:e.target.value})} />
+      </div>
+      <span className="small">Actions you can't perform in this division are hidden.</span>
+    </div>}
     {toast && <div className="toast">{toast}</div>}
   </div>);
 }
+
+// Search box over every readable division; picking a result opens its division
+function CredentialSearch({ token, onPick, show }){
+  const [q, setQ] = useState('');
+  const [sort, setSort] = useState('system');
+  const [results, setResults] = useState(null); // { items, page, limit, total }
+
+  async function search(page = 1, by = sort){
+    if(q.trim().length < 2) return show('Type at least 2 characters');
+    try{
+      const { data } = await api.get('/credentials/search', { params:{ q:q.trim(), page, limit:SEARCH_PAGE_SIZE, sort:by, order: by==='updatedAt' ? 'desc' : 'asc' }, headers:{ Authorization:`Bearer ${token}` }});
+      setResults(data);
+    }catch(e){ console.error(e); show(e.response?.data?.error||'Search failed'); }
+  }
+  const pages = results ? Math.max(1, Math.ceil(results.total / results.limit)) : 1;
+
+  return (<div className="vstack" style={{gap:6}}>
+    <div className="hstack">
+      <input placeholder="Search all divisions: system, username, tag or note" value={q}
+             onChange={e=>setQ(e.target.value)} onKeyDown={e=>{ if(e.key==='Enter') search(); }} />
+      <select value={sort} style={{width:160}} onChange={e=>{ setSort(e.target.value); if(results) search(1, e.target.value); }}>
+        <option value="system">Sort by system</option>
+        <option value="username">Sort by username</option>
+        <option value="division">Sort by division</option>
+        <option value="updatedAt">Recently updated</option>
+      </select>
+      <button className="ghost" onClick={()=>search()}>Search</button>
+      {results && <button className="ghost" onClick={()=>setResults(null)}>Clear</button>}
+    </div>
+    {results && <div className="card vstack" style={{margin:0, background:'#fafafa'}}>
+      <span className="small">{results.total} match{results.total===1 ? '' : 'es'}</span>
+      {results.items.map(r => <div key={r.credential._id} className="hstack" style={{justifyContent:'space-between', cursor:'pointer'}} onClick={()=>{ onPick(r); setResults(null); }}>
+        <span><strong>{r.credential.system}</strong> · {r.credential.username}
+          {(r.credential.tags||[]).map(t => <span key={t} className="badge" style={{marginLeft:4}}>{t}</span>)}</span>
+        <span className="small">{r.ouName} / {r.divisionName}</span>
+      </div>)}
+      {pages > 1 && <div className="hstack">
+        <button className="ghost" disabled={results.page<=1} onClick={()=>search(results.page-1)}>Previous</button>
+        <span className="small">Page {results.page} of {pages}</span>
+        <button className="ghost" disabled={results.page>=pages} onClick={()=>search(results.page+1)}>Next</button>
+      </div>}
+    </div>}
+  </div>);
+}
+
+// Overdue / due soon / OK, with the due date and last rotation on hover
+function RotationBadge({ credential }){
+  const { status, dueAt, intervalDays } = credential.rotation || {};
+  const last = credential.lastRotatedAt ? new Date(credential.lastRotatedAt).toLocaleDateString() : 'never';
+  if(!ROTATION_BADGES[status]) return <span className="small" title={`Last rotated: ${last}`}>No schedule</span>;
+  const [label, bg, fg] = ROTATION_BADGES[status];
+  return <span className="badge" style={{background:bg, color:fg}}
+    title={`Every ${intervalDays} days · due ${new Date(dueAt).toLocaleDateString()} · last rotated: ${last}`}>{label}</span>;
+}
+
+// Masked password with reveal / hide and copy buttons
+function Secret({ value, canReveal, onReveal, onHide, onCopy }){
+  if(!canReveal) return <span className="small">{MASK}</span>;
+  return (<div className="hstack" style={{gap:4}}>
+    <code>{value ?? MASK}</code>
+    <button className="ghost" onClick={value === undefined ? onReveal : onHide}>{value === undefined ? 'Reveal' : 'Hide'}</button>
+    <button className="ghost" onClick={onCopy}>Copy</button>
+  </div>);
+}
+
+// Side panel: current version + earlier versions of one credential
+function HistoryPanel({ data, canRestore, secretProps, onRestore, onClose }){
+  const { credential, history } = data;
+  const by = (u)=> u ? (u.name || u.email || u.id) : 'unknown';
+  return (<div className="card vstack" style={{width:280, margin:0, background:'#fafafa'}}>
+    <div className="hstack" style={{justifyContent:'space-between'}}>
+      <strong>{credential.system} history</strong>
+      <button className="ghost" onClick={onClose}>Close</button>
+    </div>
+    <div className="vstack" style={{gap:4}}>
+      <span className="badge">v{credential.version} (current)</span>
+      <span className="small">{credential.username}</span>
+      <Secret {...secretProps(credential._id)} />
+      <span className="small">by {by(credential.updatedBy)}{credential.updatedAt && ` · ${new Date(credential.updatedAt).toLocaleString()}`}</span>
+    </div>
+    {history.map(v => <div key={v.id} className="vstack" style={{gap:4, borderTop:'1px solid var(--border)', paddingTop:8}}>
+      <span className="badge">v{v.version}</span>
+      <span className="small">{v.system} · {v.username}</span>
+      <Secret {...secretProps(credential._id, v.id)} />
+      <span className="small">replaced by {by(v.replacedBy)} · {new Date(v.replacedAt).toLocaleString()}</span>
+      {canRestore && <button className="ghost" onClick={()=>onRestore(v.id)}>Restore v{v.version}</button>}
+    </div>)}
+    {history.length===0 && <span className="small">No earlier versions</span>}
+  </div>);
+}
+
+// Division defaults for the password generator
+function GeneratorRulesPanel({ data, onSave }){
+  const [draft, setDraft] = useState(data.rules);
+  const toggle = (k)=> (e)=> setDraft({ ...draft, [k]: e.target.checked });
+  return (<div className="card vstack" style={{margin:0, background:'#fafafa'}}>
+    <div className="hstack" style={{justifyContent:'space-between'}}>
+      <strong>Password generator rules</strong>
+      <span className="small">{data.custom ? 'Custom for this division' : 'Using the defaults'}</span>
+    </div>
+    <div className="hstack">
+      <label className="small" style={{width:'auto'}}>Length
+        <input type="number" min={data.limits.minLength} max={data.limits.maxLength} value={draft.length}
+               onChange={e=>setDraft({ ...draft, length: Number(e.target.value) })} style={{width:80, marginLeft:6}} />
+      </label>
+      {['lower', 'upper', 'digits', 'symbols', 'excludeAmbiguous'].map(k => <label key={k} className="small" style={{width:'auto'}}>
+        <input type="checkbox" style={{width:'auto'}} checked={!!draft[k]} onChange={toggle(k)} /> {k === 'excludeAmbiguous' ? 'no look-alikes (0/O, 1/l)' : k}
+      </label>)}
+    </div>
+    <div className="hstack">
+      <button onClick={()=>onSave(draft)}>Save</button>
+      {data.custom && <button className="ghost" onClick={()=>onSave({ reset:true })}>Reset to defaults</button>}
+    </div>
+  </div>);
+}
+
+// Division-wide rotation interval (credentials can override it)
+function RotationPanel({ days, onSave }){
+  const [draft, setDraft] = useState(days ?? '');
+  return (<div className="card vstack" style={{margin:0, background:'#fafafa'}}>
+    <strong>Rotation schedule</strong>
+    <div className="hstack">
+      <label className="small" style={{width:'auto'}}>Rotate passwords every
+        <input type="number" min="1" value={draft} onChange={e=>setDraft(e.target.value)} style={{width:80, margin:'0 6px'}} />days
+      </label>
+      <button onClick={()=>onSave(draft === '' ? null : Number(draft))}>Save</button>
+      <span className="small">Leave empty for no schedule.</span>
+    </div>
+  </div>);
+}
+
+// Deleted credentials of the division; purge unlocks after the retention period
+function TrashPanel({ data, onRestore, onPurge }){
+  const now = new Date();
+  return (<div className="card vstack" style={{margin:0, background:'#fafafa'}}>
+    <div className="hstack" style={{justifyContent:'space-between'}}>
+      <strong>Trash</strong>
+      <span className="small">Kept for {data.retentionDays} days before it can be purged</span>
+    </div>
+    <table><thead><tr><th>System</th><th>Username</th><th>Deleted</th><th>Actions</th></tr></thead>
+      <tbody>
+        {data.items.map(t => <tr key={t._id}>
+          <td>{t.system}</td><td>{t.username}</td>
+          <td className="small">{new Date(t.deletedAt).toLocaleString()}</td>
+          <td><div className="hstack" style={{gap:6}}>
+            <button className="ghost" onClick={()=>onRestore(t._id)}>Restore</button>
+            <button className="ghost" onClick={()=>onPurge(t._id)} disabled={new Date(t.purgeableAt) > now}
+              title={`Can be purged after ${new Date(t.purgeableAt).toLocaleDateString()}`}>Purge</button>
+          </div></td></tr>)}
+        {data.items.length===0 && <tr><td colSpan="4" className="small">Trash is empty</td></tr>}
+      </tbody></table>
+  </div>);
+}
@@ -0,0 +1,126 @@
+// src/components/ImportExport.jsx
+// ------------------------------------------------------------------
+// Import / export of one division's credentials (inside Credentials,
+// management/admin by default).
+// Import: pick a CSV (or an encrypted bundle), preview it with the
+// column mapping and duplicate flags, then import. Export: CSV or an
+// encrypted JSON bundle that can be imported elsewhere.
+// ------------------------------------------------------------------
+import React, { useState } from 'react';
+import { api } from '../api';
+
+const FIELDS = [['system', 'System'], ['username', 'Username'], ['password', 'Password'], ['rotationIntervalDays', 'Rotation days (optional)']];
+const STATUS_LABELS = { new:'New', duplicate:'Already exists', repeated:'Repeated in file', invalid:'Invalid' };
+
+// Save a response body as a file
+function download(data, filename, type){
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ImportExport({ token, divisionId, canImport, canExport, onImported, show }){
+  const [source, setSource] = useState(null);     // { csv } or { bundle }, from the picked file
+  const [passphrase, setPassphrase] = useState('');
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [onDuplicate, setOnDuplicate] = useState('skip');
+  const [exportPass, setExportPass] = useState('');
+  const headers = { Authorization:`Bearer ${token}` };
+
+  const body = (m = mapping)=> source?.bundle ? { bundle: source.bundle, passphrase } : { csv: source?.csv, hasHeader, ...(m ? { mapping: m } : {}) };
+
+  async function pickFile(e){
+    const file = e.target.files[0]; if(!file) return;
+    const text = await file.text();
+    setPreview(null); setMapping(null);
+    if(file.name.endsWith('.json')){
+      try{ setSource({ bundle: JSON.parse(text) }); }catch(err){ show('That file is not valid JSON'); }
+    }else{
+      setSource({ csv: text });
+    }
+  }
+
+  async function loadPreview(m = mapping){
+    try{
+      const { data } = await api.post(`/divisions/${divisionId}/import/preview`, body(m), { headers });
+      setPreview(data); if(data.mapping) setMapping(data.mapping);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Preview failed'); }
+  }
+
+  function changeMapping(field, value){
+    const next = { ...mapping };
+    if(value === '') delete next[field]; else next[field] = Number(value);
+    setMapping(next); loadPreview(next);
+  }
+
+  async function runImport(){
+    try{
+      const { data } = await api.post(`/divisions/${divisionId}/import`, { ...body(), onDuplicate }, { headers });
+      show(data.message); onImported(data.credentials);
+      setSource(null); setPreview(null); setMapping(null);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Import failed'); }
+  }
+
+  async function runExport(format){
+    try{
+      const { data, headers: h } = await api.post(`/divisions/${divisionId}/export`, { format, passphrase: exportPass },
+        { headers, responseType: format === 'csv' ? 'text' : 'json' });
+      const name = /filename="([^"]+)"/.exec(h['content-disposition'] || '')?.[1] || `credentials.${format === 'csv' ? 'csv' : 'json'}`;
+      if(format === 'csv') download(data, name, 'text/csv');
+      else download(JSON.stringify(data, null, 2), name, 'application/json');
+      setExportPass('');
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Export failed'); }
+  }
+
+  return (<div className="card vstack" style={{margin:0, background:'#fafafa'}}>
+    <strong>Import / export</strong>
+
+    {canExport && <div className="hstack">
+      <button className="ghost" onClick={()=>runExport('csv')}>Export CSV</button>
+      <input type="password" placeholder="Bundle passphrase (8+ characters)" value={exportPass} onChange={e=>setExportPass(e.target.value)} />
+      <button className="ghost" disabled={exportPass.length < 8} onClick={()=>runExport('bundle')}>Export encrypted bundle</button>
+    </div>}
+    {canExport && <span className="small">CSV files contain the passwords in plain text. Cells starting with = + - @ get a leading ' so spreadsheets don't run them; use a bundle for an exact copy.</span>}
+
+    {canImport && <div className="vstack" style={{borderTop:'1px solid var(--border)', paddingTop:8}}>
+      <div className="hstack">
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={pickFile} />
+        {source?.csv !== undefined && <label className="small" style={{width:'auto'}}>
+          <input type="checkbox" style={{width:'auto'}} checked={hasHeader} onChange={e=>{ setHasHeader(e.target.checked); setMapping(null); setPreview(null); }} /> First row is a header
+        </label>}
+        {source?.bundle && <input type="password" placeholder="Bundle passphrase" value={passphrase} onChange={e=>setPassphrase(e.target.value)} />}
+        <button className="ghost" disabled={!source} onClick={()=>loadPreview()}>Preview</button>
+      </div>
+
+      {preview && <>
+        {preview.columns && <div className="hstack">
+          {FIELDS.map(([field, label]) => <label key={field} className="small" style={{width:'auto'}}>{label}
+            <select value={mapping?.[field] ?? ''} onChange={e=>changeMapping(field, e.target.value)} style={{marginLeft:6}}>
+              <option value="">—</option>
+              {preview.columns.map((c, i) => <option key={i} value={i}>{c}</option>)}
+            </select>
+          </label>)}
+        </div>}
+        {preview.source?.division && <span className="small">Bundle from {preview.source.division.ou} / {preview.source.division.name}{preview.source.exportedAt && `, exported ${new Date(preview.source.exportedAt).toLocaleString()}`}</span>}
+        <span className="small">{preview.summary.new} new · {preview.summary.duplicate} already exist · {preview.summary.repeated} repeated · {preview.summary.invalid} invalid</span>
+        <table><thead><tr><th>Line</th><th>System</th><th>Username</th><th>Status</th></tr></thead>
+          <tbody>
+            {preview.rows.map(r => <tr key={r.line} style={r.status==='new' ? undefined : {color:'var(--muted)'}}>
+              <td>{r.line}</td><td>{r.system}</td><td>{r.username}</td>
+              <td className="small">{STATUS_LABELS[r.status]}{r.error && `: ${r.error}`}</td>
+            </tr>)}
+          </tbody></table>
+        <div className="hstack">
+          <select value={onDuplicate} onChange={e=>setOnDuplicate(e.target.value)}>
+            <option value="skip">Skip existing system/username pairs</option>
+            <option value="overwrite">Overwrite existing passwords</option>
+          </select>
+          <button onClick={runImport}>Import</button>
+        </div>
+      </>}
+    </div>}
+  </div>);
+}
@@ -0,0 +1,51 @@
+// src/components/Lockouts.jsx
+// ------------------------------------------------------------------
+// Admin-only list of login lockouts (GET /api/admin/lockouts).
+// An account or IP is locked after too many failed logins; "Unlock"
+// clears it right away instead of waiting for the lock to run out.
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+export default function Lockouts({ token }){
+  const [items, setItems] = useState([]);
+  const [toast, setToast] = useState('');
+  const headers = { Authorization:`Bearer ${token}` };
+
+  const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
+
+  async function load(){
+    try{
+      const { data } = await api.get('/admin/lockouts', { headers });
+      setItems(data.items || []);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to load lockouts'); }
+  }
+  useEffect(()=>{ load(); }, []);
+
+  async function unlock(key){
+    try{
+      const { data } = await api.delete('/admin/lockouts', { headers, params:{ key } });
+      show(data.message); load();
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to clear lockout'); }
+  }
+
+  return (
+    <div className="card vstack">
+      <div className="hstack" style={{justifyContent:'space-between'}}>
+        <h3 style={{margin:0}}>Login Lockouts</h3>
+        <button className="ghost" onClick={load}>Refresh</button>
+      </div>
+      <table><thead><tr><th>Type</th><th>Account / IP</th><th>Locked until</th><th>Lockouts</th><th></th></tr></thead>
+        <tbody>
+          {items.map(l => <tr key={l.key}>
+            <td>{l.scope}</td><td>{l.value}</td>
+            <td className="small">{new Date(l.lockedUntil).toLocaleString()}</td>
+            <td>{l.lockCount}</td>
+            <td><button className="ghost" onClick={()=>unlock(l.key)}>Unlock</button></td>
+          </tr>)}
+          {items.length===0 && <tr><td colSpan="5" className="small">No active lockouts</td></tr>}
+        </tbody></table>
+      {toast && <div className="toast">{toast}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// src/components/PasswordStrength.jsx
+// ------------------------------------------------------------------
+// Live strength meter for the register / reset password forms.
+// Rules come from GET /api/password/policy; the backend still checks
+// them (plus the common-password list and reuse) on submit.
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+const CLASS_TESTS = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+const LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+const COLORS = ['#dc2626', '#f97316', '#eab308', '#22c55e', '#15803d'];
+
+// 0..4 from length and character variety; capped at "Weak" while a rule fails
+function score(password, policy){
+  if(!password) return 0;
+  const classes = CLASS_TESTS.filter(t => t.test(password)).length;
+  let s = Math.min(2, Math.floor(password.length / 6)) + Math.max(0, classes - 2);
+  if(/^(.)\1+$/.test(password)) s = 0; // one repeated character
+  if(policy && (password.length < policy.minLength || classes < policy.minClasses)) s = Math.min(s, 1);
+  return Math.max(0, Math.min(4, s));
+}
+
+export default function PasswordStrength({ password }){
+  const [policy, setPolicy] = useState(null);
+  useEffect(()=>{
+    api.get('/password/policy').then(({ data }) => setPolicy(data)).catch(e => console.error(e));
+  }, []);
+
+  if(!password) return null;
+  const s = score(password, policy);
+  const classes = CLASS_TESTS.filter(t => t.test(password)).length;
+  return (
+    <div className="vstack" style={{gap:4}}>
+      <div style={{height:6, borderRadius:3, background:'#e5e7eb'}}>
+        <div style={{height:6, borderRadius:3, width:`${(s + 1) * 20}%`, background:COLORS[s]}} />
+      </div>
+      <span className="small">
+        {LABELS[s]}
+        {policy && ` · ${password.length}/${policy.minLength} characters · ${classes}/${policy.minClasses} of ${policy.classes.join(', ')}`}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+// src/components/ServiceAccounts.jsx
+// ------------------------------------------------------------------
+// Admin-only screen for service accounts (inside AdminPanel).
+// Create / delete accounts, issue API keys scoped to divisions and
+// credential actions with an expiry, and revoke them. A new key is
+// shown once, right after it is issued; only its last characters
+// (the hint) are listed afterwards, with its last use.
+// Needs `apikey:manage` (gate happens in AdminPanel).
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+export default function ServiceAccounts({ token, options, show }){
+  const [accounts, setAccounts] = useState([]);
+  const [config, setConfig] = useState({ actions: [], maxDays: 365, defaultDays: 90 });
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [issued, setIssued] = useState(null); // { account, key } - the plain key, shown once
+  const [busy, setBusy] = useState(false);
+  const headers = { Authorization:`Bearer ${token}` };
+
+  async function load(){
+    try{
+      const { data } = await api.get('/service-accounts', { headers });
+      setAccounts(data.items || []);
+      setConfig({ actions: data.actions || [], maxDays: data.maxDays, defaultDays: data.defaultDays });
+    }catch(e){
+      console.error(e); show(e.response?.data?.error || 'Failed to load service accounts');
+    }
+  }
+
+  useEffect(()=>{ load(); }, [token]);
+
+  // Run one request, toast the result and reload the list
+  async function run(fn, okMsg, failMsg){
+    setBusy(true);
+    try{
+      await fn();
+      show(okMsg);
+      await load();
+      return true;
+    }catch(e){
+      console.error(e); show(e.response?.data?.error || failMsg);
+      return false;
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  const createAccount = ()=> name.trim() && run(async ()=>{
+    await api.post('/service-accounts', { name, description }, { headers });
+    setName(''); setDescription('');
+  }, 'Service account created', 'Create failed');
+
+  const deleteAccount = (a)=>{
+    if(window.confirm(`Delete service account "${a.name}"? Its keys stop working at once.`)) run(
+      ()=>api.delete(`/service-accounts/${a.id}`, { headers }), 'Service account deleted', 'Delete failed');
+  };
+
+  const issueKey = (a, body)=> run(async ()=>{
+    const { data } = await api.post(`/service-accounts/${a.id}/keys`, body, { headers });
+    setIssued({ account: a.name, key: data.key });
+  }, 'API key issued', 'Issue key failed');
+
+  const revokeKey = (a, k)=>{
+    if(window.confirm(`Revoke key …${k.hint}${k.label ? ` (${k.label})` : ''}?`)) run(
+      ()=>api.delete(`/service-accounts/${a.id}/keys/${k.id}`, { headers }), 'API key revoked', 'Revoke failed');
+  };
+
+  const divisionLabel = (id)=> options.find(o => o.value === id)?.label || id;
+
+  return (
+    <div className="card vstack" style={{background:'#fafafa', margin:0}}>
+      <h4 style={{margin:0}}>Service Accounts &amp; API Keys</h4>
+
+      {issued && (
+        <div className="vstack" style={{gap:6, border:'1px solid var(--border)', padding:8, background:'#fffbe6'}}>
+          <strong>New key for {issued.account} - copy it now, it won't be shown again</strong>
+          <code style={{wordBreak:'break-all'}}>{issued.key}</code>
+          <span className="small">Send it as <code>Authorization: ApiKey &lt;key&gt;</code></span>
+          <button className="ghost" style={{width:'auto'}} onClick={()=>setIssued(null)}>Done</button>
+        </div>
+      )}
+
+      {accounts.length === 0 && <p className="small">No service accounts yet.</p>}
+      {accounts.map(a => (
+        <div key={a.id} className="vstack" style={{gap:6, borderTop:'1px solid var(--border)', paddingTop:8}}>
+          <div className="hstack" style={{justifyContent:'space-between'}}>
+            <span><strong>{a.name}</strong>{a.description && <span className="small"> - {a.description}</span>}</span>
+            <button className="ghost" style={{width:'auto'}} disabled={busy} onClick={()=>deleteAccount(a)}>Delete</button>
+          </div>
+          {a.keys.length > 0 && (
+            <table>
+              <thead>
+                <tr><th>Key</th><th>Divisions</th><th>Actions</th><th>Expires</th><th>Last used</th><th></th></tr>
+              </thead>
+              <tbody>
+                {a.keys.map(k => (
+                  <tr key={k.id} style={k.status === 'active' ? {} : {opacity:0.6}}>
+                    <td className="small">…{k.hint}{k.label && <div>{k.label}</div>}</td>
+                    <td className="small">{k.divisions.map(divisionLabel).join(', ')}</td>
+                    <td className="small">{k.actions.map(x => x.replace('credential:', '')).join(', ')}</td>
+                    <td className="small">
+                      {k.status === 'revoked' ? 'revoked ' + new Date(k.revokedAt).toLocaleDateString()
+                        : (k.status === 'expired' ? 'expired ' : '') + new Date(k.expiresAt).toLocaleDateString()}
+                    </td>
+                    <td className="small">
+                      {k.lastUsedAt ? `${new Date(k.lastUsedAt).toLocaleString()} (${k.lastUsedIp || '?'})` : 'never'}
+                    </td>
+                    <td>
+                      {k.status === 'active' && <button className="ghost" disabled={busy} onClick={()=>revokeKey(a, k)}>Revoke</button>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <IssueKey busy={busy} options={options} config={config} onIssue={(body)=>issueKey(a, body)} />
+        </div>
+      ))}
+
+      <div className="hstack" style={{borderTop:'1px solid var(--border)', paddingTop:8}}>
+        <input placeholder="New service account name" value={name} onChange={e=>setName(e.target.value)} />
+        <input placeholder="Description (optional)" value={description} onChange={e=>setDescription(e.target.value)} />
+        <button disabled={busy || !name.trim()} onClick={createAccount}>Add account</button>
+      </div>
+    </div>
+  );
+}
+
+// Scope picker for a new key: divisions, actions, expiry and a label
+function IssueKey({ busy, options, config, onIssue }){
+  const [open, setOpen] = useState(false);
+  const [divisions, setDivisions] = useState([]);
+  const [actions, setActions] = useState(['credential:read']);
+  const [days, setDays] = useState('');
+  const [label, setLabel] = useState('');
+
+  const toggleAction = (a)=> setActions(list => list.includes(a) ? list.filter(x => x !== a) : [...list, a]);
+
+  async function submit(){
+    const body = { divisions, actions, ...(label.trim() ? { label: label.trim() } : {}) };
+    if(days) body.expiresInDays = Number(days);
+    if(await onIssue(body)){
+      setOpen(false); setDivisions([]); setActions(['credential:read']); setDays(''); setLabel('');
+    }
+  }
+
+  if(!open) return <button className="ghost" style={{width:'auto'}} disabled={busy} onClick={()=>setOpen(true)}>Issue key…</button>;
+  return (
+    <div className="vstack" style={{gap:6, paddingLeft:16}}>
+      <select multiple value={divisions} onChange={e=>setDivisions([...e.target.selectedOptions].map(o => o.value))}
+              title="Divisions the key may access (Ctrl/Cmd-click for several)" style={{minHeight:80}}>
+        {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+      </select>
+      <div className="hstack" style={{flexWrap:'wrap', gap:10}}>
+        {config.actions.map(a => (
+          <label key={a} className="small" style={{width:'auto'}}>
+            <input type="checkbox" checked={actions.includes(a)} onChange={()=>toggleAction(a)} /> {a.replace('credential:', '')}
+          </label>
+        ))}
+      </div>
+      <div className="hstack">
+        <input type="number" min={1} max={config.maxDays} placeholder={`Expires in days (default ${config.defaultDays})`}
+               value={days} onChange={e=>setDays(e.target.value)} />
+        <input placeholder="Label (optional)" maxLength={60} value={label} onChange={e=>setLabel(e.target.value)} />
+        <button disabled={busy || divisions.length === 0 || actions.length === 0} onClick={submit}>Issue</button>
+        <button className="ghost" disabled={busy} onClick={()=>setOpen(false)}>Cancel</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+// src/components/StaleReport.jsx
+// ------------------------------------------------------------------
+// Management view of credentials that need rotating, across every
+// division (GET /api/reports/stale-credentials): overdue, due soon
+// and never rotated since they were added.
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+
+const SECTIONS = [
+  ['overdue', 'Overdue', c => `${c.daysOverdue} days overdue`],
+  ['soon', 'Due soon', c => `due in ${c.daysLeft} days`],
+  ['neverRotated', 'Never rotated', c => c.intervalDays ? `every ${c.intervalDays} days` : 'no schedule']
+];
+
+export default function StaleReport({ token }){
+  const [report, setReport] = useState(null);
+  const [soonDays, setSoonDays] = useState('');
+  const [toast, setToast] = useState('');
+
+  const show = (m)=>{ setToast(m); setTimeout(()=>setToast(''), 2500); };
+
+  async function load(){
+    try{
+      const params = soonDays !== '' ? { soonDays } : {};
+      const { data } = await api.get('/reports/stale-credentials', { params, headers:{ Authorization:`Bearer ${token}` } });
+      setReport(data);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to load report'); }
+  }
+  useEffect(()=>{ load(); }, []);
+
+  return (
+    <div className="card vstack">
+      <div className="hstack" style={{justifyContent:'space-between'}}>
+        <h3 style={{margin:0}}>Credential Rotation</h3>
+        <div className="hstack" style={{width:'auto', gap:6}}>
+          <input type="number" min="0" placeholder={`Soon = ${report?.soonDays ?? 14} days`} value={soonDays}
+                 onChange={e=>setSoonDays(e.target.value)} style={{width:140}} />
+          <button className="ghost" onClick={load}>Refresh</button>
+        </div>
+      </div>
+
+      {report && SECTIONS.map(([key, title, note]) => (
+        <div key={key} className="vstack" style={{gap:4}}>
+          <strong>{title} ({report[key].length})</strong>
+          <table><thead><tr><th>Division</th><th>System</th><th>Username</th><th>Last rotated</th><th></th></tr></thead>
+            <tbody>
+              {report[key].map(c => <tr key={c.credentialId}>
+                <td>{c.ouName} / {c.divisionName}</td><td>{c.system}</td><td>{c.username}</td>
+                <td className="small">{c.lastRotatedAt ? new Date(c.lastRotatedAt).toLocaleDateString() : 'never'}</td>
+                <td className="small">{note(c)}</td>
+              </tr>)}
+              {report[key].length===0 && <tr><td colSpan="5" className="small">None</td></tr>}
+            </tbody></table>
+        </div>
+      ))}
+      {toast && <div className="toast">{toast}</div>}
+    </div>
+  );
+}
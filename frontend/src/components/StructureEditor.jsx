@@ -0,0 +1,131 @@
+// src/components/StructureEditor.jsx
+// ------------------------------------------------------------------
+// Admin-only editor for OUs and their divisions (inside AdminPanel).
+// Create / rename / delete OUs and divisions, move a division to
+// another OU. Deleting a division that still has credentials or users
+// needs a "migrate to" division; the backend refuses otherwise.
+// ------------------------------------------------------------------
+import React, { useState } from 'react';
+import { api } from '../api';
+
+export default function StructureEditor({ token, structure, onChanged, show }){
+  const [newOu, setNewOu] = useState('');
+  const [busy, setBusy] = useState(false);
+  const headers = { Authorization:`Bearer ${token}` };
+
+  // Run one request, toast the result and reload the structure
+  async function run(fn, okMsg, failMsg){
+    setBusy(true);
+    try{
+      await fn();
+      show(okMsg);
+      await onChanged();
+    }catch(e){
+      console.error(e); show(e.response?.data?.error || failMsg);
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  const createOu = ()=> newOu.trim() && run(async ()=>{
+    await api.post('/structure/ous', { name: newOu }, { headers });
+    setNewOu('');
+  }, 'OU created', 'Create OU failed');
+
+  const renameOu = (ou)=>{
+    const name = prompt('New name for ' + ou.ouName, ou.ouName);
+    if(name && name !== ou.ouName) run(()=>api.put(`/structure/ous/${ou.ouId}`, { name }, { headers }), 'OU renamed', 'Rename failed');
+  };
+
+  const deleteOu = (ou)=>{
+    if(window.confirm(`Delete OU "${ou.ouName}"?`)) run(()=>api.delete(`/structure/ous/${ou.ouId}`, { headers }), 'OU deleted', 'Delete OU failed');
+  };
+
+  const createDivision = (ou, name)=> run(
+    ()=>api.post(`/structure/ous/${ou.ouId}/divisions`, { name }, { headers }), 'Division created', 'Create division failed');
+
+  const renameDivision = (ou, d)=>{
+    const name = prompt('New name for ' + d.divisionName, d.divisionName);
+    if(name && name !== d.divisionName) run(
+      ()=>api.put(`/structure/ous/${ou.ouId}/divisions/${d.divisionId}`, { name }, { headers }), 'Division renamed', 'Rename failed');
+  };
+
+  const deleteDivision = (ou, d, migrateTo)=>{
+    const msg = migrateTo
+      ? `Delete "${d.divisionName}" and move its credentials and users to the selected division?`
+      : `Delete "${d.divisionName}"?`;
+    if(window.confirm(msg)) run(
+      ()=>api.delete(`/structure/ous/${ou.ouId}/divisions/${d.divisionId}`, { headers, params: migrateTo ? { migrateTo } : {} }),
+      'Division deleted', 'Delete division failed');
+  };
+
+  const moveDivision = (ou, d, targetOuId)=> run(
+    ()=>api.post(`/structure/ous/${ou.ouId}/divisions/${d.divisionId}/move`, { targetOuId }, { headers }), 'Division moved', 'Move failed');
+
+  // Flat list of every division, for the "migrate to" picker
+  const allDivisions = [];
+  for(const ou of structure) for(const d of (ou.divisions||[])) allDivisions.push({ id: d.divisionId, label: `${ou.ouName} / ${d.divisionName}` });
+
+  return (
+    <div className="card vstack" style={{background:'#fafafa', margin:0}}>
+      <h4 style={{margin:0}}>Org Structure</h4>
+
+      {structure.map(ou => (
+        <div key={ou.ouId} className="vstack" style={{gap:6, borderTop:'1px solid var(--border)', paddingTop:8}}>
+          <div className="hstack" style={{justifyContent:'space-between'}}>
+            <strong>{ou.ouName}</strong>
+            <div className="hstack" style={{width:'auto', gap:6}}>
+              <button className="ghost" disabled={busy} onClick={()=>renameOu(ou)}>Rename</button>
+              <button className="ghost" disabled={busy} onClick={()=>deleteOu(ou)}>Delete</button>
+            </div>
+          </div>
+          {(ou.divisions||[]).map(d => (
+            <DivisionRow key={d.divisionId} ou={ou} d={d} busy={busy}
+                         ous={structure.filter(o => o.ouId !== ou.ouId)}
+                         divisions={allDivisions.filter(x => x.id !== d.divisionId)}
+                         onRename={()=>renameDivision(ou, d)}
+                         onDelete={(migrateTo)=>deleteDivision(ou, d, migrateTo)}
+                         onMove={(targetOuId)=>moveDivision(ou, d, targetOuId)} />
+          ))}
+          <AddDivision busy={busy} onAdd={(name)=>createDivision(ou, name)} />
+        </div>
+      ))}
+
+      <div className="hstack" style={{borderTop:'1px solid var(--border)', paddingTop:8}}>
+        <input placeholder="New OU name" value={newOu} onChange={e=>setNewOu(e.target.value)} />
+        <button disabled={busy || !newOu.trim()} onClick={createOu}>Add OU</button>
+      </div>
+    </div>
+  );
+}
+
+function DivisionRow({ d, ous, divisions, busy, onRename, onDelete, onMove }){
+  const [targetOu, setTargetOu] = useState('');
+  const [migrateTo, setMigrateTo] = useState('');
+  return (
+    <div className="hstack" style={{paddingLeft:16, gap:6}}>
+      <span style={{minWidth:140}}>{d.divisionName}</span>
+      <button className="ghost" disabled={busy} onClick={onRename}>Rename</button>
+      <select value={targetOu} onChange={e=>setTargetOu(e.target.value)}>
+        <option value="">Move to OU…</option>
+        {ous.map(o => <option key={o.ouId} value={o.ouId}>{o.ouName}</option>)}
+      </select>
+      <button className="ghost" disabled={busy || !targetOu} onClick={()=>onMove(targetOu)}>Move</button>
+      <select value={migrateTo} onChange={e=>setMigrateTo(e.target.value)} title="Where credentials and users go on delete">
+        <option value="">Migrate contents to…</option>
+        {divisions.map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+      </select>
+      <button className="ghost" disabled={busy} onClick={()=>onDelete(migrateTo)}>Delete</button>
+    </div>
+  );
+}
+
+function AddDivision({ busy, onAdd }){
+  const [name, setName] = useState('');
+  return (
+    <div className="hstack" style={{paddingLeft:16}}>
+      <input placeholder="New division name" value={name} onChange={e=>setName(e.target.value)} />
+      <button className="ghost" disabled={busy || !name.trim()} onClick={()=>{ onAdd(name); setName(''); }}>Add division</button>
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+// src/components/TwoFactor.jsx
+// ------------------------------------------------------------------
+// Two-factor authentication UI:
+// - TwoFactorSetup: QR code + secret + first code (used by the
+//   settings card and by forced enrollment during login)
+// - RecoveryCodes: the one-time list shown after enabling/regenerating
+// - TwoFactorSettings (default): enable/disable for the signed-in user,
+//   plus the "required for roles" setting when settings:manage is held
+// ------------------------------------------------------------------
+import React, { useEffect, useState } from 'react';
+import { api } from '../api';
+import { can } from '../permissions';
+
+const ROLES = ['normal', 'management', 'admin'];
+
+export function TwoFactorSetup({ setup, onConfirm, onCancel }){
+  const [code, setCode] = useState('');
+  return (<div className="vstack">
+    <span className="small">Scan the QR code with an authenticator app, then enter the 6-digit code it shows.</span>
+    <img src={setup.qrDataUrl} alt="2FA QR code" style={{width:180, height:180}} />
+    <span className="small">Can't scan? Enter this key: <code>{setup.secret}</code></span>
+    <div className="hstack">
+      <input placeholder="6-digit code" value={code} onChange={e=>setCode(e.target.value)} />
+      <button disabled={!code.trim()} onClick={()=>onConfirm(code)}>Confirm</button>
+      {onCancel && <button className="ghost" onClick={onCancel}>Cancel</button>}
+    </div>
+  </div>);
+}
+
+export function RecoveryCodes({ codes, onDone }){
+  return (<div className="vstack">
+    <strong>Recovery codes</strong>
+    <span className="small">Each code works once if you lose your authenticator. Store them somewhere safe; they won't be shown again.</span>
+    <pre style={{margin:0}}>{codes.join('\n')}</pre>
+    <button onClick={onDone}>I've saved them</button>
+  </div>);
+}
+
+export default function TwoFactorSettings({ token, perms, show }){
+  const [status, setStatus] = useState(null);   // { enabled, required, recoveryCodesLeft }
+  const [setup, setSetup] = useState(null);     // pending setup from /2fa/setup
+  const [codes, setCodes] = useState(null);     // recovery codes to show once
+  const [requiredRoles, setRequiredRoles] = useState(null);
+  const headers = { Authorization:`Bearer ${token}` };
+  const canManage = can(perms, 'settings:manage');
+
+  async function load(){
+    try{
+      const { data } = await api.get('/2fa', { headers });
+      setStatus(data);
+      if(canManage){
+        const res = await api.get('/admin/settings/2fa', { headers });
+        setRequiredRoles(res.data.requiredRoles);
+      }
+    }catch(e){ console.error(e); show('Failed to load 2FA settings'); }
+  }
+  useEffect(()=>{ load(); }, [token, canManage]);
+
+  async function startSetup(){
+    try{ const { data } = await api.post('/2fa/setup', {}, { headers }); setSetup(data); }
+    catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to start setup'); }
+  }
+  async function enable(code){
+    try{
+      const { data } = await api.post('/2fa/enable', { code }, { headers });
+      setSetup(null); setCodes(data.recoveryCodes); show(data.message); load();
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to enable 2FA'); }
+  }
+  async function disable(){
+    const password = prompt('Your password'); if(!password) return;
+    const code = prompt('Authentication code (or a recovery code)'); if(!code) return;
+    const second = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+    try{
+      const { data } = await api.post('/2fa/disable', { password, ...second }, { headers });
+      show(data.message); load();
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to disable 2FA'); }
+  }
+  async function regenerate(){
+    const code = prompt('Authentication code'); if(!code) return;
+    try{
+      const { data } = await api.post('/2fa/recovery-codes', { code }, { headers });
+      setCodes(data.recoveryCodes); load();
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to generate recovery codes'); }
+  }
+  async function saveRequiredRoles(next){
+    try{
+      const { data } = await api.put('/admin/settings/2fa', { requiredRoles: next }, { headers });
+      setRequiredRoles(data.requiredRoles); show(data.message);
+    }catch(e){ console.error(e); show(e.response?.data?.error || 'Failed to update setting'); }
+  }
+
+  if(!status) return null;
+  return (<div className="card vstack">
+    <div className="hstack" style={{justifyContent:'space-between'}}>
+      <h3 style={{margin:0}}>Two-factor authentication</h3>
+      <span className="badge">{status.enabled ? 'Enabled' : 'Off'}{status.required && ' · required'}</span>
+    </div>
+
+    {codes ? <RecoveryCodes codes={codes} onDone={()=>setCodes(null)} />
+      : setup ? <TwoFactorSetup setup={setup} onConfirm={enable} onCancel={()=>setSetup(null)} />
+      : status.enabled ? <div className="hstack">
+          <span className="small">{status.recoveryCodesLeft} recovery codes left</span>
+          <button className="ghost" onClick={regenerate}>New recovery codes</button>
+          {!status.required && <button className="ghost" onClick={disable}>Disable</button>}
+        </div>
+      : <button onClick={startSetup}>Set up 2FA</button>}
+
+    {canManage && requiredRoles && <div className="hstack" style={{borderTop:'1px solid var(--border)', paddingTop:8}}>
+      <span className="small">Require 2FA for:</span>
+      {ROLES.map(r => <label key={r} className="small" style={{width:'auto'}}>
+        <input type="checkbox" style={{width:'auto'}} checked={requiredRoles.includes(r)}
+               onChange={e=>saveRequiredRoles(e.target.checked ? [...requiredRoles, r] : requiredRoles.filter(x => x!==r))} /> {r}
+      </label>)}
+    </div>}
+  </div>);
+}
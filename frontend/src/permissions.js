@@ -0,0 +1,23 @@
+// src/permissions.js
+// --------------------------------------------------------------
+// Client-side mirror of the backend policy decision, fed by
+// GET /api/me/permissions. Only used to hide controls: the
+// backend still enforces every action.
+// --------------------------------------------------------------
+
+// perms: the `permissions` object from /me/permissions
+// target: {} or { divisionId, ouId }
+export function can(perms, action, target = {}){
+  const p = perms?.[action];
+  if(!p) return false;
+  if(p.any) return true;
+  if(target.divisionId && p.divisions.includes(String(target.divisionId))) return true;
+  if(target.ouId && p.ous.includes(String(target.ouId))) return true;
+  return false;
+}
+
+// True if the action is allowed somewhere (any target at all)
+export function canSomewhere(perms, action){
+  const p = perms?.[action];
+  return !!p && (p.any || p.divisions.length > 0 || p.ous.length > 0);
+}